@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+
+/**
+ * door access : grants or denies every card placed on the reader against a persistent allowlist/denylist,
+ * logs each decision and drives a relay
+ *
+ *      const controller = new AccessController(reader, {
+ *          store: '/var/lib/felica/access.json',
+ *          audit_log: '/var/log/felica/access.log',
+ *          relay: {open: () => gpio.write(17, 1), close: () => gpio.write(17, 0)}
+ *      })
+ *      controller.allow('0101020304050607', {
+ *          name: 'alice',
+ *          schedule: [{days: [1, 2, 3, 4, 5], from: '08:00', to: '19:00'}]
+ *      })
+ *      controller.on('granted', event => console.log(`welcome ${event.name}`))
+ *      controller.start()
+ *
+ * an allowlist entry (see allow()) may carry :
+ *      name            shown in events and the audit log
+ *      valid_from      ISO 8601 date or milliseconds ; the card is refused before. a date alone (e.g.
+ *                      '2026-04-01') means the start of that day, local time
+ *      valid_until     ISO 8601 date or milliseconds ; the card is refused after. a date alone (e.g.
+ *                      '2026-12-31') means the end of that day, local time, so the card still opens on that day
+ *      schedule        [{days, from, to}, ...] : when the card is accepted ; days are 0 (Sunday) to 6 and default to
+ *                      every day, from and to are 'HH:MM' local time (to before from spans midnight). any slot will do
+ *      block           {service_code, block_number, offset, value} : the card is accepted only if that block (read
+ *                      without encryption) holds value (hex) at offset (default 0) ; service_code is 4 hex digits,
+ *                      most significant first (e.g. '008b')
+ *
+ * events :
+ *      'granted' {time, idm, result, reason, name}
+ *      'denied' {time, idm, result, reason, name}
+ *      'error' err : the store, audit log or relay failed (only if somebody listens to 'error')
+ *
+ * reason is one of AccessController.REASON. the audit log gets the same objects, one JSON per line ; it is only
+ * ever appended to. the store is rewritten (through a temporary file) on every change to the lists.
+ */
+
+'use strict'
+
+const EventEmitter = require('events'),
+    fs = require('fs'),
+    {FormatError} = require('./errors')
+
+/**
+ * reasons given with 'granted' and 'denied'
+ */
+const REASON = {
+    ALLOWED: 'ALLOWED',
+    DENYLISTED: 'DENYLISTED',
+    UNKNOWN_CARD: 'UNKNOWN_CARD',
+    NOT_YET_VALID: 'NOT_YET_VALID',
+    EXPIRED: 'EXPIRED',
+    OUTSIDE_SCHEDULE: 'OUTSIDE_SCHEDULE',
+    BLOCK_MISMATCH: 'BLOCK_MISMATCH',
+    READ_FAILED: 'READ_FAILED'
+}
+
+/**
+ * @param {Buffer|string} idm
+ *      Buffer, or 16 hex digits
+ * @returns {string}
+ *      lowercase hex
+ * @throws {TypeError}
+ */
+function idm_key(idm) {
+    let hex = idm instanceof Buffer ? idm.toString('hex') : String(idm).toLowerCase()
+    if (!/^[0-9a-f]{16}$/.test(hex)) throw new TypeError(`expecting an IDm of 16 hex digits ; received : ${idm}`);
+    return hex
+}
+
+/**
+ * @param {string} value
+ *      'HH:MM'
+ * @returns {number}
+ *      minutes since midnight
+ * @throws {TypeError}
+ */
+function parse_minutes(value) {
+    let match = /^(\d{1,2}):(\d{2})$/.exec(String(value)),
+        minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN
+    // 24:00 closes a slot at midnight
+    if (!match || Number(match[2]) > 59 || minutes > 24 * 60)
+        throw new TypeError(`expecting a time of day 'HH:MM' ; received : ${value}`);
+    return minutes
+}
+
+/**
+ * @param {string|number|undefined} value
+ *      milliseconds, an ISO 8601 date and time, or a date alone ('YYYY-MM-DD', local time)
+ * @param {string} name
+ * @param {boolean} [end_of_day=false]
+ *      for a date alone : the last millisecond of the day instead of the first
+ * @returns {number|undefined}
+ *      milliseconds
+ * @throws {TypeError}
+ */
+function parse_time(value, name, end_of_day = false) {
+    if (value === undefined || value === null) return undefined;
+    // Date.parse() takes a date alone as midnight UTC
+    let date_only = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+    if (date_only) {
+        let [year, month, day] = date_only.slice(1).map(Number),
+            start = new Date(year, month - 1, day)
+        if (start.getFullYear() !== year || start.getMonth() !== month - 1 || start.getDate() !== day)
+            throw new TypeError(`expecting a date for ${name} ; received : ${value}`);
+        return end_of_day ? new Date(year, month - 1, day + 1).getTime() - 1 : start.getTime()
+    }
+    let time = typeof value === 'number' ? value : Date.parse(value)
+    if (isNaN(time)) throw new TypeError(`expecting a date for ${name} ; received : ${value}`);
+    return time
+}
+
+/**
+ * @param {object[]} schedule
+ *      [{days, from, to}, ...]
+ * @param {Date} date
+ * @returns {boolean}
+ *      true if date falls in one of the slots
+ */
+function in_schedule(schedule, date) {
+    let minutes = date.getHours() * 60 + date.getMinutes(),
+        day = date.getDay(),
+        yesterday = (day + 6) % 7
+    return schedule.some(slot => {
+        let from = parse_minutes(slot.from),
+            to = parse_minutes(slot.to),
+            on = d => !slot.days || slot.days.indexOf(d) >= 0
+        if (from <= to) return on(day) && minutes >= from && minutes < to;
+        // spans midnight : the part after midnight belongs to the slot of the day before
+        return (on(day) && minutes >= from) || (on(yesterday) && minutes < to)
+    })
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ *      true for an object that is not an array
+ */
+function is_object(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * checks an allowlist entry, throws TypeError on anything malformed
+ * @param {object} rule
+ * @returns {object}
+ *      the entry to store
+ */
+function check_rule(rule) {
+    if (!is_object(rule)) throw new TypeError(`expecting an allowlist entry {name, ...} ; received : ${rule}`);
+    parse_time(rule.valid_from, 'valid_from')
+    parse_time(rule.valid_until, 'valid_until')
+    if (rule.schedule !== undefined) {
+        if (!Array.isArray(rule.schedule)) throw new TypeError('expecting schedule to be [{days, from, to}, ...]');
+        for (const slot of rule.schedule) {
+            parse_minutes(slot.from)
+            parse_minutes(slot.to)
+            if (slot.days !== undefined && !(Array.isArray(slot.days) && slot.days.every(d => d >= 0 && d <= 6)))
+                throw new TypeError(`expecting days to be a list of 0 (Sunday) to 6 ; received : ${slot.days}`);
+        }
+    }
+    if (rule.block !== undefined) {
+        let block = rule.block
+        if (!/^[0-9a-f]{4}$/i.test(block.service_code))
+            throw new TypeError(`expecting 4 hex digits for block.service_code ; received : ${block.service_code}`);
+        if (!Number.isInteger(block.block_number) || block.block_number < 0)
+            throw new TypeError(`expecting block.block_number to be a block number ; received : ${block.block_number}`);
+        if (block.offset !== undefined && !(Number.isInteger(block.offset) && block.offset >= 0))
+            throw new TypeError(`expecting block.offset to be a byte offset ; received : ${block.offset}`);
+        if (!/^([0-9a-f]{2})+$/i.test(block.value) || (block.offset || 0) + block.value.length / 2 > 16)
+            throw new TypeError(`expecting block.value to be hex bytes within the block ; received : ${block.value}`);
+    }
+    return Object.assign({}, rule)
+}
+
+/**
+ * @param {string} path
+ * @returns {{allow: object, deny: object}}
+ * @throws {FormatError}
+ *      ACCESS_STORE_INVALID if the file is not a store written by AccessController (lists keyed by IDm, with
+ *      well-formed entries) ; the original error, if any, is the cause
+ */
+function read_store(path) {
+    let invalid = (message, cause) => new FormatError('ACCESS_STORE_INVALID', `${path} : ${message}`,
+            cause === undefined ? {path: path} : {path: path, cause: cause}),
+        stored
+    try {
+        stored = JSON.parse(fs.readFileSync(path, 'utf8'))
+    }
+    catch (e) {
+        throw invalid('cannot read the store', e)
+    }
+    let is_list = list => list === undefined || is_object(list)
+    if (!is_object(stored) || !is_list(stored.allow) || !is_list(stored.deny))
+        throw invalid('expecting {allow: {...}, deny: {...}}');
+    let lists = {allow: stored.allow || {}, deny: stored.deny || {}}
+    for (const name of ['allow', 'deny']) {
+        for (const key of Object.keys(lists[name])) {
+            // entries are looked up by lowercase hex
+            if (!/^[0-9a-f]{16}$/.test(key))
+                throw invalid(`expecting IDms of 16 lowercase hex digits ; received : ${key}`);
+            try {
+                if (name === 'allow') check_rule(lists.allow[key]);
+                else if (!is_object(lists.deny[key]))
+                    throw new TypeError(`expecting a denylist entry {name, note} ; received : ${lists.deny[key]}`);
+            }
+            catch (e) {
+                throw invalid(`malformed ${name} entry for ${key}`, e)
+            }
+        }
+    }
+    return lists
+}
+
+class AccessController extends EventEmitter {
+    /**
+     * @param {Rcs620s} reader
+     * @param {object} [options]
+     * @param {string} [options.store]
+     *      JSON file keeping the lists ; loaded now if it exists. lists are kept in memory only if omitted
+     * @param {string} [options.audit_log]
+     *      file the decisions are appended to ; no log if omitted
+     * @param {object} [options.relay]
+     *      {open(event), close()} ; each may return a Promise. open() is called on every grant, close()
+     *      options.open_time ms after the last one
+     * @param {number} [options.open_time=3000]
+     * @param {object} [options.polling]
+     *      options for Rcs620s.start()
+     * @throws {FormatError}
+     *      ACCESS_STORE_INVALID if options.store exists but cannot be read as lists
+     */
+    constructor(reader, options = {}) {
+        super()
+        this._reader = reader
+        this._options = {
+            store: options.store || null,
+            audit_log: options.audit_log || null,
+            relay: options.relay || null,
+            open_time: typeof options.open_time === 'number' ? options.open_time : 3000,
+            polling: options.polling || {}
+        }
+        this._lists = {allow: {}, deny: {}}
+        if (this._options.store && fs.existsSync(this._options.store))
+            this._lists = read_store(this._options.store);
+        this._log = null
+        this._relay_timer = 0
+        this._on_card = card => this.check(card.idm).catch(err => this._error(err))
+    }
+
+    /**
+     * adds a card to the allowlist (and takes it off the denylist), replacing any previous entry
+     * @param {Buffer|string} idm
+     * @param {object} [rule]
+     *      {name, valid_from, valid_until, schedule, block} ; see above
+     * @throws {TypeError}
+     *      if the rule is malformed
+     */
+    allow(idm, rule = {}) {
+        let key = idm_key(idm)
+        this._lists.allow[key] = check_rule(rule)
+        delete this._lists.deny[key]
+        this._save()
+    }
+
+    /**
+     * adds a card to the denylist ; it is refused whatever the allowlist says
+     * @param {Buffer|string} idm
+     * @param {object} [entry]
+     *      {name, note} ; kept as is
+     * @throws {TypeError}
+     *      if entry is not an object
+     */
+    deny(idm, entry = {}) {
+        let key = idm_key(idm)
+        if (!is_object(entry)) throw new TypeError(`expecting a denylist entry {name, note} ; received : ${entry}`);
+        this._lists.deny[key] = Object.assign({}, entry)
+        this._save()
+    }
+
+    /**
+     * takes a card off both lists
+     * @param {Buffer|string} idm
+     */
+    remove(idm) {
+        let key = idm_key(idm)
+        delete this._lists.allow[key]
+        delete this._lists.deny[key]
+        this._save()
+    }
+
+    /**
+     * @returns {{allow: object, deny: object}}
+     *      copies of the lists, by IDm (lowercase hex)
+     */
+    list() {
+        return JSON.parse(JSON.stringify(this._lists))
+    }
+
+    /**
+     * decides on one card, then logs, emits 'granted' or 'denied' and drives the relay ; start() calls this for
+     * every card placed on the reader
+     * @param {Buffer|string} idm
+     * @param {Date} [date]
+     *      when the card was presented ; now if omitted
+     * @returns {Promise}
+     *      resolves with the event {time, idm, result, reason, name} ; never rejects for a card that cannot be read
+     */
+    check(idm, date = new Date()) {
+        let key
+        try {
+            key = idm_key(idm)
+        }
+        catch (e) {
+            return Promise.reject(e)
+        }
+        return this._decide(key, date).then(decision => {
+            let rule = this._lists.allow[key] || this._lists.deny[key] || {},
+                event = {
+                    time: date.toISOString(),
+                    idm: key,
+                    result: decision.reason === REASON.ALLOWED ? 'granted' : 'denied',
+                    reason: decision.reason,
+                    name: rule.name || null
+                }
+            if (decision.error) event.error = decision.error.message;
+            this._audit(event)
+            this.emit(event.result, event)
+            if (event.result === 'granted') this._open_relay(event);
+            return event
+        })
+    }
+
+    /**
+     * starts the reader's polling loop and checks every card placed on the reader
+     * @returns {Promise}
+     *      resolves once the loop runs ; rejects with a FelicaError if the reader could not be initialized
+     */
+    start() {
+        if (this._options.audit_log && !this._log) {
+            this._log = fs.createWriteStream(this._options.audit_log, {flags: 'a'})
+            this._log.on('error', err => this._error(err))
+        }
+        this._reader.removeListener('card', this._on_card)
+        this._reader.on('card', this._on_card)
+        return this._reader.start(this._options.polling)
+    }
+
+    /**
+     * stops the polling loop, closes the relay and the audit log
+     * @returns {Promise}
+     *      resolves when the audit log is flushed
+     */
+    stop() {
+        this._reader.removeListener('card', this._on_card)
+        this._reader.stop()
+        if (this._relay_timer) this._close_relay();
+        let log = this._log
+        this._log = null
+        return log ? new Promise(ok => log.end(ok)) : Promise.resolve()
+    }
+
+    /**
+     * @param {string} key
+     *      IDm, lowercase hex
+     * @param {Date} date
+     * @returns {Promise}
+     *      resolves with {reason, error}
+     * @private
+     */
+    _decide(key, date) {
+        let rule = this._lists.allow[key],
+            time = date.getTime()
+        if (this._lists.deny[key]) return Promise.resolve({reason: REASON.DENYLISTED});
+        if (!rule) return Promise.resolve({reason: REASON.UNKNOWN_CARD});
+        if (rule.valid_from !== undefined && time < parse_time(rule.valid_from, 'valid_from'))
+            return Promise.resolve({reason: REASON.NOT_YET_VALID});
+        if (rule.valid_until !== undefined && time > parse_time(rule.valid_until, 'valid_until', true))
+            return Promise.resolve({reason: REASON.EXPIRED});
+        if (rule.schedule && !in_schedule(rule.schedule, date))
+            return Promise.resolve({reason: REASON.OUTSIDE_SCHEDULE});
+        if (!rule.block) return Promise.resolve({reason: REASON.ALLOWED});
+
+        let block = rule.block,
+            offset = block.offset || 0,
+            service_code = Buffer.from(block.service_code, 'hex').reverse().toString('latin1')
+        return this._reader.read_block(Buffer.from(key, 'hex'), service_code, block.block_number, 1).then(
+            data => {
+                let found = data.slice(offset, offset + block.value.length / 2).toString('hex')
+                return {reason: found === block.value.toLowerCase() ? REASON.ALLOWED : REASON.BLOCK_MISMATCH}
+            },
+            err => ({reason: REASON.READ_FAILED, error: err})
+        )
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        if (!this._options.store) return;
+        let temporary = `${this._options.store}.tmp`
+        fs.writeFileSync(temporary, JSON.stringify(this._lists, null, 2) + '\n')
+        fs.renameSync(temporary, this._options.store)
+    }
+
+    /**
+     * @param {object} event
+     * @private
+     */
+    _audit(event) {
+        if (!this._options.audit_log) return;
+        let line = JSON.stringify(event) + '\n'
+        if (this._log) this._log.write(line);
+        else {
+            try {
+                fs.appendFileSync(this._options.audit_log, line)
+            }
+            catch (e) {
+                this._error(e)
+            }
+        }
+    }
+
+    /**
+     * @param {object} event
+     * @private
+     */
+    _open_relay(event) {
+        let relay = this._options.relay
+        if (!relay) return;
+        if (this._relay_timer) clearTimeout(this._relay_timer);
+        this._relay_timer = setTimeout(() => this._close_relay(), this._options.open_time)
+        this._call_relay('open', event)
+    }
+
+    /**
+     * @private
+     */
+    _close_relay() {
+        clearTimeout(this._relay_timer)
+        this._relay_timer = 0
+        this._call_relay('close')
+    }
+
+    /**
+     * @param {string} hook
+     *      'open' or 'close'
+     * @param {object} [event]
+     * @private
+     */
+    _call_relay(hook, event) {
+        let relay = this._options.relay
+        if (!relay || typeof relay[hook] !== 'function') return;
+        new Promise(ok => ok(relay[hook](event))).catch(err => this._error(err))
+    }
+
+    /**
+     * @param {*} err
+     * @private
+     */
+    _error(err) {
+        if (this.listenerCount('error')) this.emit('error', err);
+    }
+}
+
+AccessController.REASON = REASON
+
+module.exports = AccessController
@@ -0,0 +1,525 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP + WebSocket bridge : lets a browser (e.g. a kiosk UI) use a reader it cannot open itself
+ *
+ *      const server = new BridgeServer(reader, {port: 8620, token: 'secret', cors: 'http://localhost:3000'})
+ *      server.listen().then(address => console.log(`listening on ${address.address}:${address.port}`))
+ *
+ * endpoints (JSON in and out) :
+ *      GET  /status    {ready, running, card} ; card is the card on the reader ({idm, pmm, system_code}) or null
+ *      POST /read      {service, idm, block, count} --> {idm, service, data} or {idm, service_code, blocks}
+ *                      service is a key of Rcs620s.SERVICES (e.g. 'SUICA.USAGE_HISTORY'), decoded, or 4 hex digits
+ *                      (e.g. '090f', most significant first) to read raw blocks block to block + count - 1
+ *                      (block numbers up to 0xffff, count up to MAX_READ_COUNT) ; idm defaults to the card on
+ *                      the reader
+ *      POST /poll      {system_code} --> {card} ; polls once (system_code : 4 hex digits or a key of
+ *                      Rcs620s.SYSTEM_CODE, any system if omitted) ; card is null if none answered
+ *      GET  /dump      ?system=CODE --> a card dump document (see card_dump.js)
+ *      GET  /events    WebSocket ; pushes {type: 'status', ready, running, card} on connection, then
+ *                      {type: 'card-detected', idm, pmm, system_code, balances} (balances : see
+ *                      Rcs620s.read_balance()) and {type: 'card-removed', idm, pmm, system_code, dwell_time} ;
+ *                      a client frame that is not masked closes the connection with 1002, one over
+ *                      MAX_FRAME_PAYLOAD bytes with 1009
+ *
+ * IDm, PMm and system codes are hex strings. errors answer {error: {name, code, message, ...}} with status 400
+ * (bad request), 401 (bad token), 404 (no card, no such service, unknown path), 504 (reader timeout) or 502 (other
+ * reader errors).
+ *
+ * with options.token, every request must carry it as "Authorization: Bearer TOKEN" ; only the WebSocket on
+ * /events may pass it as "?token=TOKEN" instead, since browsers cannot set headers on WebSockets (a token in
+ * the URL of other requests would end up in logs and browser history). the server starts the reader's polling
+ * loop (see Rcs620s.start()) when it listens and stops it when it closes.
+ */
+
+'use strict'
+
+const EventEmitter = require('events'),
+    crypto = require('crypto'),
+    http = require('http'),
+    Rcs620s = require('./Rcs620s'),
+    {FelicaError, TimeoutError, NoCardError} = require('./errors')
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+const MAX_BODY_SIZE = 64 * 1024
+
+/**
+ * most blocks one POST /read of raw blocks may ask for ; each command to the card carries up to
+ * Rcs620s.MAX_READ_BLOCKS of them
+ */
+const MAX_READ_COUNT = 64
+
+/**
+ * block numbers are 2 bytes in a block list
+ */
+const MAX_BLOCK_NUMBER = 0xffff
+
+/**
+ * largest payload accepted in a frame from a client ; clients only send pings and close frames
+ */
+const MAX_FRAME_PAYLOAD = 4 * 1024
+
+const ANY_SYSTEM = '\xff\xff'
+
+/**
+ * WebSocket opcodes
+ */
+const OPCODE = {
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+}
+
+/**
+ * WebSocket close status codes
+ */
+const CLOSE_STATUS = {
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    MESSAGE_TOO_BIG: 1009
+}
+
+/**
+ * @param {Buffer|string} binary
+ * @returns {string}
+ */
+function to_hex(binary) {
+    return (binary instanceof Buffer ? binary : Buffer.from(binary, 'latin1')).toString('hex')
+}
+
+/**
+ * @param {object} card
+ *      {idm, pmm, system_code} as emitted by Rcs620s
+ * @returns {object}
+ *      the same with hex strings
+ */
+function card_json(card) {
+    return {idm: to_hex(card.idm), pmm: to_hex(card.pmm), system_code: to_hex(card.system_code)}
+}
+
+/**
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ *      an unmasked, unfragmented WebSocket frame (server to client)
+ */
+function websocket_frame(opcode, payload) {
+    let header
+    if (payload.length < 126) header = Buffer.from([0x80 | opcode, payload.length]);
+    else if (payload.length < 0x10000) {
+        header = Buffer.from([0x80 | opcode, 126, 0, 0])
+        header.writeUInt16BE(payload.length, 2)
+    }
+    else {
+        header = Buffer.alloc(10)
+        header[0] = 0x80 | opcode
+        header[1] = 127
+        header.writeBigUInt64BE(BigInt(payload.length), 2)
+    }
+    return Buffer.concat([header, payload])
+}
+
+/**
+ * @param {number} status
+ *      see CLOSE_STATUS
+ * @returns {Buffer}
+ *      a close frame with that status
+ */
+function close_frame(status) {
+    let payload = Buffer.alloc(2)
+    payload.writeUInt16BE(status, 0)
+    return websocket_frame(OPCODE.CLOSE, payload)
+}
+
+/**
+ * takes the complete frames off the front of what a client sent ; stops at the first frame the server must
+ * refuse : unmasked (clients always mask, RFC 6455 5.1) or with a payload over MAX_FRAME_PAYLOAD, which is
+ * refused from its header without waiting for the payload
+ * @param {Buffer} buffer
+ * @returns {{frames: object[], rest: Buffer, close_status: number}}
+ *      frames : [{opcode, payload}, ...] with payloads unmasked ; close_status : the status to close the
+ *      connection with (see CLOSE_STATUS), or 0
+ */
+function read_websocket_frames(buffer) {
+    let frames = [],
+        close_status = 0
+    for (;;) {
+        if (buffer.length < 2) break;
+        let length = buffer[1] & 0x7f,
+            offset = 2
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2)
+            offset = 4
+        }
+        else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2))
+            offset = 10
+        }
+        if (!(buffer[1] & 0x80)) {
+            close_status = CLOSE_STATUS.PROTOCOL_ERROR
+            break
+        }
+        if (length > MAX_FRAME_PAYLOAD) {
+            close_status = CLOSE_STATUS.MESSAGE_TOO_BIG
+            break
+        }
+        let mask = buffer.slice(offset, offset + 4)
+        offset += 4
+        if (buffer.length < offset + length) break;
+        let payload = Buffer.from(buffer.slice(offset, offset + length))
+        for (let i = 0; i < payload.length; ++i) payload[i] ^= mask[i & 3];
+        frames.push({opcode: buffer[0] & 0x0f, payload: payload})
+        buffer = buffer.slice(offset + length)
+    }
+    return {frames: frames, rest: close_status ? Buffer.alloc(0) : buffer, close_status: close_status}
+}
+
+class BridgeServer extends EventEmitter {
+    /**
+     * events :
+     *      'listening' {address, port}
+     *      'error' err : the HTTP server failed (only if somebody listens to 'error')
+     *
+     * @param {Rcs620s} reader
+     * @param {object} [options]
+     * @param {string} [options.host='127.0.0.1']
+     *      address to bind ; '0.0.0.0' to accept other machines
+     * @param {number} [options.port=8620]
+     * @param {string|string[]|boolean} [options.cors=false]
+     *      origins allowed to call the server from a browser : one origin, a list, or true for any
+     * @param {string} [options.token]
+     *      shared secret every request must carry ; no check if omitted
+     * @param {object} [options.polling]
+     *      options for Rcs620s.start()
+     */
+    constructor(reader, options = {}) {
+        super()
+        this._reader = reader
+        this._options = {
+            host: options.host || '127.0.0.1',
+            port: typeof options.port === 'number' ? options.port : 8620,
+            cors: options.cors || false,
+            token: options.token || null,
+            polling: options.polling || {}
+        }
+        this._card = null
+        this._sockets = new Set()
+        this._server = http.createServer((req, res) => this._handle(req, res))
+        this._server.on('upgrade', (req, socket) => this._upgrade(req, socket))
+        this._server.on('error', err => {
+            if (this.listenerCount('error')) this.emit('error', err);
+        })
+
+        this._on_card = card => {
+            this._card = card
+            this._reader.read_balance(card.idm).catch(() => []).then(balances => {
+                if (this._card !== card) return;
+                this._broadcast(Object.assign({type: 'card-detected'}, card_json(card), {
+                    balances: balances.map(balance => ({
+                        brand: balance.brand, system_code: balance.system_code, balance: balance.balance
+                    }))
+                }))
+            })
+        }
+        this._on_card_removed = card => {
+            this._card = null
+            this._broadcast(Object.assign({type: 'card-removed'}, card_json(card), {dwell_time: card.dwell_time}))
+        }
+    }
+
+    /**
+     * starts the reader's polling loop and the HTTP server
+     * @returns {Promise}
+     *      if success, resolves with {address, port}
+     *      if fail, rejects with a FelicaError (reader) or the listen error
+     */
+    listen() {
+        this._reader.on('card', this._on_card)
+        this._reader.on('card-removed', this._on_card_removed)
+        return this._reader.start(this._options.polling).then(() => new Promise((ok, ng) => {
+            let on_error = err => ng(err)
+            this._server.once('error', on_error)
+            this._server.listen(this._options.port, this._options.host, () => {
+                this._server.removeListener('error', on_error)
+                let address = this._server.address()
+                this.emit('listening', {address: address.address, port: address.port})
+                ok({address: address.address, port: address.port})
+            })
+        }))
+    }
+
+    /**
+     * stops the polling loop, closes every WebSocket and the HTTP server ; the reader is left open
+     * @returns {Promise}
+     *      resolves when the server is closed
+     */
+    close() {
+        this._reader.stop()
+        this._reader.removeListener('card', this._on_card)
+        this._reader.removeListener('card-removed', this._on_card_removed)
+        this._card = null
+        for (const socket of this._sockets) socket.end(close_frame(CLOSE_STATUS.GOING_AWAY));
+        this._sockets.clear()
+        return new Promise(ok => this._server.close(() => ok()))
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {boolean} [allow_query=false]
+     *      accept the token as ?token= too ; for the WebSocket upgrade only
+     * @returns {boolean}
+     *      true if the request carries the token (or no token is set)
+     * @private
+     */
+    _authorized(req, allow_query = false) {
+        if (!this._options.token) return true;
+        let header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || ''),
+            query = allow_query ? new URL(req.url, 'http://localhost').searchParams.get('token') : null,
+            given = Buffer.from(header ? header[1] : query || ''),
+            expected = Buffer.from(this._options.token)
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @returns {object}
+     *      CORS headers for the request's origin
+     * @private
+     */
+    _cors_headers(req) {
+        let cors = this._options.cors,
+            origin = req.headers.origin
+        if (!cors || !origin) return {};
+        if (cors !== true && [].concat(cors).indexOf(origin) < 0) return {};
+        return {
+            'Access-Control-Allow-Origin': cors === true ? '*' : origin,
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Vary': 'Origin'
+        }
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @private
+     */
+    _handle(req, res) {
+        let url = new URL(req.url, 'http://localhost'),
+            route = `${req.method} ${url.pathname}`,
+            headers = Object.assign({'Content-Type': 'application/json'}, this._cors_headers(req)),
+            send = (status, body, close = false) => {
+                if (close) headers['Connection'] = 'close';
+                res.writeHead(status, headers)
+                // a body that was not read to the end leaves the connection unusable : drop it once answered
+                res.end(JSON.stringify(body) + '\n', () => {
+                    if (close) req.destroy();
+                })
+            }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers)
+            return res.end()
+        }
+        if (!this._authorized(req))
+            return send(401, {error: {name: 'Error', code: 'UNAUTHORIZED', message: 'missing or wrong token'}});
+
+        let handler = {
+            'GET /status': () => this._status(),
+            'POST /read': body => this._read(body),
+            'POST /poll': body => this._poll(body),
+            'GET /dump': () => this._reader.dump_card(url.searchParams.has('system')
+                ? Rcs620s.parse_system_code(url.searchParams.get('system')) : Rcs620s.SYSTEM_CODE.SUICA)
+        }[route]
+        if (!handler)
+            return send(404, {error: {name: 'Error', code: 'NOT_FOUND', message: `no such endpoint : ${route}`}});
+
+        this._read_body(req)
+            .then(body => handler(body))
+            .then(
+                result => send(200, result),
+                err => {
+                    let status = err instanceof TypeError || err instanceof RangeError ? 400
+                        : err instanceof NoCardError || err.code === 'NO_SUCH_SERVICE' ? 404
+                            : err instanceof TimeoutError ? 504 : 502
+                    send(status, {
+                        error: err instanceof FelicaError ? err.toJSON()
+                            : err instanceof Error ? {name: err.name, message: err.message}
+                                : {name: 'Error', message: String(err)}
+                    }, err instanceof RangeError)
+                }
+            )
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @returns {Promise}
+     *      resolves with the parsed JSON body ({} if empty) ; rejects with a TypeError if it is not JSON, or
+     *      a RangeError as soon as it grows over MAX_BODY_SIZE (the rest is not read)
+     * @private
+     */
+    _read_body(req) {
+        return new Promise((ok, ng) => {
+            let chunks = [],
+                size = 0
+            let on_data = chunk => {
+                size += chunk.length
+                if (size > MAX_BODY_SIZE) {
+                    req.removeListener('data', on_data)
+                    req.pause()
+                    ng(new RangeError(`request body larger than ${MAX_BODY_SIZE} bytes`))
+                }
+                else chunks.push(chunk);
+            }
+            req.on('data', on_data)
+            req.on('end', () => {
+                let text = Buffer.concat(chunks).toString('utf8')
+                if (!text.trim()) return ok({});
+                try {
+                    ok(JSON.parse(text))
+                }
+                catch (e) {
+                    ng(new TypeError(`expecting a JSON body ; ${e.message}`))
+                }
+            })
+        })
+    }
+
+    /**
+     * @returns {Promise}
+     * @private
+     */
+    _status() {
+        return Promise.resolve({
+            ready: this._reader.is_ready,
+            running: this._reader.is_running,
+            card: this._card ? card_json(this._card) : null
+        })
+    }
+
+    /**
+     * @param {object} body
+     *      {service, idm, block, count}
+     * @returns {Promise}
+     * @private
+     */
+    _read(body) {
+        let service = String(body.service || ''),
+            idm = body.idm ? Buffer.from(String(body.idm), 'hex') : this._card && this._card.idm
+        if (!idm || idm.length !== 8)
+            return Promise.reject(body.idm ? new TypeError(`expecting 16 hex digits for idm ; received : ${body.idm}`)
+                : new NoCardError('NO_CARD', 'no card on the reader'));
+
+        if (/^[0-9a-f]{4}$/i.test(service)) {
+            let service_code = Buffer.from(service, 'hex').reverse().toString('latin1'),
+                block_number = body.block === undefined ? 0 : body.block,
+                count = body.count === undefined ? 1 : body.count
+            if (!Number.isInteger(block_number) || block_number < 0 || !Number.isInteger(count) || count < 1)
+                return Promise.reject(new TypeError('expecting block and count to be non-negative integers'));
+            if (count > MAX_READ_COUNT)
+                return Promise.reject(new RangeError(`expecting count up to ${MAX_READ_COUNT} ; received : ${count}`));
+            if (block_number + count - 1 > MAX_BLOCK_NUMBER)
+                return Promise.reject(new RangeError('expecting block numbers up to 0xffff ; ' +
+                    `received : ${block_number} to ${block_number + count - 1}`));
+            return this._reader.read_block(idm, service_code, block_number, count).then(data => ({
+                idm: to_hex(idm),
+                service_code: service.toLowerCase(),
+                blocks: Array.from({length: count}, (value, i) => ({
+                    block_number: block_number + i,
+                    data: data.slice(i * 16, (i + 1) * 16).toString('hex')
+                }))
+            }))
+        }
+
+        let [group, name] = service.toUpperCase().split('.'),
+            definition = Rcs620s.SERVICES[group] && Rcs620s.SERVICES[group][name]
+        if (!definition)
+            return Promise.reject(new TypeError('expecting a key of Rcs620s.SERVICES (e.g. SUICA.PROPERTIES) or ' +
+                `4 hex digits ; received : ${body.service}`));
+        return this._reader.read_service(idm, definition).then(data => ({
+            idm: to_hex(idm),
+            service: `${group}.${name}`,
+            data: data
+        }))
+    }
+
+    /**
+     * @param {object} body
+     *      {system_code}
+     * @returns {Promise}
+     * @private
+     */
+    _poll(body) {
+        let system_code = body.system_code ? Rcs620s.parse_system_code(body.system_code) : ANY_SYSTEM
+        return this._reader.polling(system_code).then(card => ({
+            card: card ? {idm: to_hex(card.idm), pmm: to_hex(card.pmn)} : null
+        }))
+    }
+
+    /**
+     * accepts a WebSocket on /events
+     * @param {http.IncomingMessage} req
+     * @param {net.Socket} socket
+     * @private
+     */
+    _upgrade(req, socket) {
+        let refuse = status =>
+                socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`),
+            key = req.headers['sec-websocket-key'],
+            origin = req.headers.origin
+        if (new URL(req.url, 'http://localhost').pathname !== '/events') return refuse(404);
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') return refuse(400);
+        if (!this._authorized(req, true)) return refuse(401);
+        if (origin && !Object.keys(this._cors_headers(req)).length) return refuse(403);
+
+        let accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64')
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`)
+        this._sockets.add(socket)
+
+        let pending = Buffer.alloc(0)
+        socket.on('data', chunk => {
+            if (!this._sockets.has(socket)) return;
+            let {frames, rest, close_status} = read_websocket_frames(Buffer.concat([pending, chunk]))
+            pending = rest
+            for (const frame of frames) {
+                if (frame.opcode === OPCODE.PING) socket.write(websocket_frame(OPCODE.PONG, frame.payload));
+                else if (frame.opcode === OPCODE.CLOSE) {
+                    this._sockets.delete(socket)
+                    socket.end(websocket_frame(OPCODE.CLOSE, frame.payload.slice(0, 2)))
+                    return
+                }
+            }
+            if (close_status) {
+                this._sockets.delete(socket)
+                socket.end(close_frame(close_status))
+            }
+        })
+        socket.on('close', () => this._sockets.delete(socket))
+        socket.on('error', () => this._sockets.delete(socket))
+        this._status().then(status => this._send(socket, Object.assign({type: 'status'}, status)))
+    }
+
+    /**
+     * @param {net.Socket} socket
+     * @param {object} message
+     * @private
+     */
+    _send(socket, message) {
+        if (this._sockets.has(socket)) socket.write(websocket_frame(OPCODE.TEXT, Buffer.from(JSON.stringify(message))));
+    }
+
+    /**
+     * @param {object} message
+     * @private
+     */
+    _broadcast(message) {
+        for (const socket of this._sockets) this._send(socket, message);
+    }
+}
+
+module.exports = BridgeServer
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * watches one card with Request Response and tells when it leaves the reader
+ *
+ *      const monitor = reader.watch_card(data.idm)
+ *      monitor.on('card-present', info => console.log(`found ${info.idm}`))
+ *      monitor.on('card-removed', info => console.log(`gone after ${info.dwell_time} ms`))
+ *
+ * events :
+ *      'card-present' {idm, dwell_time} : once, when the first check finds the card (dwell_time is 0)
+ *      'card-removed' {idm, dwell_time} : once, when the card stops answering ; the monitor then stops. if the
+ *                                         card was not there at the first check, this is the only event
+ *      'error' err : a check failed for another reason than the card being gone (only if somebody listens to
+ *                    'error') ; the monitor keeps going
+ *
+ * dwell_time is the number of milliseconds since the check that found the card ; 0 until then
+ */
+
+'use strict'
+
+const EventEmitter = require('events')
+
+class PresenceMonitor extends EventEmitter {
+    /**
+     * @param {Rcs620s} reader
+     * @param {Buffer|string} idm
+     * @param {number} [interval=200]
+     *      milliseconds between presence checks
+     */
+    constructor(reader, idm, interval = 200) {
+        super()
+        this._reader = reader
+        this._idm = idm
+        this._interval = typeof interval === 'number' && interval > 0 ? interval : 200
+        this._timer = 0
+        this._running = false
+        this._arrived_at = 0
+    }
+
+    /**
+     * @return {boolean}
+     */
+    get is_running() {
+        return this._running
+    }
+
+    /**
+     * @return {number}
+     *      milliseconds since the card was found
+     */
+    get dwell_time() {
+        return this._arrived_at ? (new Date).getTime() - this._arrived_at : 0
+    }
+
+    start() {
+        if (this._running) return;
+        this._running = true
+        this._arrived_at = 0
+        this._check()
+    }
+
+    stop() {
+        this._running = false
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = 0
+    }
+
+    _check() {
+        this._timer = 0
+        // ahead of background work such as polling for other cards
+        this._reader.is_card_present(this._idm, {priority: this._reader.constructor.PRIORITY.HIGH}).then(
+            present => {
+                if (!this._running) return;
+                if (!present) {
+                    let info = {idm: this._idm, dwell_time: this.dwell_time}
+                    this.stop()
+                    return this.emit('card-removed', info)
+                }
+                if (!this._arrived_at) {
+                    this._arrived_at = (new Date).getTime()
+                    this.emit('card-present', {idm: this._idm, dwell_time: 0})
+                }
+                this._schedule()
+            },
+            err => {
+                if (!this._running) return;
+                if (this.listenerCount('error')) this.emit('error', err);
+                this._schedule()
+            }
+        )
+    }
+
+    _schedule() {
+        if (this._running) this._timer = setTimeout(() => this._check(), this._interval);
+    }
+}
+
+module.exports = PresenceMonitor
@@ -37,8 +37,23 @@
 
 'use strict'
 
-const SerialPort = require('serialport'),
-    {range, serial, int2strbinLE, read_number} = require('./felicaca_utils')
+const EventEmitter = require('events'),
+    crypto = require('crypto'),
+    {range, serial, int2strbinLE, read_number} = require('./felicaca_utils'),
+    suica = require('./suica'),
+    card_dump = require('./card_dump'),
+    PresenceMonitor = require('./PresenceMonitor'),
+    frame_codec = require('./frame_codec'),
+    ntag = require('./ntag'),
+    ndef = require('./ndef'),
+    block_layout = require('./block_layout'),
+    emoney = require('./emoney'),
+    felica_lite_s = require('./felica_lite_s'),
+    felica_auth = require('./felica_auth'),
+    errors = require('./errors')
+
+const {FelicaError, TransportError, FrameError, TimeoutError, AbortError, DeviceStatusError, CardStatusError,
+    NoCardError, FormatError, annotate} = errors
 
 
 // -- the following function is for debug only --
@@ -63,18 +78,38 @@ function concat_buffer(_) {
         if (arg instanceof Buffer) ingredients.push(arg);
         else if (typeof arg === 'number') ingredients.push(Buffer.from(String.fromCharCode(arg), 'ascii'));
         else if (typeof arg === 'string') ingredients.push(Buffer.from(arg, 'ascii'));
-        else throw 'expecting number,string,Buffer ; received : ' + JSON.stringify(arg);
+        else throw new TypeError('expecting number,string,Buffer ; received : ' + JSON.stringify(arg));
     }
     return Buffer.concat(ingredients)
 }
 
+/**
+ * opens a serial port ; "serialport" is only loaded here so that the library can be used
+ * with other transports (e.g. VirtualRcs620s) on machines where it is not installed
+ * @param {string} port
+ * @param {number} baudrate
+ * @returns {SerialPort}
+ */
+function open_serial_port(port, baudrate) {
+    const SerialPort = require('serialport')
+    return new SerialPort(port, {baudRate: baudrate})
+}
+
 // -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
-class Rcs620s {
+class Rcs620s extends EventEmitter {
     /**
+     * a reader emits 'ready' when the serial port is open, 'close' when it is closed, and while the
+     * polling loop runs (see start()) 'card', 'card-removed' and 'error' ; 'error' is also emitted (with
+     * PORT_ERROR) when the serial port fails, if somebody listens
      *
-     * @param {string} port
-     *      path to the unix port of the connection
+     *
+     * @param {string|object} port
+     *      path to the unix port of the connection, or a transport object to use instead of a serial port.
+     *      a transport must behave like a SerialPort : emit 'open', 'data' (Buffer) and 'close' events,
+     *      and provide write(buffer), drain(callback), flush(callback) and close() ;
+     *      see VirtualRcs620s for a simulated reader
      * @param {number} [baudrate=115200]
+     *      ignored if port is a transport object
      * @param {function} [on_ready]
      *      called when the serial port is open and ready to use
      *      if omitted then you should inspect property: is_ready
@@ -83,13 +118,27 @@ class Rcs620s {
      *      felica timeout in milliseconds
      */
     constructor(port = '/dev/ttyAMA0', baudrate = 115200, on_ready = '', timeout = 1000) {
+        super()
         //console.log(`creating SerialPort ; port = ${port}`)
 
         this._timeout = typeof timeout === 'number' && timeout ? timeout : 1000
 
-        this._ser = new SerialPort(port, {baudRate: baudrate})
+        this._ser = typeof port === 'string' ? open_serial_port(port, baudrate) : port
+
+        /**
+         * commands waiting for the reader, highest priority first ; see _rw_command()
+         * @type {object[]}
+         * @private
+         */
+        this._queue = []
+        this._queue_running = false
 
-        this._busy = false
+        this._device_initialized = false
+        this._loop_running = false
+        this._loop_timer = 0
+        this._loop_options = {}
+        this._current_card = null
+        this._card_iterators = new Set()
 
         this._on_ready = ''
         this._is_ready = false
@@ -100,104 +149,87 @@ class Rcs620s {
             this._is_ready = true
             if (typeof this._on_ready === 'function')
                 this._on_ready.apply(this);
+            this.emit('ready')
+        })
+        this._ser.on('close', () => {
+            this._is_ready = false
+            this.stop()
+            this.emit('close')
         })
+        if (this._ser.isOpen) {
+            // transport was handed over already opened
+            setImmediate(() => this._ser.emit('open'))
+        }
 
         /**
-         * @type {Buffer}
+         * the command waiting for its ACK / response, if any ; see _send_and_receive()
+         * @type {object|null}
          * @private
          */
-        this._read_buffer = ''
-        this._read_queue = []
-        this._ser.on('data', buffer => {
-            if (!this._read_buffer) {
-                this._read_buffer = buffer
-                //console.log(`[read-queue] received ${buffer.length} bytes =`, buffer)
-                return
-            }
-            this._read_buffer = Buffer.concat([this._read_buffer, buffer])
-            //console.log(`[read-queue] received ${buffer.length} bytes =`, this._read_buffer)
-        })
-        this._read_timer = setInterval(() => {
-            if (!this._read_queue || !this._read_queue.length) return;
-
-            //console.log(colors.magenta('read timer'))
-            var read_req = this._read_queue[0],
-                now = (new Date).getTime()
-
-            if (now >= read_req.time_expire) {
-                read_req.ng_callback('timeout')
-                this._read_buffer.shift() // delete the first item from the queues
-                return
-            }
-
-            if (!this._read_buffer) return;
-            let bytes_to_take = this._read_buffer.length >= read_req.bytes_needed
-                ? read_req.bytes_needed
-                : this._read_buffer.length
-
-            read_req.buffers.push(this._read_buffer.slice(0, bytes_to_take))
-            read_req.bytes_needed -= bytes_to_take
-            this._read_buffer = this._read_buffer.slice(bytes_to_take)
-
-            // check if the request has fulfilled
-            let out_buffer = Buffer.concat(read_req.buffers),
-                check_ok
-
-            if (!read_req.bytes_needed) {
-                // no more bytes needed; perform a check then either accept or reject it
-                if (read_req.check) {
-                    check_ok = false
-                    if ('function' === typeof read_req.check)
-                        check_ok = read_req.check.apply(this, [out_buffer]);
-                    else if ('string' === typeof read_req.check)
-                        check_ok = read_req.check === out_buffer.toString('hex');
-                    else
-                        console.warn('[warn] expecting function or string in variable element "check" ; received : ',
-                            read_req.check);
-                }
-                else check_ok = true;
-                if (!check_ok) {
-                    console.warn(`check failed; read_req.check=`, JSON.stringify(read_req.check))
-                    read_req.ng_callback('check-failed')
-                }
-                // console.log(colors.green.bold('emitting buffer :'), out_buffer)
-                read_req.ok_callback(out_buffer)
-                this._read_queue.shift() // delete the first item from the queues
-            }
-        }, 10)
+        this._pending = null
+        this._parser = new frame_codec.FrameParser()
+        this._parser.on('ack', () => this._on_ack())
+        this._parser.on('nack', () => this._fail_pending(new FrameError('NACK', 'the reader sent a NACK')))
+        this._parser.on('error-frame', () => this._fail_pending(
+            new FrameError('ERROR_FRAME', 'the reader sent an error frame')))
+        this._parser.on('invalid', reason => this._fail_pending(
+            new FrameError('CHECKSUM_ERROR', `the response has an invalid ${reason.toUpperCase()}`, {checksum: reason})))
+        this._parser.on('frame', payload => this._on_frame(payload))
+        this._ser.on('data', buffer => this._parser.push(buffer))
+        // e.g. the port could not be opened
+        this._ser.on('error', err => this._loop_error(
+            new TransportError('PORT_ERROR', 'the serial port failed', {cause: err})))
     }
 
-
     /**
-     * @param {number} length
-     *      number of bytes to expect to receive
-     * @param {function|string} check
-     *      if string, it must be a hex string, e.g. '00112233'
-     *      if function, then the result Buffer is passed; to accept this data buffer, return TRUE
-     * @param {number} [timeout]
-     *      in millisecond
-     * @return {Promise}
-     *      if successful, resolves with : function(buffer) {..}
-     *      if fail, rejects with : function(err_str) {..}
-     * @protected
+     * @private
      */
-    _read(length, check = '', timeout) {
-        // console.log(`[read-queue] queuing read request for ${length} bytes`)
+    _on_ack() {
+        let pending = this._pending
+        if (!pending || pending.acked) return;
+        pending.acked = true
+        // the response timeout starts over once the reader has acknowledged the command
+        pending.restart_timer()
+    }
 
-        if (typeof timeout !== 'number' || timeout) timeout = this._timeout;
+    /**
+     * @param {Buffer} payload
+     * @private
+     */
+    _on_frame(payload) {
+        let pending = this._pending
+        if (!pending || !pending.acked) return; // unsolicited ; nobody is waiting for it
+        if (payload.length > this.constructor.MAX_RW_RESPONSE_LEN)
+            return this._fail_pending(new FrameError('RESPONSE_TOO_LONG', `the response is ${payload.length} bytes long`));
+
+        let check = pending.check,
+            check_ok = true
+        if (check) {
+            check_ok = false
+            if (typeof check === 'function')
+                check_ok = check.apply(this, [payload]);
+            else if (typeof check === 'string')
+                check_ok = payload.toString('hex') === check;
+            else
+                console.warn('expecting string or function in "check"; received :', check);
+        }
+        if (!check_ok)
+            return this._fail_pending(new FrameError('UNEXPECTED_RESPONSE', 'unexpected response from the reader',
+                {response: payload.toString('hex')}));
+        pending.settle()
+        pending.ok(payload)
+    }
 
-        return new Promise((ok, ng) => {
-            let now = (new Date).getTime()
-            this._read_queue.push({
-                time_in: now,
-                time_expire: now + timeout,
-                bytes_needed: length,
-                buffers: [],
-                check: check,
-                ok_callback: ok,
-                ng_callback: ng
-            })
-        })
+    /**
+     * cancels the pending command, if any, then rejects it
+     * @param {FelicaError} error
+     * @private
+     */
+    _fail_pending(error) {
+        let pending = this._pending
+        if (!pending) return;
+        pending.settle()
+        this._cancel().then(() => pending.ng(annotate(error, {command: pending.command})))
     }
 
     close(timeout = 1000) {
@@ -208,7 +240,7 @@ class Rcs620s {
                 ok()
             })
             this._ser.close()
-            setTimeout(() => ng('timeout'), timeout)
+            timer = setTimeout(() => ng(new TimeoutError('CLOSE_TIMEOUT', 'the serial port did not close')), timeout)
         })
     }
 
@@ -230,24 +262,215 @@ class Rcs620s {
         return this._is_ready
     }
 
+    /**
+     * @return {boolean}
+     *      true while the polling loop started by start() runs
+     */
+    get is_running() {
+        return this._loop_running
+    }
+
+
+    /**
+     * starts a polling loop that looks for cards of the given systems and emits events :
+     *
+     *      'card' {idm, pmm, system_code} : a card was placed on the reader
+     *      'card-removed' {idm, pmm, system_code, dwell_time} : that card has been gone for options.debounce ms
+     *      'error' err : a poll or presence check failed (only if somebody listens to 'error') ; the loop keeps going
+     *
+     * while a card is on the reader, it is not reported again ; the loop only checks (with Request Response,
+     * then polling) that the same IDm is still there
+     *
+     * @param {object} [options]
+     * @param {Array<string|Buffer>} [options.system_codes]
+     *      systems to poll, in order ; defaults to Rcs620s.LOOP_SYSTEM_CODES (Suica and the common area). add
+     *      e.g. Rcs620s.SYSTEM_CODE.NDEF or LITE_S to find those cards too
+     * @param {number} [options.interval=300]
+     *      milliseconds between polls
+     * @param {number} [options.debounce=500]
+     *      milliseconds a card must stay away before 'card-removed' is emitted
+     * @returns {Promise}
+     *      resolves once the device is initialized and the loop is running
+     *      rejects with a FelicaError if the device could not be initialized
+     */
+    start(options = {}) {
+        let self = this.constructor
+        this._loop_options = {
+            system_codes: options.system_codes || self.LOOP_SYSTEM_CODES,
+            interval: typeof options.interval === 'number' ? options.interval : 300,
+            debounce: typeof options.debounce === 'number' ? options.debounce : 500
+        }
+        if (this._loop_running) return Promise.resolve();
+        this._loop_running = true
+        this._current_card = null
+
+        return new Promise((ok, ng) => {
+            let run = () => this._device_initialized ? Promise.resolve() : this.init_device()
+            let on_ready = () => run().then(
+                () => {
+                    this._loop_tick()
+                    ok()
+                },
+                err => {
+                    this._loop_running = false
+                    ng(err)
+                }
+            )
+            if (this._is_ready) on_ready();
+            else this.once('ready', on_ready);
+        })
+    }
+
+    /**
+     * stops the polling loop started by start() ; card iterators returned by cards() end
+     */
+    stop() {
+        this._loop_running = false
+        if (this._loop_timer) clearTimeout(this._loop_timer);
+        this._loop_timer = 0
+        this._current_card = null
+        this._card_iterators.forEach(finish => finish())
+    }
+
+    /**
+     * async-iterator alternative to the 'card' event ; iterates until stop() or close()
+     *
+     *      reader.start()
+     *      for await (const card of reader.cards()) { .. }
+     *
+     * @returns {AsyncIterator}
+     *      yields {idm, pmm, system_code}
+     */
+    cards() {
+        let queue = [],
+            waiting = [],
+            done = false
+        let on_card = card => waiting.length ? waiting.shift()({value: card, done: false}) : queue.push(card)
+        let finish = () => {
+            if (done) return;
+            done = true
+            this.removeListener('card', on_card)
+            this._card_iterators.delete(finish)
+            waiting.forEach(resolve => resolve({value: undefined, done: true}))
+        }
+        this.on('card', on_card)
+        this._card_iterators.add(finish)
+        return {
+            next: () => {
+                if (queue.length) return Promise.resolve({value: queue.shift(), done: false});
+                if (done) return Promise.resolve({value: undefined, done: true});
+                return new Promise(resolve => waiting.push(resolve))
+            },
+            return: () => {
+                finish()
+                return Promise.resolve({value: undefined, done: true})
+            },
+            [Symbol.asyncIterator]() {
+                return this
+            }
+        }
+    }
+
+    /**
+     * @param {*} err
+     * @private
+     */
+    _loop_error(err) {
+        if (this.listenerCount('error')) this.emit('error', err);
+    }
+
+    /**
+     * @private
+     */
+    _loop_tick() {
+        this._loop_timer = 0
+        if (!this._loop_running) return;
+        let next = () => {
+            if (this._loop_running)
+                this._loop_timer = setTimeout(() => this._loop_tick(), this._loop_options.interval);
+        }
+        let step = this._current_card ? this._loop_check_current() : this._loop_poll()
+        step.then(next, err => {
+            this._loop_error(err)
+            next()
+        })
+    }
+
+    /**
+     * polls each system in turn until a card answers
+     * @returns {Promise}
+     * @private
+     */
+    _loop_poll() {
+        let self = this.constructor,
+            system_codes = this._loop_options.system_codes,
+            poll_from = i => {
+                if (i >= system_codes.length || !this._loop_running) return Promise.resolve();
+                return this.polling(system_codes[i], {priority: self.PRIORITY.LOW}).then(data => {
+                    if (!data) return poll_from(i + 1);
+                    if (!this._loop_running) return;
+                    this._current_card = {
+                        idm: data.idm,
+                        pmm: data.pmn,
+                        system_code: system_codes[i],
+                        placed_at: (new Date).getTime(),
+                        absent_since: 0
+                    }
+                    this.emit('card', {idm: data.idm, pmm: data.pmn, system_code: system_codes[i]})
+                })
+            }
+        return poll_from(0)
+    }
+
+    /**
+     * checks that the current card is still there
+     * @returns {Promise}
+     * @private
+     */
+    _loop_check_current() {
+        let self = this.constructor,
+            card = this._current_card
+        return this.is_card_present(card.idm, {priority: self.PRIORITY.HIGH}).then(
+            present => present ? true : this.polling(card.system_code).then(data => !!data && data.idm.equals(card.idm))
+        ).then(present => {
+            if (this._current_card !== card) return;
+            let now = (new Date).getTime()
+            if (present) {
+                card.absent_since = 0
+                return
+            }
+            if (!card.absent_since) card.absent_since = now;
+            if (now - card.absent_since < this._loop_options.debounce) return;
+            this._current_card = null
+            this.emit('card-removed', {
+                idm: card.idm,
+                pmm: card.pmm,
+                system_code: card.system_code,
+                dwell_time: card.absent_since - card.placed_at
+            })
+        })
+    }
+
 
     /**
      *
      * @param {Buffer} buffer
      * @returns {Promise}
      *      if success, resolves with no arguments
-     *      if fail, rejects with err_reason_str
+     *      if fail, rejects with a TransportError
      * @private
      */
     _write_serial(buffer) {
-        if (!(buffer instanceof Buffer)) throw `expecting Buffer instance ; received : ${buffer}`;
+        if (!(buffer instanceof Buffer)) throw new TypeError(`expecting Buffer instance ; received : ${buffer}`);
         // console.log(colors.red.bold('writing :'), buffer2hex(buffer))
         return new Promise((ok, ng) => {
             if (this._ser) {
                 this._ser.write(buffer)
-                this._ser.drain(() => ok())
+                this._ser.drain(err => err
+                    ? ng(new TransportError('WRITE_FAILED', 'could not write to the serial port', {cause: err}))
+                    : ok())
             }
-            else ng('serial-port-not-ready');
+            else ng(new TransportError('PORT_NOT_READY', 'the serial port is not ready'));
         })
     }
 
@@ -262,227 +485,269 @@ class Rcs620s {
         return this._write_serial(buffer)
     }
 
-    /**
-     *
-     * @param {number} length
-     * @param {string} [encoding]
-     *      if non-empty string, then response will be encoded in this encoding
-     * @param {function} [check_func]
-     *      should be : function (res_buffer_or_str) {..}
-     *      return true to accept this response
-     * @returns {Buffer|string|false}
-     *      if fail returns false
-     * @private
-     */
-    _read_serial(length, encoding, check_func) {
-        console.log(`reading ${length} bytes from :`, this._data_in)
-
-        let res = this._data_in_get(length)
-
-        console.log('...', res)
-
-        if (!res || !res.length) return false;
-        if (encoding) res = res.toString(encoding);
-        if (typeof check_func === 'function' && !check_func(res))  return false;
-        console.log('read :', res)
-        return res;
-    }
-
     /**
      * @param {Buffer} buffer:
      * @return {number}
      */
     static _calculate_checksum(buffer) {
-        var check_sum = 0
-        for (const value of buffer.values()) {
-            check_sum += value
-        }
-        // console.log('sum:', check_sum)
-        let dcs = (-check_sum) & 0xff
-        // console.log('dcs:', dcs)
-        return dcs
+        return frame_codec.checksum(buffer)
     }
 
     /**
-     *
-     * @param {string|Buffer} command
+     * InCommunicateThru : sends data to the target found by the last polling
+     * @param {string|Buffer} data
+     * @param {string} name
+     *      command name reported in errors
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
      * @return {Promise}
+     *      if success, resolves with the response of the target
+     *      if fail, rejects with a FelicaError ; NoCardError if the target did not answer
      * @private
      */
-    _card_command(command) {
-        // console.log(colors.bgBlue.cyan.bold('[ex-commmand]'), command)
-
+    _communicate_thru(data, name, options = {}) {
         return new Promise((ok, ng) => {
-            let command_timeout = this._timeout >= (0x10000 / 2) ? 0xffff : this._timeout * 2,
-                command_buffer = concat_buffer(
-                    '\xd4\xa0',
-                    int2strbinLE(command_timeout, 2),
-                    String.fromCharCode(command.length + 1),
-                    command
-                )
+            let timeout = options.timeout || this._timeout,
+                command_timeout = timeout >= (0x10000 / 2) ? 0xffff : timeout * 2,
+                command_buffer = concat_buffer('\xd4\xa0', int2strbinLE(command_timeout, 2), data)
             this._rw_command(command_buffer, buf =>
-                buf.length >= 4
-                && buf.toString('hex').indexOf('d5a100') === 0
-                && buf.length === buf[3] + 3
+                buf.length >= 3
+                && buf.toString('hex').indexOf('d5a1') === 0,
+                options
             ).then(
                 buffer => {
-                    let card_command_out = buffer.slice(4)
-                    // console.log(colors.bgBlue.cyan.bold('[ex-commmand OK]'), card_command_out)
-                    ok(card_command_out)
+                    // status 01 : the card did not answer (e.g. it has left the field)
+                    if (buffer[2] === 0x01) return ng(new NoCardError('NO_CARD', 'the card did not answer', {command: name}));
+                    if (buffer[2] !== 0x00)
+                        return ng(new DeviceStatusError('DEVICE_STATUS', `the reader returned status ${buffer[2]}`,
+                            {command: name, status: buffer[2]}));
+                    ok(buffer.slice(3))
                 },
-                error => ng({error: 'ex-command-failed', error2: error})
+                // reported as the card command rather than InCommunicateThru
+                err => {
+                    if (err instanceof FelicaError) err.command = name;
+                    ng(err)
+                }
             )
         })
     }
 
     /**
+     * sends a FeliCa command
+     * @param {string|Buffer} command
+     * @param {function} [check]
+     *      the card response (without the length byte) is passed; return true to accept it
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @return {Promise}
+     * @private
+     */
+    _card_command(command, check, options = {}) {
+        // console.log(colors.bgBlue.cyan.bold('[ex-commmand]'), command)
+        let self = this.constructor,
+            name = self._command_name(self.CARD_COMMANDS, Buffer.from(command, 'latin1')[0])
+
+        // FeliCa frames start with their length
+        return this._communicate_thru(concat_buffer(String.fromCharCode(command.length + 1), command), name, options)
+            .then(response => {
+                if (!response.length || response.length !== response[0])
+                    return Promise.reject(new FrameError('UNEXPECTED_RESPONSE', 'the card response length does not match',
+                        {command: name, response: response.toString('hex')}));
+                let card_command_out = response.slice(1)
+                // console.log(colors.bgBlue.cyan.bold('[ex-commmand OK]'), card_command_out)
+                if (typeof check === 'function' && !check(card_command_out))
+                    return Promise.reject(new FrameError('UNEXPECTED_CARD_RESPONSE', 'unexpected response from the card',
+                        {command: name, response: card_command_out.toString('hex')}));
+                return card_command_out
+            })
+    }
+
+    /**
+     * sends an ISO14443 Type A (Ultralight / NTAG) command to the target found by polling_type_a()
+     * @param {Buffer} command
+     * @param {function} [check]
+     *      the card response is passed; return true to accept it
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @return {Promise}
+     *      if success, resolves with the response
+     *      if fail, rejects with a FelicaError ; CardStatusError (code CARD_NAK) if the card answered with a NAK
+     * @private
+     */
+    _type_a_command(command, check, options = {}) {
+        let self = this.constructor,
+            name = self._command_name(self.TYPE_A_COMMANDS, command[0])
+
+        return this._communicate_thru(command, name, options).then(response => {
+            // a single byte other than ACK is a 4-bit NAK
+            if (response.length === 1 && response[0] !== ntag.ACK) {
+                let status_message = ntag.NAK[response[0]] || 'unknown'
+                return Promise.reject(new CardStatusError('CARD_NAK', `the card answered NAK : ${status_message}`,
+                    {command: name, nak: response[0], status_message: status_message}));
+            }
+            if (typeof check === 'function' && !check(response))
+                return Promise.reject(new FrameError('UNEXPECTED_CARD_RESPONSE', 'unexpected response from the card',
+                    {command: name, response: response.toString('hex')}));
+            return response
+        })
+    }
+
+    /**
+     * queues a command for the reader ; commands are sent one at a time, in order of priority
+     * (first come first served within the same priority)
      * @param {string|Buffer} command to send
      * @param {function|string} [check]
      *      if function, then the result Buffer will be passed; you should return a true to indicate acceptance
      *      if string, then the buffer is converted to string and compared against this string
+     * @param {object} [options]
+     * @param {number} [options.timeout]
+     *      milliseconds to wait for the ACK, then for the response ; defaults to the constructor's timeout
+     * @param {number} [options.priority=Rcs620s.PRIORITY.NORMAL]
+     * @param {AbortSignal} [options.signal]
+     *      aborting removes the command from the queue, or if it has been sent already, aborts it on the device
      * @return {Promise}
      *      if success, resolves with : function (result_buffer) {..}
-     *      if fail, rejects with : function (err_string) {..}
+     *      if fail, rejects with a FelicaError ; AbortError if aborted
      *
      */
-    _rw_command(command, check) {
-        return new Promise((overall_ok, overall_ng) => {
-            var me = this,
-                self = this.constructor,
-                send_buffer = command instanceof Buffer ? command : Buffer.from(command, 'ascii'),
-                len = send_buffer.length,
-                dcs = self._calculate_checksum(send_buffer)
+    _rw_command(command, check, options = {}) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            let signal = options.signal
+            if (signal && signal.aborted) return ng(self._abort_error(command));
+
+            let entry = {
+                    command: command,
+                    check: check,
+                    timeout: options.timeout || this._timeout,
+                    priority: typeof options.priority === 'number' ? options.priority : self.PRIORITY.NORMAL,
+                    signal: signal,
+                    ok: ok,
+                    ng: ng
+                },
+                index = this._queue.findIndex(queued => queued.priority < entry.priority)
+            this._queue.splice(index < 0 ? this._queue.length : index, 0, entry)
+
+            if (signal) {
+                entry.on_abort = () => {
+                    let queued = this._queue.indexOf(entry)
+                    if (queued >= 0) {
+                        this._queue.splice(queued, 1)
+                        signal.removeEventListener('abort', entry.on_abort)
+                        return ng(self._abort_error(command))
+                    }
+                    if (this._pending && this._pending.signal === signal) this._fail_pending(self._abort_error(command));
+                }
+                signal.addEventListener('abort', entry.on_abort)
+            }
+            this._run_queue()
+        })
+    }
 
-            //console.log('-------------------------------------\nwill send command :', buffer2hex(send_buffer))
+    /**
+     * sends the next queued command, if the reader is free
+     * @private
+     */
+    _run_queue() {
+        if (this._queue_running || !this._queue.length) return;
+        this._queue_running = true
+        let entry = this._queue.shift(),
+            done = () => {
+                if (entry.signal) entry.signal.removeEventListener('abort', entry.on_abort);
+                this._queue_running = false
+                this._run_queue()
+            }
+        this._send_and_receive(entry.command, entry.check, entry.timeout, entry.signal).then(
+            response => {
+                done()
+                entry.ok(response)
+            },
+            err => {
+                done()
+                entry.ng(err)
+            }
+        )
+    }
 
-            this._data_in = ''
-            this._ser.flush(() => {
-                //
-                // 0. send: payload length
-                // 1. send: payload
-                // 2. send: checksum
-                // 3. recv: 6-byte response
-                //
-
-                let req = '\x00\x00\xff',
-                    promise0
-                if (len <= 255) {
-                    // normal frame
-                    promise0 = me._concat_and_write_serial(req,
-                        String.fromCharCode(len),
-                        String.fromCharCode((-len) & 0xff))
-                }
-                else {
-                    // extended frame
-                    // 未テストです
-                    let buffer1 = concat_buffer(req, '\xff\xff',
-                        String.fromCharCode((len >> 8) & 0xff),
-                        String.fromCharCode((len >> 0) & 0xff)
-                    )
-                    promise0 = me._concat_and_write_serial(buffer1,
-                        String.fromCharCode(self._calculate_checksum(buffer1.slice(2)))
-                    )
+    /**
+     * sends one command and receives its response ; use _rw_command() instead
+     * @param {string|Buffer} command
+     * @param {function|string} [check]
+     * @param {number} timeout
+     * @param {AbortSignal} [signal]
+     * @return {Promise}
+     * @private
+     */
+    _send_and_receive(command, check, timeout, signal) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            var send_buffer = command instanceof Buffer ? command : Buffer.from(command, 'ascii'),
+                timer = 0,
+                pending = {
+                    command: self._command_name(self.READER_COMMANDS, send_buffer[1]),
+                    check: check,
+                    signal: signal,
+                    acked: false,
+                    ok: ok,
+                    ng: ng,
+                    restart_timer: () => {
+                        clearTimeout(timer)
+                        timer = setTimeout(() => this._fail_pending(pending.acked
+                            ? new TimeoutError('NO_RESPONSE', `no response within ${timeout} ms`)
+                            : new TimeoutError('NO_ACK', `no ACK within ${timeout} ms`)), timeout)
+                    },
+                    settle: () => {
+                        clearTimeout(timer)
+                        if (this._pending === pending) this._pending = null;
+                    }
                 }
 
-                promise0.then(
+            if (send_buffer.length > frame_codec.MAX_EXTENDED_PAYLOAD)
+                return ng(new FrameError('FRAME_TOO_LONG', `command too long for a frame : ${send_buffer.length} bytes`,
+                    {command: pending.command}));
+
+            this._ser.flush(() => {
+                // aborted while waiting for the flush
+                if (signal && signal.aborted) return ng(self._abort_error(send_buffer));
+                this._parser.reset()
+                this._pending = pending
+                this._write_serial(frame_codec.encode_frame(send_buffer)).then(
                     () => {
-                        let promise1 = me._write_serial(send_buffer)
-                        promise1.then(
-                            () => {
-                                let promise2 = me._concat_and_write_serial(dcs, '\x00')
-                                promise2.then(
-                                    () => {
-                                        // receive an ACK
-                                        // console.log(colors.blue('expecting ack'))
-                                        me._read(6, '0000ff00ff00').then(
-                                            res_buffer => {
-                                                // console.log(colors.blue.bold('got ack'))
-                                                // got an ACK! receive a message
-                                                me._read(5, buf => buf.toString('hex').indexOf('0000ff') === 0).then(
-                                                    response_body => {
-                                                        // got a message; determine response length
-                                                        let response_len = 0
-                                                        if (response_body[3] === 0xff && response_body[4] === 0xff) {
-                                                            // ???
-                                                            response_body = this._read_serial(3)
-                                                            if (!response_body || self._calculate_checksum(response_body) !== 0)
-                                                                return this._cancel().then(() => overall_ng('response-checksum-error'));
-                                                            response_len = String.fromCharCode(
-                                                                (response_body[5] << 8) | (response_body[6] << 0))
-                                                        }
-                                                        else {
-                                                            if (self._calculate_checksum(response_body.slice(3)) !== 0)
-                                                                return this._cancel().then(() => overall_ng('response-checksum-error'));
-                                                            response_len = response_body[3];
-                                                        }
-                                                        if (response_len > self.MAX_RW_RESPONSE_LEN)
-                                                            return this._cancel().then(() => overall_ng('response-too-long'));
-
-                                                        // wait for response body
-                                                        // console.log(colors.blue(`reading response : ${response_len} bytes`))
-                                                        me._read(response_len).then(
-                                                            response_body => {
-                                                                // console.log(colors.blue.bold(`got response :`), response_body)
-                                                                // got response body; compute DCS
-                                                                let dcs = self._calculate_checksum(response_body)
-                                                                // console.log('* response DCS :', dcs)
-                                                                // compare DCS with provided one , which we will read now..
-                                                                me._read(2, buf => buf[0] === dcs && buf[1] === 0x00).then(
-                                                                    dcs_buffer => {
-                                                                        // checksum OK
-                                                                        if (check) {
-                                                                            let check_ok = false
-                                                                            if (typeof check === 'function')
-                                                                                check_ok = check.apply(this, [response_body]);
-                                                                            else if (typeof check === 'string')
-                                                                                check_ok = response_body.toString('hex') === check;
-                                                                            else
-                                                                                console.warn('expecting string or function in "check"; received :', check);
-                                                                        }
-                                                                        if (!check)
-                                                                            return this._cancel().then(() => overall_ng('check-failed'));
-
-                                                                        // check OK
-                                                                        return overall_ok(response_body)
-                                                                    },
-                                                                    err => this._cancel().then(() => overall_ng({
-                                                                        error: 'response-checksum-invalid',
-                                                                        error2: err
-                                                                    }))
-                                                                )
-                                                            },
-                                                            err => this._cancel().then(() => overall_ng({
-                                                                error: 'read-response-failed',
-                                                                error2: err
-                                                            }))
-                                                        )
-
-                                                    },
-                                                    err => this._cancel().then(() => overall_ng({
-                                                        error: 'no-valid-message',
-                                                        error2: err
-                                                    }))
-                                                )
-                                            },
-                                            err => this._cancel().then(() => overall_ng({
-                                                error: 'no-ack',
-                                                error2: err
-                                            }))
-                                        )
-                                    },
-
-                                    err => overall_ng({error: 'promise2-failed', error2: err})
-                                )   // promise2.then
-                            },
-                            err => overall_ng({error: 'promise1-failed', error2: err})
-                        ) // promise1.then
+                        // the ACK (or even the response) may have arrived already
+                        if (this._pending === pending) pending.restart_timer();
                     },
-                    err => overall_ng({error: 'promise0-failed', error2: err})
-                )  // promise0.then
-            })  // flush
+                    err => {
+                        pending.settle()
+                        ng(annotate(err, {command: pending.command}))
+                    }
+                )
+            })
         })
     }   // end _send_and_receive
 
+    /**
+     * @param {Object<number, string>} table
+     *      Rcs620s.READER_COMMANDS or Rcs620s.CARD_COMMANDS
+     * @param {number} code
+     * @returns {string}
+     * @private
+     */
+    static _command_name(table, code) {
+        return table[code] || `0x${('0' + Number(code).toString(16)).slice(-2)}`
+    }
+
+    /**
+     * @param {string|Buffer} command
+     *      reader command
+     * @returns {AbortError}
+     * @private
+     */
+    static _abort_error(command) {
+        return new AbortError('ABORTED', 'the command was aborted', {
+            command: this._command_name(this.READER_COMMANDS, Buffer.from(command, 'latin1')[1])
+        })
+    }
+
     /**
      * sends a cancel, duh
      * @returns {Promise}
@@ -498,7 +763,7 @@ class Rcs620s {
                 () => {
                     setTimeout(() => {
                         me._ser.flush()
-                        me._data_in = ''
+                        me._parser.reset()
                         ok()
                     }, 10)
                 },
@@ -524,26 +789,207 @@ class Rcs620s {
                             this._rw_command('\xd4\x32\x81\xb7', 'd533').then(
                                 response_buffer3 => {
                                     // console.log('## RFConfiguration 2 OK')
+                                    me._device_initialized = true
                                     ok()
                                 },
-                                err => ng({error: 'RFConfiguration-2-failed', error2: err})
+                                err => ng(err)
                             )
                         },
-                        err => ng({error: 'RFConfiguration-1-failed', error2: err})
+                        err => ng(err)
                     )
                 },
-                err => ng({error: 'open-device-failed', error2: err})
+                err => ng(err)
             )
         })
     }
 
-    polling(system_code) {
-        if (this._busy)
-            return new Promise((ok, ng) => ng('busy'));
+    /**
+     * Diagnose, communication line test : the reader echoes the data back
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; UNEXPECTED_RESPONSE if the echo differs
+     */
+    check_communication_line(options = {}) {
+        let data = crypto.randomBytes(8),
+            expected = Buffer.concat([Buffer.from([0xd5, 0x01, 0x00]), data])
+        return this._rw_command(Buffer.concat([Buffer.from([0xd4, 0x00, 0x00]), data]),
+            buf => buf && buf.equals(expected), options).then(() => undefined)
+    }
+
+    /**
+     * GetFirmwareVersion
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {ic, version, revision, support, raw} ; version is a string like '1.30'
+     *      made from the version and revision bytes
+     *      if fail, rejects with a FelicaError
+     */
+    get_firmware_version(options = {}) {
+        return this._rw_command('\xd4\x02', buf => buf && buf.length === 6 && buf[0] === 0xd5 && buf[1] === 0x03,
+            options).then(buf => ({
+            ic: buf[2],
+            version: `${buf[3].toString(16)}.${('0' + buf[4].toString(16)).slice(-2)}`,
+            revision: buf[4],
+            support: buf[5],
+            raw: buf.slice(2).toString('hex')
+        }))
+    }
+
+    /**
+     * GetGeneralStatus
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {
+     *          error: number,              last error ; 0 if none
+     *          error_message: string,      see Rcs620s.READER_ERRORS
+     *          field: boolean,             an external RF field is present
+     *          targets: [{target, baud_rx, baud_tx, modulation}, ...]
+     *      }
+     *      if fail, rejects with a FelicaError
+     */
+    get_general_status(options = {}) {
+        let self = this.constructor
+        return this._rw_command('\xd4\x04', buf => buf && buf.length >= 5 && buf[0] === 0xd5 && buf[1] === 0x05
+            && buf.length >= 5 + buf[4] * 4, options).then(buf => ({
+            error: buf[2],
+            error_message: self.READER_ERRORS[buf[2]] || 'unknown',
+            field: buf[3] === 0x01,
+            targets: range(buf[4]).map(i => ({
+                target: buf[5 + i * 4],
+                baud_rx: buf[6 + i * 4],
+                baud_tx: buf[7 + i * 4],
+                modulation: buf[8 + i * 4]
+            }))
+        }))
+    }
+
+    /**
+     * turns the RF field off (RFConfiguration, RF field) ; cards lose power until the next polling or rf_on()
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     */
+    rf_off(options = {}) {
+        return this._rw_command('\xd4\x32\x01\x00', 'd533', options).then(() => undefined)
+    }
+
+    /**
+     * turns the RF field on (RFConfiguration, RF field)
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     */
+    rf_on(options = {}) {
+        return this._rw_command('\xd4\x32\x01\x01', 'd533', options).then(() => undefined)
+    }
+
+    /**
+     * PowerDown : puts the reader to sleep until wake_up() ; stop the polling loop first
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; DEVICE_STATUS if the reader refused
+     */
+    power_down(options = {}) {
+        let self = this.constructor
+        return this._rw_command(Buffer.from([0xd4, 0x16, self.WAKE_UP_ENABLE.HSU]),
+            buf => buf && buf.length === 3 && buf[0] === 0xd5 && buf[1] === 0x17, options).then(buf => {
+            if (buf[2] !== 0x00)
+                return Promise.reject(new DeviceStatusError('DEVICE_STATUS', 'the reader refused to power down',
+                    {command: 'PowerDown', status: buf[2]}));
+            // RF settings may be lost while asleep
+            this._device_initialized = false
+        })
+    }
+
+    /**
+     * wakes the reader up after power_down() : sends a wake-up sequence on the serial line, then checks that the
+     * reader answers to GetFirmwareVersion
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the firmware version ; see get_firmware_version()
+     *      if fail, rejects with a FelicaError
+     */
+    wake_up(options = {}) {
+        let self = this.constructor
+        return this._write_serial(self.WAKE_UP_SEQUENCE)
+            .then(() => new Promise(ok => setTimeout(ok, self.WAKE_UP_DELAY_MS)))
+            .then(() => this.get_firmware_version(options))
+    }
+
+    /**
+     * checks that the reader works : communication line test, firmware version, general status, and the RF field
+     * turned off and on again ; a step that fails is reported, not thrown
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command() ; plus power_cycle : also power down and wake up
+     *      (stop the polling loop first)
+     * @returns {Promise}
+     *      resolves with {
+     *          ok: boolean,                every step passed
+     *          firmware: object|null,      see get_firmware_version()
+     *          status: object|null,        see get_general_status()
+     *          steps: [{name, ok, elapsed_ms, error}, ...]    error is the FelicaError (as JSON) of a failed step
+     *      }
+     *      rejects only with an AbortError, if options.signal fired
+     */
+    self_test(options = {}) {
+        let report = {ok: true, firmware: null, status: null, steps: []},
+            step = (name, func) => () => {
+                let started = Date.now()
+                return func().then(
+                    result => {
+                        report.steps.push({name: name, ok: true, elapsed_ms: Date.now() - started})
+                        return result
+                    },
+                    err => {
+                        if (err instanceof AbortError) return Promise.reject(err);
+                        report.ok = false
+                        report.steps.push({
+                            name: name,
+                            ok: false,
+                            elapsed_ms: Date.now() - started,
+                            error: err instanceof FelicaError ? err.toJSON() : {message: String(err)}
+                        })
+                    }
+                )
+            },
+            funcs = [
+                step('communication_line', () => this.check_communication_line(options)),
+                step('firmware_version', () => this.get_firmware_version(options).then(firmware => {
+                    report.firmware = firmware
+                })),
+                step('general_status', () => this.get_general_status(options).then(status => {
+                    report.status = status
+                })),
+                step('rf_off', () => this.rf_off(options)),
+                step('rf_on', () => this.rf_on(options))
+            ]
+        if (options.power_cycle)
+            funcs.push(step('power_down', () => this.power_down(options)), step('wake_up', () => this.wake_up(options)));
+        return serial(funcs).then(() => report)
+    }
 
-        this._busy = true
+    /**
+     * looks for a card of one system
+     * @param {string} system_code
+     *      2 bytes, big endian ; e.g. Rcs620s.SYSTEM_CODE.SUICA
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {type: Rcs620s.CARD_TYPE.FELICA, idm, pmn}, or with no arguments
+     *      if no card answered
+     *      if fail, rejects with a FelicaError
+     */
+    polling(system_code, options = {}) {
         // console.log("### polling")
-        let me = this
+        let me = this,
+            self = this.constructor
         return new Promise((ok, ng) => {
             me._rw_command(
                 concat_buffer('\xd4\x4a\x01\x01\x00', system_code, '\x00\x0f'),
@@ -552,198 +998,1783 @@ class Rcs620s {
                     return buf && (
                             hex.indexOf('d54b01011201') === 0 || hex.indexOf('d54b00') === 0
                         )
-                }
+                },
+                options
             ).then(
                 response_buffer1 => {
-                    me._busy = false
-
                     let hex = response_buffer1.toString('hex');
                     if (hex.indexOf('d54b01011201') === 0) {
                         let idm = response_buffer1.slice(6, 6 + 8),
                             pmn = response_buffer1.slice(14, 14 + 8)
-                        ok({idm: idm, pmn: pmn})
+                        ok({type: self.CARD_TYPE.FELICA, idm: idm, pmn: pmn})
                     }
                     else ok();
                 },
-                err => {
-                    me._busy = false
-                    ng({error: 'InListPassiveTarget-failed', error2: err})
-                }
+                err => ng(err)
             )
         })
     }
 
     /**
-     *
-     * @param {...Buffer|string} _
-     * @returns {Buffer}
-     * @private
+     * looks for an ISO14443 Type A card (106 kbps), e.g. MIFARE Ultralight or NTAG ; the card found is the target
+     * of read_pages(), write_pages() and ntag_get_version()
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {type: Rcs620s.CARD_TYPE.TYPE_A, uid, atqa, sak}, or with no arguments
+     *      if no card answered ; uid (4, 7 or 10 bytes) and atqa (2 bytes) are Buffers, sak a number
+     *      if fail, rejects with a FelicaError
      */
-    static _concat_buffer(_) {
-        let concat_from = []
-        for (let i = 0; i < arguments.length; ++i) {
-            let arg = arguments[i]
-            concat_from.push(arg instanceof Buffer ? arg : new Buffer(arg, 'ascii'))
-        }
-        return Buffer.concat(concat_from)
-    }
-
-
-    _request_service(idm, service_code) {
-        let me = this,
-            self = this.constructor
+    polling_type_a(options = {}) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            // D5 4B <NbTg> [<Tg> <SENS_RES 2> <SEL_RES> <NFCIDLength> <NFCID1>]
+            this._rw_command('\xd4\x4a\x01\x00', buf =>
+                buf.length >= 3 && buf[0] === 0xd5 && buf[1] === 0x4b
+                && (buf[2] === 0x00 || buf.length >= 8 + buf[7]),
+                options
+            ).then(
+                response => {
+                    if (response[2] === 0x00) return ok();
+                    ok({
+                        type: self.CARD_TYPE.TYPE_A,
+                        uid: response.slice(8, 8 + response[7]),
+                        atqa: response.slice(4, 6),
+                        sak: response[6]
+                    })
+                },
+                err => ng(err)
+            )
+        })
+    }
 
+    /**
+     * reads pages of a MIFARE Ultralight / NTAG card
+     * @param {number} page
+     *      first page
+     * @param {number} [count=4]
+     *      number of pages ; read 4 at a time
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the pages in one Buffer (4 bytes each)
+     *      if fail, rejects with a FelicaError, with the page of the failing READ in page_number
+     */
+    read_pages(page, count = ntag.READ_PAGES, options = {}) {
+        let funcs = range(Math.ceil(count / ntag.READ_PAGES)).map(i => () => {
+            let page_number = page + i * ntag.READ_PAGES
+            return this._type_a_command(Buffer.from([ntag.COMMANDS.READ, page_number]),
+                buf => buf.length === ntag.READ_PAGES * ntag.PAGE_SIZE, options)
+                .catch(err => Promise.reject(annotate(err, {page_number: page_number})))
+        })
         return new Promise((ok, ng) => {
-            // construct command : 02 <IDM> 01 <SERVICE_CODE>
-            let command = self._concat_buffer('\x02', idm, '\x01', service_code),
+            serial(funcs).then(
+                buffers => ok(Buffer.concat(buffers).slice(0, count * ntag.PAGE_SIZE)),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * writes pages of a MIFARE Ultralight / NTAG card, one WRITE per page
+     * @param {number} page
+     *      first page
+     * @param {Buffer} data
+     *      4 bytes per page
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError, with the failing page in page_number ; CardStatusError
+     *      (code CARD_NAK) if the card refused the write
+     */
+    write_pages(page, data, options = {}) {
+        if (!(data instanceof Buffer) || !data.length || data.length % ntag.PAGE_SIZE)
+            throw new TypeError(`expecting Buffer of 4 bytes per page ; received : ${data}`);
+
+        let funcs = range(data.length / ntag.PAGE_SIZE).map(i => () => this._type_a_command(
+            Buffer.concat([Buffer.from([ntag.COMMANDS.WRITE, page + i]), data.slice(i * 4, (i + 1) * 4)]),
+            buf => buf.length === 1 && buf[0] === ntag.ACK,
+            options
+        ).catch(err => Promise.reject(annotate(err, {page_number: page + i}))))
+        return new Promise((ok, ng) => {
+            serial(funcs).then(
+                () => ok(),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * NTAG / Ultralight EV1 GET_VERSION
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the version ; see ntag.parse_version()
+     *      if fail, rejects with a FelicaError
+     */
+    ntag_get_version(options = {}) {
+        return this._type_a_command(Buffer.from([ntag.COMMANDS.GET_VERSION]), buf => buf.length === 8, options)
+            .then(response => ntag.parse_version(response))
+    }
+
+    /**
+     *
+     * @param {...Buffer|string} _
+     * @returns {Buffer}
+     * @private
+     */
+    static _concat_buffer(_) {
+        let concat_from = []
+        for (let i = 0; i < arguments.length; ++i) {
+            let arg = arguments[i]
+            concat_from.push(arg instanceof Buffer ? arg : new Buffer(arg, 'ascii'))
+        }
+        return Buffer.concat(concat_from)
+    }
+
+
+    /**
+     * Request Service : key versions of areas or services
+     * @param {Buffer|string} idm
+     * @param {Array<number|string|Buffer>} codes
+     *      up to 32 area or service codes ; numbers, or 2-byte little endian strings/Buffers like '\x8b\x00'
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [KEY_VERSION, ...] in the order of codes ; 0xffff means no such area/service
+     *      if fail, rejects with a FelicaError
+     */
+    request_key_versions(idm, codes, options = {}) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            // construct command : 02 <IDM> <COUNT> <CODE> ...
+            let command = self._concat_buffer.apply(self,
+                ['\x02', idm, String.fromCharCode(codes.length)].concat(codes.map(self._node_code))),
                 res_prefix_expected = self._concat_buffer('\x03', idm).toString('hex')
             // console.log('requesting service; sending command:', command, '; expecting res-prefix:', res_prefix_expected)
-            // console.log(colors.bgMagenta.yellow.bold('sending card-command'))
-            this._card_command(command, buf => {
-                    // console.log(colors.bgMagenta.yellow.bold('request-service : checking buffer: '), buf)
-                    return buf
-                        && buf.length === 12
-                        && buf.toString('hex').indexOf(res_prefix_expected) === 0
-                        && buf.slice(10).toString('hex') !== 'ffff'
-                }
+            this._card_command(command, buf =>
+                buf
+                && buf.length === 10 + codes.length * 2
+                && buf.toString('hex').indexOf(res_prefix_expected) === 0,
+                options
             ).then(
-                response_buffer => ok(),
-                err => ng({error: 'request-service-failed', error2: err})
+                response_buffer => ok(range(codes.length).map(i => read_number(response_buffer, 10 + i * 2, 2, 'LE'))),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * checks that services exist on the card
+     * @param {Buffer|string} idm
+     * @param {string|Buffer|Array<string|Buffer>} service_codes
+     *      one service code (2 bytes, little endian) or a list of up to 32
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if every service exists, resolves with their key versions
+     *      if fail, rejects with a FelicaError ; code is NO_SUCH_SERVICE if a service does not exist
+     * @private
+     */
+    _request_service(idm, service_codes, options = {}) {
+        let self = this.constructor
+        if (!Array.isArray(service_codes)) service_codes = [service_codes];
+
+        return new Promise((ok, ng) => {
+            this.request_key_versions(idm, service_codes, options).then(
+                key_versions => {
+                    // key version ffff : no such service
+                    let missing = key_versions.indexOf(0xffff)
+                    if (missing >= 0)
+                        return ng(new FelicaError('NO_SUCH_SERVICE', 'the card has no such service', {
+                            command: 'RequestService',
+                            service_code: ('000' + read_number(Buffer.from(self._node_code(service_codes[missing]), 'latin1'),
+                                0, 2, 'LE').toString(16)).slice(-4)
+                        }));
+                    ok(key_versions)
+                },
+                err => ng(err)
             )
         })
 
     }
 
-    _read_without_encryption(idm, service_code, block_number) {
+    /**
+     * one Read Without Encryption command
+     * @param {Buffer|string} idm
+     * @param {Array<string|Buffer>} service_codes
+     *      up to 16 service codes
+     * @param {Array<{service_index: number, block_number: number}>} blocks
+     *      block list ; service_index refers to service_codes
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [BLOCK_BUFFER, ...] (16 bytes each) in the order of blocks
+     *      if fail, rejects with a FelicaError ; CardStatusError if the card refused the read
+     * @private
+     */
+    _read_without_encryption(idm, service_codes, blocks, options = {}) {
         // 暗号化なしで読む
         let me = this,
             self = this.constructor
         return new Promise((ok, ng) => {
-            let command = self._concat_buffer('\x06', idm, '\x01', //  サービス数
-                service_code, '\x01',// ブロック数(なぜか複数指定するとエラーが返る)
-                '\x80', String.fromCharCode(block_number)
-                ),
-                res_prefix_expected = self._concat_buffer('\x07', idm).toString('ascii')
+            let block_list = blocks.map(block => self._block_list_element(block.service_index, block.block_number)),
+                command = self._concat_buffer.apply(self,
+                    ['\x06', idm, String.fromCharCode(service_codes.length)].concat(service_codes, // サービス数
+                        [String.fromCharCode(blocks.length)], block_list)), // ブロック数
+                res_prefix_expected = self._concat_buffer('\x07', idm).toString('hex')
 
             this._card_command(command, buf =>
-                buf && buf.length === 28
-                && (buf.toString('ascii').indexOf(res_prefix_expected) === 0)
+                buf && buf.length >= 11
+                && (buf.toString('hex').indexOf(res_prefix_expected) === 0),
+                options
             ).then(
-                response_buffer => ok(response_buffer.slice(12)),
-                err => ng({error: 'rw-command-failed', error2: err})
+                response_buffer => {
+                    let error = self._status_flag_error(response_buffer, {command: 'ReadWithoutEncryption'})
+                    if (error) return ng(error);
+                    if (response_buffer.length !== 12 + blocks.length * 16)
+                        return ng(new FrameError('UNEXPECTED_CARD_RESPONSE', 'the read response length does not match', {
+                            command: 'ReadWithoutEncryption',
+                            response: response_buffer.toString('hex')
+                        }));
+                    ok(range(blocks.length).map(i => response_buffer.slice(12 + i * 16, 28 + i * 16)))
+                },
+                err => ng(err)
             )
         })
     }
 
-    _read_without_encryption2(idm, service_code, block_number, length) {
-        let me = this
-        me._busy = true
-        // console.log(colors.bgCyan.yellow.bold(`read without encryption; block ${block_number} , len ${length}`))
-        return new Promise((ok, ng) => {
-            let tasks = range(length).map(
-                i => {
-                    return () => new Promise((task_ok, task_ng) => {
-                        me._read_without_encryption(idm, service_code, block_number + i).then(
-                            buf => task_ok(buf),
-                            err => {
-                                console.warn(colors.bgRed.yellow.bold(`read-without-encryption-failed ; block: ${block_number + i} ; error :`), err)
-                                return task_ng({
-                                    error: 'read-without-encryption-failed',
-                                    error2: err,
-                                    block_number: block_number + i
-                                })
-                            }
-                        )
-                    })
+    /**
+     * reads any number of blocks, packing as many as possible into each Read Without Encryption command.
+     * if the card rejects a command (status flag a2 : too many blocks, or an unexpected answer) the batch is
+     * retried in halves, and the smaller size is used for the rest of this call ; other errors end the call
+     * @param {Buffer|string} idm
+     * @param {Array<{service_code: string|Buffer, block_number: number}>} requests
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @param {number} [max_blocks=MAX_READ_BLOCKS]
+     *      blocks per command to start with
+     * @returns {Promise}
+     *      if success, resolves with [BLOCK_BUFFER, ...] in the order of requests
+     *      if fail, rejects with a FelicaError, with the block_number of the first block of the failing command
+     * @private
+     */
+    _read_without_encryption2(idm, requests, options = {}, max_blocks = this.constructor.MAX_READ_BLOCKS) {
+        let me = this,
+            self = this.constructor,
+            results = []
+
+        // splits requests[start..] into a batch of up to max_blocks blocks and 16 services
+        let make_batch = (start, max_blocks) => {
+            let service_codes = [],
+                service_keys = [],
+                blocks = []
+            for (let i = start; i < requests.length && blocks.length < max_blocks; ++i) {
+                let key = self._concat_buffer(requests[i].service_code).toString('hex'),
+                    service_index = service_keys.indexOf(key)
+                if (service_index < 0) {
+                    if (service_keys.length >= self.MAX_READ_SERVICES) break;
+                    service_index = service_keys.push(key) - 1
+                    service_codes.push(requests[i].service_code)
                 }
-            )
-            serial(tasks).then(
-                results => {
-                    me._busy = false
-                    // console.log('tasks completed!')
-                    ok(Buffer.concat(results))
+                blocks.push({service_index: service_index, block_number: requests[i].block_number})
+            }
+            return {service_codes: service_codes, blocks: blocks}
+        }
+
+        let read_from = (start) => {
+            if (start >= requests.length) return Promise.resolve(results);
+            let batch = make_batch(start, max_blocks)
+            return me._read_without_encryption(idm, batch.service_codes, batch.blocks, options).then(
+                buffers => {
+                    results = results.concat(buffers)
+                    return read_from(start + buffers.length)
                 },
                 err => {
-                    me._busy = false
-                    return ng({error: 'read-without-encryption2-task-error', error2: err})
+                    // only the card turning the command down is worth retrying : status a2 (too many blocks) or
+                    // an answer that does not fit ; a missing card or a timeout would fail again on every half
+                    let rejected = batch.blocks.length > 1 && (
+                        (err instanceof CardStatusError && err.status_flag2 === 0xa2)
+                        || (err instanceof FrameError
+                            && (err.code === 'UNEXPECTED_RESPONSE' || err.code === 'UNEXPECTED_CARD_RESPONSE')))
+                    if (!rejected) return Promise.reject(annotate(err, {block_number: requests[start].block_number}));
+                    // fall back to smaller batches
+                    max_blocks = Math.ceil(batch.blocks.length / 2)
+                    return read_from(start)
                 }
             )
-        })
+        }
+
+        return read_from(0)
     }
 
 
-    read_block(idm, service_code, block_number, length) {
-        // console.log(colors.bgWhite.black(' ### reading block ### '))
+    /**
+     * reads consecutive blocks of one service
+     * @param {Buffer|string} idm
+     * @param {string|Buffer} service_code
+     * @param {number} block_number
+     * @param {number} length
+     *      number of blocks
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the blocks in one Buffer
+     *      if fail, rejects with a FelicaError
+     */
+    read_block(idm, service_code, block_number, length, options = {}) {
         // 存在確認してから読む
         let me = this
         return new Promise((ok, ng) => {
-            me._request_service(idm, service_code).then(
+            me._request_service(idm, service_code, options).then(
                 () => {
-                    // console.log(colors.bgMagenta.yellow.bold('request service OK!'))
-                    me._read_without_encryption2(idm, service_code, block_number, length).then(
-                        buf => ok(buf),
-                        err => ng({error: 'read-without-encryption2-failed', error2: err})
+                    let requests = range(length).map(i => ({service_code: service_code, block_number: block_number + i}))
+                    me._read_without_encryption2(idm, requests, options).then(
+                        buffers => ok(Buffer.concat(buffers)),
+                        err => ng(err)
                     )
                 },
-                err => ng({error: 'request-service-failed', error2: err})
+                err => ng(err)
             )
         })
     }
 
-    read_service(idm, sevice) {
-        var self = this.constructor
-        if (!sevice.service_code || !sevice.blocks)
-            throw 'expecting service_dict to be {service_code:xx, blocks:xx}';
+    /**
+     * reads blocks of one or more services ; blocks are packed into as few commands as the card accepts
+     * @param {Buffer|string} idm
+     * @param {Array<{service_code: string|Buffer, block_number: number}>} requests
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [BLOCK_BUFFER, ...] (16 bytes each) in the order of requests
+     *      if fail, rejects with a FelicaError
+     */
+    read_blocks(idm, requests, options = {}) {
+        let me = this,
+            self = this.constructor,
+            service_keys = [],
+            service_codes = []
+        for (const request of requests) {
+            let key = self._concat_buffer(request.service_code).toString('hex')
+            if (service_keys.indexOf(key) < 0) {
+                service_keys.push(key)
+                service_codes.push(request.service_code)
+            }
+        }
+        return new Promise((ok, ng) => {
+            me._request_service(idm, service_codes, options).then(
+                () => me._read_without_encryption2(idm, requests, options).then(
+                    buffers => ok(buffers),
+                    err => ng(err)
+                ),
+                err => ng(err)
+            )
+        })
+    }
+
+    read_service(idm, sevice, options = {}) {
+        return this.read_services(idm, [sevice], options).then(outputs => outputs[0])
+    }
+
+    /**
+     * reads every block of several services (e.g. entries of Rcs620s.SERVICES.SUICA) in as few commands
+     * as possible, then passes each service's blocks to its processing function, or decodes them with its
+     * layout (see block_layout.js)
+     * @param {Buffer|string} idm
+     * @param {object[]} services
+     *      [{service_code, blocks, processing}, ...] or [{service_code, blocks, layout}, ...]
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [PROCESSING_OUTPUT, ...] in the order of services
+     *      if fail, rejects with a FelicaError ; LAYOUT_INVALID (with the service_code) if a layout is malformed
+     */
+    read_services(idm, services, options = {}) {
+        let self = this.constructor
+        for (const service of services) {
+            if (!service.service_code || !service.blocks)
+                throw new TypeError('expecting service_dict to be {service_code:xx, blocks:xx}');
+            if (service.layout) {
+                try {
+                    block_layout.check_layout(service.layout)
+                }
+                catch (e) {
+                    let code = Buffer.from(self._node_code(service.service_code), 'latin1'),
+                        service_code = ('000' + read_number(code, 0, 2, 'LE').toString(16)).slice(-4)
+                    return Promise.reject(new FormatError('LAYOUT_INVALID',
+                        `the layout of service ${service_code} is malformed : ${e.message}`,
+                        {service_code: service_code, cause: e}))
+                }
+            }
+        }
+        let requests = []
+        for (const service of services) {
+            for (let i = 0; i < service.blocks; ++i) requests.push({service_code: service.service_code, block_number: i});
+        }
         return new Promise((read_service_ok, read_service_ng) => {
+            this.read_blocks(idm, requests, options).then(
+                buffers => {
+                    let offset = 0
+                    read_service_ok(services.map(service => {
+                        let results = buffers.slice(offset, offset += service.blocks)
+                        if (typeof service.processing === 'function') return service.processing(results);
+                        return service.layout ? block_layout.decode(service.layout, results) : results
+                    }))
+                },
+                err => read_service_ng(err)
+            )
+        })
+    }
+
+    /**
+     * Search Service Code : the area or service at one index of the system's node list
+     * @param {Buffer|string} idm
+     * @param {number} index
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {code} for a service, {code, end} for an area, or null past the last node
+     *      if fail, rejects with a FelicaError
+     */
+    search_service_code(idm, index, options = {}) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            let command = self._concat_buffer('\x0a', idm, int2strbinLE(index, 2)),
+                res_prefix_expected = self._concat_buffer('\x0b', idm).toString('hex')
+
+            this._card_command(command, buf =>
+                buf && (buf.length === 11 || buf.length === 13)
+                && buf.toString('hex').indexOf(res_prefix_expected) === 0,
+                options
+            ).then(
+                response_buffer => {
+                    let code = read_number(response_buffer, 9, 2, 'LE')
+                    if (code === 0xffff) return ok(null);
+                    if (response_buffer.length === 13) return ok({code: code, end: read_number(response_buffer, 11, 2, 'LE')});
+                    ok({code: code})
+                },
+                err => ng(annotate(err, {index: index}))
+            )
+        })
+    }
 
-            let service_code = sevice.service_code,
-                blocks = sevice.blocks,
-                processing = sevice.processing,
-                funcs = [];
+    /**
+     * inventories the areas and services of the system the IDm belongs to, using Search Service Code,
+     * and looks up the key version of each with Request Service
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {areas, services, tree} :
+     *          areas : [{code, number, end, can_create_subarea, key_version, parent}, ...]
+     *          services : [{code, number, type, access, read_only, encrypted, key_version, area}, ...]
+     *              (see Rcs620s.service_attribute() ; area is the code of the innermost area holding the service)
+     *          tree : the root area, with nested "areas" and "services" lists
+     *      if fail, rejects with a FelicaError
+     */
+    discover_services(idm, options = {}) {
+        let self = this.constructor,
+            nodes = []
+
+        let search_from = index => {
+            if (index > self.MAX_SEARCH_INDEX) return Promise.resolve(nodes);
+            return this.search_service_code(idm, index, options).then(node => {
+                if (!node) return nodes;
+                nodes.push(node)
+                return search_from(index + 1)
+            })
+        }
 
-            for (let i = 0; i < blocks; ++i) {
-                funcs.push(() => this.read_block(idm, service_code, i, blocks))
+        return new Promise((ok, ng) => {
+            search_from(0).then(
+                () => {
+                    let batches = range(Math.ceil(nodes.length / 32)).map(i => () => this.request_key_versions(idm,
+                        nodes.slice(i * 32, (i + 1) * 32).map(node => node.code), options))
+                    return serial(batches)
+                }
+            ).then(
+                key_versions => ok(self._build_node_tree(nodes, key_versions)),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * @param {Array<{code: number, end: number}>} nodes
+     *      as returned by search_service_code()
+     * @param {number[]} key_versions
+     * @returns {{areas: object[], services: object[], tree: object}}
+     * @private
+     */
+    static _build_node_tree(nodes, key_versions) {
+        let areas = [],
+            services = [],
+            innermost_area = code => areas.reduce((found, area) =>
+                area.code <= code && code <= area.end && (!found || area.end - area.code <= found.end - found.code)
+                    ? area : found, null)
+
+        nodes.forEach((node, i) => {
+            if (node.end !== undefined) {
+                let parent = innermost_area(node.code),
+                    area = {
+                        code: node.code,
+                        number: node.code >> 6,
+                        end: node.end,
+                        can_create_subarea: (node.code & 0x3f) === 0x00,
+                        key_version: key_versions[i],
+                        parent: parent ? parent.code : null,
+                        areas: [],
+                        services: []
+                    }
+                if (parent) parent.areas.push(area);
+                areas.push(area)
+            }
+            else {
+                let area = innermost_area(node.code),
+                    service = Object.assign({code: node.code, number: node.code >> 6},
+                        this.service_attribute(node.code),
+                        {key_version: key_versions[i], area: area ? area.code : null})
+                if (area) area.services.push(service);
+                services.push(service)
             }
-            //  run each func sequentially
+        })
+        return {
+            areas: areas.map(area => ({
+                code: area.code,
+                number: area.number,
+                end: area.end,
+                can_create_subarea: area.can_create_subarea,
+                key_version: area.key_version,
+                parent: area.parent
+            })),
+            services: services,
+            tree: areas[0] || null
+        }
+    }
+
+    /**
+     * @param {string} value
+     *      4 hex digits (e.g. '0003'), or a key of Rcs620s.SYSTEM_CODE in any case (e.g. 'suica')
+     * @returns {string}
+     *      2-byte binary string, big endian, as taken by polling()
+     * @throws {TypeError}
+     *      if the value is neither
+     */
+    static parse_system_code(value) {
+        let key = String(value).toUpperCase()
+        if (Object.prototype.hasOwnProperty.call(this.SYSTEM_CODE, key)) return this.SYSTEM_CODE[key];
+        if (!/^[0-9a-f]{4}$/i.test(value)) throw new TypeError(`unknown system : ${value}`);
+        return Buffer.from(value, 'hex').toString('latin1')
+    }
+
+    /**
+     * decodes the attribute bits (lower 6 bits) of a service code
+     * @param {number} service_code
+     * @returns {{type: string, access: string, read_only: boolean, encrypted: boolean}}
+     *      type : 'random', 'cyclic' or 'purse'
+     *      access : 'read-write' or 'read-only' ; for purse services also 'direct', 'cashback' or 'decrement'
+     *      encrypted : true if the service can only be accessed after mutual authentication
+     */
+    static service_attribute(service_code) {
+        let attribute = service_code & 0x3e,
+            out = {type: '', access: '', read_only: false, encrypted: !(service_code & 0x01)}
+        if (attribute === 0x08 || attribute === 0x0a) {
+            out.type = 'random'
+            out.read_only = attribute === 0x0a
+        }
+        else if (attribute === 0x0c || attribute === 0x0e) {
+            out.type = 'cyclic'
+            out.read_only = attribute === 0x0e
+        }
+        else if (attribute >= 0x10 && attribute <= 0x16) {
+            out.type = 'purse'
+            out.read_only = attribute === 0x16
+            out.access = ['direct', 'cashback', 'decrement', 'read-only'][(attribute - 0x10) / 2]
+        }
+        if (!out.access) out.access = out.read_only ? 'read-only' : 'read-write';
+        return out
+    }
+
+    /**
+     * Request Response : asks a card for its current mode
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the mode (0 unless authenticated)
+     *      if fail, rejects with a FelicaError ; NoCardError if the card is gone
+     */
+    request_response(idm, options = {}) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            let command = self._concat_buffer('\x04', idm),
+                res_prefix_expected = self._concat_buffer('\x05', idm).toString('hex')
+
+            this._card_command(command, buf =>
+                buf && buf.length === 10
+                && buf.toString('hex').indexOf(res_prefix_expected) === 0,
+                options
+            ).then(
+                response_buffer => ok(response_buffer[9]),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * checks whether the card with this IDm is still in the field
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with true or false
+     *      if fail (reader error), rejects with a FelicaError
+     */
+    is_card_present(idm, options = {}) {
+        return new Promise((ok, ng) => {
+            this.request_response(idm, options).then(
+                () => ok(true),
+                // another card answering is as good as none
+                err => err instanceof NoCardError || err.code === 'UNEXPECTED_CARD_RESPONSE'
+                    ? ok(false)
+                    : ng(err)
+            )
+        })
+    }
+
+    /**
+     * starts watching a card ; see PresenceMonitor
+     * @param {Buffer|string} idm
+     * @param {number} [interval=200]
+     *      milliseconds between presence checks
+     * @returns {PresenceMonitor}
+     */
+    watch_card(idm, interval) {
+        let monitor = new PresenceMonitor(this, idm, interval)
+        monitor.start()
+        return monitor
+    }
+
+    /**
+     * lists the systems hosted on a card (Request System Code)
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [SYSTEM_CODE, ...] ; each a 2-byte binary string, like the values
+     *      of Rcs620s.SYSTEM_CODE, that can be passed to polling()
+     *      if fail, rejects with a FelicaError
+     */
+    request_system_code(idm, options = {}) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            let command = self._concat_buffer('\x0c', idm),
+                res_prefix_expected = self._concat_buffer('\x0d', idm).toString('hex')
+
+            this._card_command(command, buf =>
+                buf && buf.length >= 10
+                && buf.toString('hex').indexOf(res_prefix_expected) === 0
+                && buf.length === 10 + buf[9] * 2,
+                options
+            ).then(
+                response_buffer => ok(range(response_buffer[9]).map(i =>
+                    response_buffer.slice(10 + i * 2, 12 + i * 2).toString('latin1'))),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * lists the systems hosted on a card together with the IDm/PMm of each, by polling every system
+     * reported by request_system_code()
+     * @param {Buffer|string} idm
+     *      IDm of any system of the card
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [{system_code, idm, pmn}, ...]
+     *      if fail, rejects with a FelicaError
+     */
+    enumerate_systems(idm, options = {}) {
+        return new Promise((ok, ng) => {
+            this.request_system_code(idm, options).then(
+                system_codes => serial(system_codes.map(system_code => () =>
+                    this.polling(system_code, options).then(data =>
+                        data ? [Object.assign({system_code: system_code}, data)] : [])
+                )).then(
+                    systems => ok(systems),
+                    err => ng(err)
+                ),
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * reads the balance of every e-money the card holds (see Rcs620s.BALANCE_SERVICES) : Suica and other
+     * 交通系 cards, 楽天Edy, WAON, nanaco
+     * @param {Buffer|string} idm
+     *      IDm of any system of the card
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [{brand, system_code, idm, balance}, ...] in the order of
+     *      Rcs620s.BALANCE_SERVICES ; empty if the card holds none of them
+     *      if fail, rejects with a FelicaError
+     */
+    read_balance(idm, options = {}) {
+        let self = this.constructor
+        return this.enumerate_systems(idm, options).then(systems => serial(systems.map(system => () => {
+            let candidates = self.BALANCE_SERVICES.filter(candidate => candidate.system_code === system.system_code)
+            if (!candidates.length) return Promise.resolve([]);
+            // one Request Service tells which of them exist
+            return this.request_key_versions(system.idm, candidates.map(candidate => candidate.service.service_code),
+                options).then(key_versions => {
+                let found = candidates.filter((candidate, i) => key_versions[i] !== 0xffff)
+                return this.read_services(system.idm, found.map(candidate => candidate.service), options)
+                    .then(outputs => found.map((candidate, i) => ({
+                        brand: candidate.brand,
+                        system_code: Buffer.from(system.system_code, 'latin1').toString('hex'),
+                        idm: system.idm,
+                        balance: outputs[i].balance
+                    })))
+            })
+        }))).then(balances => self.BALANCE_SERVICES
+            .map(candidate => balances.find(balance => balance.brand === candidate.brand))
+            .filter(balance => balance))
+    }
+
+    /**
+     * reads every readable block of the services in Rcs620s.SERVICES that live in the polled system (see
+     * Rcs620s.SERVICE_SYSTEMS) from the card in the field
+     * @param {string|Buffer} [system_code=Rcs620s.SYSTEM_CODE.SUICA]
+     *      system to poll ; a system without known services gives a dump without services
+     * @returns {Promise}
+     *      if success, resolves with a dump document (see card_dump.js) ; services that cannot be read
+     *      are included with the blocks read before the failure and an "error"
+     *      if fail, rejects with a FelicaError ; NoCardError if no card answered the polling
+     */
+    dump_card(system_code = Rcs620s.SYSTEM_CODE.SUICA) {
+        let self = this.constructor
+        return new Promise((ok, ng) => {
+            this.polling(system_code).then(
+                card => {
+                    if (!card) return ng(new NoCardError('NO_CARD', 'no card answered the polling', {command: 'InListPassiveTarget'}));
+                    let services = [],
+                        polled = self._concat_buffer(system_code).toString('latin1')
+                    for (const group of Object.keys(self.SERVICES)) {
+                        if (self.SERVICE_SYSTEMS[group] !== polled) continue;
+                        for (const name of Object.keys(self.SERVICES[group])) {
+                            let service = self.SERVICES[group][name]
+                            services.push({group: group, name: name, service_code: service.service_code, blocks: service.blocks})
+                        }
+                    }
+                    serial(services.map(service => () => this._dump_service(card.idm, service))).then(
+                        results => ok(card_dump.create_dump({
+                            idm: card.idm,
+                            pmm: card.pmn,
+                            system_code: system_code,
+                            services: results
+                        })),
+                        err => ng(err)
+                    )
+                },
+                err => ng(err)
+            )
+        })
+    }
+
+    /**
+     * @param {Buffer|string} idm
+     * @param {{group: string, name: string, service_code: string, blocks: number}} service
+     * @returns {Promise}
+     *      always resolves, with {group, name, service_code, blocks: [BLOCK_BUFFER, ...], error}
+     * @private
+     */
+    _dump_service(idm, service) {
+        let out = {group: service.group, name: service.name, service_code: service.service_code, blocks: []}
+
+        // if the whole service cannot be read at once, keep what can be read block by block
+        let read_from = block_number => {
+            if (block_number >= service.blocks) return Promise.resolve(out);
+            return this.read_block(idm, service.service_code, block_number, 1).then(
+                buf => {
+                    out.blocks.push(buf)
+                    return read_from(block_number + 1)
+                },
+                err => {
+                    out.error = err
+                    return out
+                }
+            )
+        }
+
+        return this.read_block(idm, service.service_code, 0, service.blocks).then(
+            buf => {
+                out.blocks = range(service.blocks).map(i => buf.slice(i * 16, (i + 1) * 16))
+                return out
+            },
+            err => err.command === 'RequestService'
+                ? Object.assign(out, {error: err})
+                : read_from(0)
+        )
+    }
+
+    /**
+     * encodes one element of a block list
+     * @param {number} service_index
+     *      index of the service in the service code list of the command
+     * @param {number} block_number
+     * @returns {Buffer}
+     *      2-byte element if the block number fits in one byte, otherwise 3-byte element
+     * @private
+     */
+    static _block_list_element(service_index, block_number) {
+        if (block_number < 0x100)
+            return Buffer.from([0x80 | (service_index & 0x0f), block_number]);
+        return Buffer.from([service_index & 0x0f, block_number & 0xff, (block_number >> 8) & 0xff])
+    }
+
+    /**
+     * @param {number|string|Buffer} code
+     *      area or service code ; a number, or 2 bytes little endian
+     * @returns {Buffer|string}
+     *      2 bytes little endian
+     * @private
+     */
+    static _node_code(code) {
+        return typeof code === 'number' ? int2strbinLE(code, 2) : code
+    }
+
+    /**
+     * @param {Buffer} response
+     *      card response to a command that carries status flags after the IDm
+     * @param {object} [extra]
+     *      properties to add to the error, e.g. command and block_number
+     * @returns {CardStatusError|undefined}
+     *      if the status flags indicate an error, otherwise undefined
+     * @private
+     */
+    static _status_flag_error(response, extra) {
+        let status_flag1 = response[9],
+            status_flag2 = response[10]
+        if (status_flag1 === 0x00) return;
+        let status_message = Rcs620s.STATUS_FLAG2[status_flag2] || 'unknown'
+        return new CardStatusError('CARD_STATUS', `the card refused the command : ${status_message}`, Object.assign({
+            status_flag1: status_flag1,
+            status_flag2: status_flag2,
+            status_message: status_message
+        }, extra))
+    }
+
+    /**
+     * one Write Without Encryption command
+     * @param {Buffer|string} idm
+     * @param {string|Buffer} service_code
+     * @param {number|number[]} block_number
+     *      first of consecutive blocks, or every block number (e.g. a block and MAC_A on a Lite-S card)
+     * @param {Buffer} data
+     *      16 bytes per block
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     * @private
+     */
+    _write_without_encryption(idm, service_code, block_number, data, options = {}) {
+        // 暗号化なしで書く
+        let self = this.constructor,
+            block_numbers = Array.isArray(block_number) ? block_number
+                : range(data.length / 16).map(i => block_number + i)
+        block_number = block_numbers[0]
+        return new Promise((ok, ng) => {
+            let block_count = block_numbers.length,
+                block_list = block_numbers.map(number => self._block_list_element(0, number)),
+                command = self._concat_buffer.apply(self, ['\x08', idm, '\x01', service_code,
+                    String.fromCharCode(block_count)].concat(block_list, [data])),
+                res_prefix_expected = self._concat_buffer('\x09', idm).toString('hex')
+
+            this._card_command(command, buf =>
+                buf && buf.length === 11
+                && buf.toString('hex').indexOf(res_prefix_expected) === 0,
+                options
+            ).then(
+                response_buffer => {
+                    let error = self._status_flag_error(response_buffer,
+                        {command: 'WriteWithoutEncryption', block_number: block_number})
+                    if (error) return ng(error);
+                    ok()
+                },
+                err => ng(annotate(err, {block_number: block_number}))
+            )
+        })
+    }
+
+    /**
+     * writes one or more consecutive blocks of a service that does not require authentication
+     * @param {Buffer|string} idm
+     * @param {string|Buffer} service_code
+     *      2 bytes, little endian ; e.g. '\x09\x00'
+     * @param {number} block_number
+     *      first block to write
+     * @param {Buffer} data
+     *      16 bytes per block ; up to Rcs620s.MAX_WRITE_BLOCKS blocks are sent in one command,
+     *      more than that are split across several commands
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; if the card refused the write, a CardStatusError whose
+     *      status_flag1, status_flag2 and status_message describe why
+     */
+    write_block(idm, service_code, block_number, data, options = {}) {
+        var self = this.constructor
+        if (!(data instanceof Buffer) || !data.length || data.length % 16)
+            throw new TypeError(`expecting Buffer of 16 bytes per block ; received : ${data}`);
+
+        let block_count = data.length / 16,
+            chunk_size = self.MAX_WRITE_BLOCKS,
+            funcs = range(Math.ceil(block_count / chunk_size)).map(i => () => this._write_without_encryption(
+                idm, service_code, block_number + i * chunk_size,
+                data.slice(i * chunk_size * 16, (i + 1) * chunk_size * 16),
+                options
+            ))
+        return new Promise((ok, ng) => {
             serial(funcs).then(
-                results => read_service_ok(processing(results)),
-                err => read_service_ng(err)
+                () => ok(),
+                err => ng(err)
             )
         })
     }
 
+    /**
+     * calls a key provider method ; errors other than FelicaError are wrapped as KEY_PROVIDER
+     * @param {object} key_provider
+     * @param {string} method
+     * @param {Array} args
+     * @returns {Promise}
+     * @private
+     */
+    static _call_key_provider(key_provider, method, args) {
+        return Promise.resolve().then(() => key_provider[method].apply(key_provider, args)).catch(err =>
+            Promise.reject(err instanceof FelicaError ? err
+                : new FelicaError('KEY_PROVIDER', `the key provider failed in ${method}()`, {cause: err})))
+    }
+
+    /**
+     * mutual authentication with the card (Authentication1 and Authentication2), for services that require a key ;
+     * the cryptography is done by key_provider, see felica_auth.js
+     * @param {Buffer|string} idm
+     * @param {Array<string|Buffer|number>} service_codes
+     *      up to 16 services to open ; numbers, or 2-byte little endian strings/Buffers like '\x08\x10'
+     * @param {object} key_provider
+     *      see felica_auth.js ; the library has none for real cards, VirtualRcs620s.key_provider() is for
+     *      simulated cards
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command() ; plus area_codes : areas to authenticate as well,
+     *      in the same formats as service_codes
+     * @returns {Promise}
+     *      if success, resolves with a session for read_blocks_encrypted() and write_blocks_encrypted() :
+     *      {idm, idt, service_codes, key_provider, session}
+     *      if fail, rejects with a FelicaError ; NO_SUCH_SERVICE if an area or service does not exist,
+     *      AUTHENTICATION_FAILED if the card does not hold the same keys, NO_KEY or KEY_PROVIDER from the provider
+     */
+    authenticate(idm, service_codes, key_provider, options = {}) {
+        let self = this.constructor,
+            to_number = code => read_number(Buffer.from(self._node_code(code), 'latin1'), 0, 2, 'LE'),
+            area_codes = (options.area_codes || []).map(self._node_code),
+            idm_buffer = self._concat_buffer(idm)
+        service_codes = service_codes.map(self._node_code)
+        if (!felica_auth.is_key_provider(key_provider))
+            throw new TypeError(
+                `expecting a key provider with ${felica_auth.METHODS.join(', ')} ; received : ${key_provider}`);
+        if (!service_codes.length || service_codes.length > self.MAX_READ_SERVICES)
+            throw new TypeError(`expecting 1 to ${self.MAX_READ_SERVICES} service codes ; received : ${service_codes}`);
+
+        let state = {}
+        return this._request_service(idm, area_codes.concat(service_codes), options).then(key_versions =>
+            self._call_key_provider(key_provider, 'authentication1', [{
+                idm: idm_buffer,
+                area_codes: area_codes.map(to_number),
+                service_codes: service_codes.map(to_number),
+                key_versions: key_versions
+            }])
+        ).then(result => {
+            state.context = result.context
+            let command = self._concat_buffer.apply(self, ['\x10', idm, String.fromCharCode(area_codes.length)]
+                    .concat(area_codes, [String.fromCharCode(service_codes.length)], service_codes,
+                        [result.challenge])),
+                res_prefix_expected = self._concat_buffer('\x11', idm).toString('hex')
+            return this._card_command(command, buf =>
+                buf && buf.length === 25 && buf.toString('hex').indexOf(res_prefix_expected) === 0, options)
+        }).then(response_buffer =>
+            self._call_key_provider(key_provider, 'authentication2', [state.context, {
+                m2c: response_buffer.slice(9, 17),
+                m3c: response_buffer.slice(17, 25)
+            }])
+        ).then(result => {
+            state.session = result.session
+            return this._card_command(self._concat_buffer('\x12', idm, result.response),
+                buf => buf && buf.length === 17 && buf[0] === 0x13, options)
+        }).then(response_buffer => ({
+            idm: idm_buffer,
+            idt: response_buffer.slice(1, 9),
+            service_codes: service_codes,
+            key_provider: key_provider,
+            session: state.session
+        }))
+    }
+
+    /**
+     * @param {object} session
+     *      see authenticate()
+     * @param {string|Buffer|number} service_code
+     * @returns {number}
+     *      index of the service in the session
+     * @throws {TypeError}
+     *      if the service was not authenticated
+     * @private
+     */
+    static _session_service_index(session, service_code) {
+        let code = Buffer.from(this._node_code(service_code), 'latin1'),
+            index = session.service_codes.findIndex(other => Buffer.from(other, 'latin1').equals(code))
+        if (index < 0) throw new TypeError(`service ${code.toString('hex')} was not authenticated in this session`);
+        return index
+    }
+
+    /**
+     * one Read command over an authenticated session
+     * @param {object} session
+     * @param {Array<{service_index: number, block_number: number}>} blocks
+     * @param {object} [options]
+     * @returns {Promise}
+     *      resolves with [BLOCK_BUFFER, ...]
+     * @private
+     */
+    _read_encrypted(session, blocks, options = {}) {
+        let self = this.constructor,
+            block_list = blocks.map(block => self._block_list_element(block.service_index, block.block_number)),
+            command = self._concat_buffer.apply(self, ['\x14', session.idt, String.fromCharCode(blocks.length)]
+                .concat(block_list)),
+            res_prefix_expected = self._concat_buffer('\x15', session.idt).toString('hex')
+
+        return this._card_command(command, buf =>
+            buf && buf.length >= 11 && buf.toString('hex').indexOf(res_prefix_expected) === 0, options
+        ).then(response_buffer => {
+            let error = self._status_flag_error(response_buffer, {command: 'Read'})
+            if (error) return Promise.reject(error);
+            if (response_buffer.length !== 12 + blocks.length * 16)
+                return Promise.reject(new FrameError('UNEXPECTED_CARD_RESPONSE',
+                    'the read response length does not match', {
+                    command: 'Read',
+                    response: response_buffer.toString('hex')
+                }));
+            return self._call_key_provider(session.key_provider, 'decrypt',
+                [session.session, response_buffer.slice(12)])
+        }).then(data => range(blocks.length).map(i => data.slice(i * 16, (i + 1) * 16)))
+    }
+
+    /**
+     * reads blocks of authenticated services ; the data is encrypted between the card and the key provider
+     * @param {object} session
+     *      see authenticate()
+     * @param {Array<{service_code: string|Buffer|number, block_number: number}>} requests
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [BLOCK_BUFFER, ...] in the order of requests
+     *      if fail, rejects with a FelicaError ; a CardStatusError if the card refused the read
+     */
+    read_blocks_encrypted(session, requests, options = {}) {
+        let self = this.constructor,
+            blocks = requests.map(request => ({
+                service_index: self._session_service_index(session, request.service_code),
+                block_number: request.block_number
+            })),
+            chunk_size = self.MAX_READ_BLOCKS,
+            funcs = range(Math.ceil(blocks.length / chunk_size)).map(i => () =>
+                this._read_encrypted(session, blocks.slice(i * chunk_size, (i + 1) * chunk_size), options).catch(err =>
+                    Promise.reject(annotate(err, {block_number: blocks[i * chunk_size].block_number}))))
+        return serial(funcs)
+    }
+
+    /**
+     * writes consecutive blocks of an authenticated service ; the data is encrypted by the key provider
+     * @param {object} session
+     *      see authenticate()
+     * @param {string|Buffer|number} service_code
+     * @param {number} block_number
+     *      first block to write
+     * @param {Buffer} data
+     *      16 bytes per block
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; a CardStatusError if the card refused the write
+     */
+    write_blocks_encrypted(session, service_code, block_number, data, options = {}) {
+        let self = this.constructor,
+            service_index = self._session_service_index(session, service_code)
+        if (!(data instanceof Buffer) || !data.length || data.length % 16)
+            throw new TypeError(`expecting Buffer of 16 bytes per block ; received : ${data}`);
+
+        let chunk_size = self.MAX_WRITE_BLOCKS,
+            res_prefix_expected = self._concat_buffer('\x17', session.idt).toString('hex'),
+            funcs = range(Math.ceil(data.length / 16 / chunk_size)).map(i => () => {
+                let first = block_number + i * chunk_size,
+                    chunk = data.slice(i * chunk_size * 16, (i + 1) * chunk_size * 16),
+                    block_list = range(chunk.length / 16).map(j => self._block_list_element(service_index, first + j))
+                let encrypt = self._call_key_provider(session.key_provider, 'encrypt', [session.session, chunk])
+                return encrypt.then(encrypted =>
+                    this._card_command(self._concat_buffer.apply(self, ['\x16', session.idt,
+                        String.fromCharCode(block_list.length)].concat(block_list, [encrypted])), buf =>
+                        buf && buf.length === 11 && buf.toString('hex').indexOf(res_prefix_expected) === 0, options)
+                ).then(
+                    response_buffer => {
+                        let error = self._status_flag_error(response_buffer, {command: 'Write', block_number: first})
+                        if (error) return Promise.reject(error);
+                    },
+                    err => Promise.reject(annotate(err, {block_number: first}))
+                )
+            })
+        return serial(funcs).then(() => undefined)
+    }
+
+    /**
+     * reads blocks of a Lite-S card (a FeliCa card polled with Rcs620s.SYSTEM_CODE.LITE_S) without MAC
+     * @param {Buffer|string} idm
+     * @param {number[]} block_numbers
+     *      see felica_lite_s.BLOCKS
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [BLOCK_BUFFER, ...]
+     *      if fail, rejects with a FelicaError
+     * @private
+     */
+    _read_lite_s(idm, block_numbers, options = {}) {
+        let self = this.constructor
+        return this._read_without_encryption(idm, [self.LITE_S_SERVICE.READ],
+            block_numbers.map(block_number => ({service_index: 0, block_number: block_number})), options)
+            .catch(err => Promise.reject(annotate(err, {block_number: block_numbers[0]})))
+    }
+
+    /**
+     * writes a fresh random challenge to the RC block, which starts a MAC session
+     * @param {Buffer|string} idm
+     * @param {Buffer} card_key
+     *      16 bytes
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {random_challenge, session_key}
+     *      if fail, rejects with a FelicaError
+     * @private
+     */
+    _start_lite_s_session(idm, card_key, options = {}) {
+        let self = this.constructor,
+            random_challenge = crypto.randomBytes(16)
+        return this._write_without_encryption(idm, self.LITE_S_SERVICE.WRITE, felica_lite_s.BLOCKS.RC,
+            random_challenge, options).then(() => ({
+            random_challenge: random_challenge,
+            session_key: felica_lite_s.session_key(card_key, random_challenge)
+        }))
+    }
+
+    /**
+     * @param {Buffer} card_key
+     * @throws {TypeError}
+     *      if card_key is not 16 bytes
+     * @private
+     */
+    static _check_card_key(card_key) {
+        if (!(card_key instanceof Buffer) || card_key.length !== 16)
+            throw new TypeError(`expecting card key Buffer of 16 bytes ; received : ${card_key}`);
+    }
+
+    /**
+     * reads up to 3 blocks of a Lite-S card together with MAC_A, and checks the MAC with the card key ;
+     * proves that the card holds the same key, and that the data was not altered on the way
+     * @param {Buffer|string} idm
+     * @param {number[]} block_numbers
+     *      up to felica_lite_s.MAX_MAC_BLOCKS blocks, e.g. [felica_lite_s.BLOCKS.ID]
+     * @param {Buffer} card_key
+     *      16 bytes, as written to the CK block
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [BLOCK_BUFFER, ...] in the order of block_numbers
+     *      if fail, rejects with a FelicaError ; MAC_MISMATCH if the MAC is wrong (other card key, or
+     *      tampered data)
+     */
+    read_blocks_with_mac(idm, block_numbers, card_key, options = {}) {
+        let self = this.constructor
+        self._check_card_key(card_key)
+        if (!Array.isArray(block_numbers) || !block_numbers.length
+            || block_numbers.length > felica_lite_s.MAX_MAC_BLOCKS)
+            throw new TypeError(
+                `expecting 1 to ${felica_lite_s.MAX_MAC_BLOCKS} block numbers ; received : ${block_numbers}`);
+
+        return this._start_lite_s_session(idm, card_key, options).then(session =>
+            this._read_lite_s(idm, block_numbers.concat([felica_lite_s.BLOCKS.MAC_A]), options).then(buffers => {
+                let data = buffers.slice(0, -1),
+                    mac_a = buffers[buffers.length - 1].slice(0, 8),
+                    expected = felica_lite_s.read_mac(session.session_key, session.random_challenge, block_numbers,
+                        Buffer.concat(data))
+                if (!crypto.timingSafeEqual(mac_a, expected))
+                    return Promise.reject(new FelicaError('MAC_MISMATCH', 'the MAC of the blocks read is wrong', {
+                        block_number: block_numbers[0]
+                    }));
+                return data
+            }))
+    }
+
+    /**
+     * writes one block of a Lite-S card together with MAC_A, e.g. blocks that the MC block protects with MAC
+     * @param {Buffer|string} idm
+     * @param {number} block_number
+     * @param {Buffer} data
+     *      16 bytes
+     * @param {Buffer} card_key
+     *      16 bytes, the current card key
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; a CardStatusError if the card does not accept the MAC
+     */
+    write_block_with_mac(idm, block_number, data, card_key, options = {}) {
+        let self = this.constructor
+        self._check_card_key(card_key)
+        if (!(data instanceof Buffer) || data.length !== 16)
+            throw new TypeError(`expecting Buffer of 16 bytes ; received : ${data}`);
+
+        return this._start_lite_s_session(idm, card_key, options).then(session =>
+            this.read_write_counter(idm, options).then(write_count => {
+                let mac_a = felica_lite_s.write_mac_block(session.session_key, session.random_challenge, write_count,
+                    block_number, data)
+                return this._write_without_encryption(idm, self.LITE_S_SERVICE.WRITE,
+                    [block_number, felica_lite_s.BLOCKS.MAC_A], Buffer.concat([data, mac_a]), options)
+            }))
+    }
+
+    /**
+     * writes the card key (CK block) of a Lite-S card
+     * @param {Buffer|string} idm
+     * @param {Buffer} card_key
+     *      16 bytes, the new key
+     * @param {Buffer} [current_key]
+     *      16 bytes ; needed if the MC block requires CK to be written with MAC, otherwise omit (or null)
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError
+     */
+    write_card_key(idm, card_key, current_key = null, options = {}) {
+        let self = this.constructor
+        self._check_card_key(card_key)
+        if (current_key) return this.write_block_with_mac(idm, felica_lite_s.BLOCKS.CK, card_key, current_key, options);
+        return this._write_without_encryption(idm, self.LITE_S_SERVICE.WRITE, felica_lite_s.BLOCKS.CK, card_key,
+            options)
+    }
+
+    /**
+     * reads the MC (memory configuration) block of a Lite-S card
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the configuration ; see felica_lite_s.parse_memory_configuration()
+     *      if fail, rejects with a FelicaError
+     */
+    read_memory_configuration(idm, options = {}) {
+        return this._read_lite_s(idm, [felica_lite_s.BLOCKS.MC], options)
+            .then(buffers => felica_lite_s.parse_memory_configuration(buffers[0]))
+    }
+
+    /**
+     * makes user blocks of a Lite-S card read-only, through the MC block. THIS CANNOT BE UNDONE
+     * @param {Buffer|string} idm
+     * @param {number[]} block_numbers
+     *      S_PAD0-13 and REG blocks (0x00-0x0e)
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the new configuration ; see felica_lite_s.parse_memory_configuration()
+     *      if fail, rejects with a FelicaError
+     */
+    lock_blocks(idm, block_numbers, options = {}) {
+        let self = this.constructor,
+            {S_PAD0, REG} = felica_lite_s.BLOCKS
+        if (!Array.isArray(block_numbers) || block_numbers.some(number => !(number >= S_PAD0 && number <= REG)))
+            throw new TypeError(`expecting block numbers from 0x00 to 0x0e ; received : ${block_numbers}`);
+
+        return this._read_lite_s(idm, [felica_lite_s.BLOCKS.MC], options).then(buffers => {
+            let block = felica_lite_s.lock_blocks(buffers[0], block_numbers)
+            return this._write_without_encryption(idm, self.LITE_S_SERVICE.WRITE, felica_lite_s.BLOCKS.MC, block,
+                options).then(() => felica_lite_s.parse_memory_configuration(block))
+        })
+    }
+
+    /**
+     * reads the write counter (WCNT block) of a Lite-S card ; it counts every write to the card
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the count
+     *      if fail, rejects with a FelicaError
+     */
+    read_write_counter(idm, options = {}) {
+        return this._read_lite_s(idm, [felica_lite_s.BLOCKS.WCNT], options)
+            .then(buffers => felica_lite_s.parse_write_count(buffers[0]))
+    }
+
+    /**
+     * @param {Buffer} message
+     * @returns {object[]}
+     *      records ; see ndef.parse_message()
+     * @throws {FormatError}
+     *      NDEF_INVALID if the message cannot be parsed
+     * @private
+     */
+    static _parse_ndef(message) {
+        return ndef.parse_message(message)
+    }
+
+    /**
+     * @param {object[]|Buffer} records
+     *      records (see ndef.uri_record() etc.) or an encoded NDEF message
+     * @returns {Buffer}
+     * @private
+     */
+    static _ndef_message(records) {
+        return records instanceof Buffer ? records : ndef.encode_message(records)
+    }
+
+    /**
+     * reads the attribute information block of a Type 3 tag (a FeliCa card polled with Rcs620s.SYSTEM_CODE.NDEF)
+     * @param {Buffer|string} idm
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with the attribute ; see ndef.parse_attribute_block()
+     *      if fail, rejects with a FelicaError ; NDEF_INVALID if the checksum is wrong
+     */
+    read_type3_attribute(idm, options = {}) {
+        let self = this.constructor
+        return this._read_without_encryption(idm, [self.NDEF_SERVICE.READ], [{service_index: 0, block_number: 0}], options)
+            .then(buffers => {
+                let attribute = ndef.parse_attribute_block(buffers[0])
+                if (!attribute.checksum_ok)
+                    return Promise.reject(new FormatError('NDEF_INVALID', 'the attribute block checksum is wrong',
+                        {block_number: 0}));
+                return attribute
+            })
+    }
+
+    /**
+     * reads the NDEF message of a Type 3 tag
+     * @param {Buffer|string} idm
+     *      IDm of the NDEF system
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [RECORD, ...] ; see ndef.parse_message()
+     *      if fail, rejects with a FelicaError ; NDEF_INVALID if the tag does not hold a valid message
+     */
+    read_type3_ndef(idm, options = {}) {
+        let self = this.constructor
+        return this.read_type3_attribute(idm, options).then(attribute => {
+            let block_count = Math.ceil(attribute.length / 16)
+            if (block_count > attribute.nmaxb)
+                return Promise.reject(new FormatError('NDEF_INVALID', 'the message is longer than the data area'));
+            if (!block_count) return [];
+            // the tag tells how many blocks it reads at once
+            let max_blocks = Math.min(attribute.nbr || self.MAX_READ_BLOCKS, self.MAX_READ_BLOCKS),
+                requests = range(block_count).map(i => ({service_code: self.NDEF_SERVICE.READ, block_number: 1 + i}))
+            return this._read_without_encryption2(idm, requests, options, max_blocks).then(buffers =>
+                self._parse_ndef(Buffer.concat(buffers).slice(0, attribute.length)))
+        })
+    }
+
+    /**
+     * writes an NDEF message to a Type 3 tag ; the attribute block is flagged while the data blocks are written
+     * @param {Buffer|string} idm
+     *      IDm of the NDEF system
+     * @param {object[]|Buffer} records
+     *      records (see ndef.uri_record() etc.) or an encoded NDEF message
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; NDEF_READ_ONLY if the tag is read-only, NDEF_TOO_LONG if
+     *      the message does not fit
+     */
+    write_type3_ndef(idm, records, options = {}) {
+        let self = this.constructor,
+            message = self._ndef_message(records),
+            block_count = Math.ceil(message.length / 16),
+            data = Buffer.alloc(block_count * 16)
+        message.copy(data)
+
+        return this.read_type3_attribute(idm, options).then(attribute => {
+            if (!attribute.writable) return Promise.reject(new FelicaError('NDEF_READ_ONLY', 'the tag is read-only'));
+            if (block_count > attribute.nmaxb)
+                return Promise.reject(new FelicaError('NDEF_TOO_LONG',
+                    `the message needs ${block_count} blocks ; the tag has ${attribute.nmaxb}`));
+
+            let blocks_per_write = Math.min(attribute.nbw || 1, self.MAX_WRITE_BLOCKS),
+                write_attribute = changes => () => this._write_without_encryption(idm, self.NDEF_SERVICE.WRITE, 0,
+                    ndef.build_attribute_block(Object.assign({}, attribute, changes)), options),
+                funcs = [write_attribute({writing: true})]
+            for (let i = 0; i < block_count; i += blocks_per_write) {
+                funcs.push(() => this._write_without_encryption(idm, self.NDEF_SERVICE.WRITE, 1 + i,
+                    data.slice(i * 16, (i + blocks_per_write) * 16), options))
+            }
+            funcs.push(write_attribute({writing: false, length: message.length}))
+            return serial(funcs).then(() => undefined)
+        })
+    }
 
+    /**
+     * reads the capability container and data area of a Type 2 tag found by polling_type_a()
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with {capability_container, tlvs, data}
+     *      if fail, rejects with a FelicaError ; NDEF_INVALID if the tag is not formatted for NDEF
+     * @private
+     */
+    _read_type2_data_area(options = {}) {
+        return this.read_pages(0, 4, options).then(pages => {
+            let capability_container = ndef.parse_capability_container(pages.slice(12, 16))
+            if (!capability_container.magic_ok || !capability_container.data_size)
+                return Promise.reject(new FormatError('NDEF_INVALID', 'the tag is not formatted for NDEF'));
+            return this.read_pages(4, capability_container.data_size / ntag.PAGE_SIZE, options).then(data => {
+                let tlvs
+                try {
+                    tlvs = ndef.parse_tlvs(data)
+                }
+                catch (e) {
+                    tlvs = null
+                }
+                return {capability_container: capability_container, tlvs: tlvs, data: data}
+            })
+        })
+    }
+
+    /**
+     * reads the NDEF message of a Type 2 tag (NTAG / Ultralight) found by polling_type_a()
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with [RECORD, ...] ; see ndef.parse_message() ; empty if there is no NDEF TLV
+     *      if fail, rejects with a FelicaError ; NDEF_INVALID if the tag does not hold a valid message
+     */
+    read_type2_ndef(options = {}) {
+        let self = this.constructor
+        return this._read_type2_data_area(options).then(area => {
+            if (!area.tlvs) return Promise.reject(new FormatError('NDEF_INVALID', 'the TLV blocks are malformed'));
+            let tlv = area.tlvs.find(tlv => tlv.tag === ndef.TLV.NDEF_MESSAGE)
+            return tlv ? self._parse_ndef(tlv.value) : []
+        })
+    }
+
+    /**
+     * writes an NDEF message to a Type 2 tag found by polling_type_a() ; lock and memory control TLVs at the
+     * start of the data area are kept
+     * @param {object[]|Buffer} records
+     *      records (see ndef.uri_record() etc.) or an encoded NDEF message
+     * @param {object} [options]
+     *      {timeout, priority, signal} ; see _rw_command()
+     * @returns {Promise}
+     *      if success, resolves with no arguments
+     *      if fail, rejects with a FelicaError ; NDEF_READ_ONLY if the tag is read-only, NDEF_TOO_LONG if
+     *      the message does not fit
+     */
+    write_type2_ndef(records, options = {}) {
+        let self = this.constructor,
+            message = self._ndef_message(records)
+        return this._read_type2_data_area(options).then(area => {
+            if (!area.capability_container.writable)
+                return Promise.reject(new FelicaError('NDEF_READ_ONLY', 'the tag is read-only'));
+
+            let kept = 0
+            for (const tlv of area.tlvs || []) {
+                if (tlv.tag !== ndef.TLV.LOCK_CONTROL && tlv.tag !== ndef.TLV.MEMORY_CONTROL) break;
+                kept = tlv.end
+            }
+            let content = Buffer.concat([area.data.slice(0, kept), ndef.build_ndef_tlv(message)]),
+                padded = Buffer.alloc(Math.ceil(content.length / ntag.PAGE_SIZE) * ntag.PAGE_SIZE)
+            content.copy(padded)
+            if (padded.length > area.capability_container.data_size)
+                return Promise.reject(new FelicaError('NDEF_TOO_LONG',
+                    `the message needs ${padded.length} bytes ; the tag has ${area.capability_container.data_size}`));
+            return this.write_pages(4, padded, options)
+        })
+    }
+}
+
+/**
+ * command priorities for _rw_command() and the options of public methods ; any number will do,
+ * higher goes first
+ */
+Rcs620s.PRIORITY = {
+    LOW: -10,
+    NORMAL: 0,
+    HIGH: 10
+}
+
+/**
+ * last error reported by GetGeneralStatus
+ */
+Rcs620s.READER_ERRORS = {
+    0x00: 'none',
+    0x01: 'timeout',
+    0x02: 'crc-error',
+    0x03: 'parity-error',
+    0x04: 'bit-count-error',
+    0x05: 'framing-error',
+    0x06: 'bit-collision',
+    0x07: 'buffer-too-small',
+    0x09: 'rf-buffer-overflow',
+    0x0a: 'rf-field-not-on-in-time',
+    0x0b: 'rf-protocol-error',
+    0x0d: 'overheating',
+    0x0e: 'internal-buffer-overflow',
+    0x10: 'invalid-parameter',
+    0x13: 'data-format-error',
+    0x25: 'invalid-state',
+    0x26: 'operation-not-allowed',
+    0x27: 'command-not-acceptable',
+    0x29: 'target-released',
+    0x2b: 'card-disappeared',
+    0x2d: 'over-current'
+}
+
+/**
+ * wake-up sources for PowerDown
+ */
+Rcs620s.WAKE_UP_ENABLE = {
+    HSU: 0x08
+}
+
+/**
+ * sent by wake_up() ; the reader needs a moment after the first bytes before it takes commands
+ */
+Rcs620s.WAKE_UP_SEQUENCE = Buffer.from([0x55, 0x55, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00])
+
+Rcs620s.WAKE_UP_DELAY_MS = 10
+
+/**
+ * type property of polling results
+ */
+Rcs620s.CARD_TYPE = {
+    FELICA: 'felica',
+    TYPE_A: 'iso14443a'
+}
+
+/**
+ * names of reader commands (second byte, after D4) and card commands, as reported in FelicaError.command
+ */
+Rcs620s.READER_COMMANDS = {
+    0x00: 'Diagnose',
+    0x02: 'GetFirmwareVersion',
+    0x04: 'GetGeneralStatus',
+    0x16: 'PowerDown',
+    0x32: 'RFConfiguration',
+    0x4a: 'InListPassiveTarget',
+    0xa0: 'InCommunicateThru'
+}
+
+Rcs620s.TYPE_A_COMMANDS = {
+    0x30: 'READ',
+    0x60: 'GET_VERSION',
+    0xa2: 'WRITE'
+}
+
+Rcs620s.CARD_COMMANDS = {
+    0x00: 'Polling',
+    0x02: 'RequestService',
+    0x04: 'RequestResponse',
+    0x06: 'ReadWithoutEncryption',
+    0x08: 'WriteWithoutEncryption',
+    0x0a: 'SearchServiceCode',
+    0x0c: 'RequestSystemCode',
+    0x10: 'Authentication1',
+    0x12: 'Authentication2',
+    0x14: 'Read',
+    0x16: 'Write'
 }
 
 Rcs620s.SYSTEM_CODE = {
     SUICA: '\x00\x03',
     COMMON: '\xfe\x00',
     SETAMARU: '\x80\x2B',
-    IRUCA: '\x80\xDE'
+    IRUCA: '\x80\xDE',
+    NDEF: '\x12\xFC',
+    LITE_S: '\x88\xB4'
+}
+
+/**
+ * systems polled by start() unless told otherwise : each one costs a polling per tick
+ */
+Rcs620s.LOOP_SYSTEM_CODES = [Rcs620s.SYSTEM_CODE.SUICA, Rcs620s.SYSTEM_CODE.COMMON]
+
+/**
+ * Type 3 tag NDEF service, in system Rcs620s.SYSTEM_CODE.NDEF
+ */
+Rcs620s.NDEF_SERVICE = {
+    READ: '\x0b\x00',
+    WRITE: '\x09\x00'
+}
+
+/**
+ * FeliCa Lite-S service, in system Rcs620s.SYSTEM_CODE.LITE_S ; see felica_lite_s.js
+ */
+Rcs620s.LITE_S_SERVICE = {
+    READ: '\x0b\x00',
+    WRITE: '\x09\x00'
 }
 
 Rcs620s.SERVICES = {
     SUICA: {
         // 属性情報 : http://jennychan.web.fc2.com/format/suica.html#008B
         PROPERTIES: {
-            service_code: '\x8b\x00', blocks: 1, processing: results => {
-                let data = results[0]
-                if (!data) return;
-                return {
+            service_code: '\x8b\x00', blocks: 1, layout: {
+                fields: {
                     // card_type: 'wip',
                     // card_region: 'wip',
-                    balance: read_number(data, 11, 2, 'LE')
+                    balance: {type: 'uint', offset: 11, length: 2, byte_order: 'LE'}
                 }
             }
         },
-        // -- below are work in progress --
-        USAGE_HISTORY: {service_code: '\x0f\x09', blocks: 20}, // 利用履歴
-        TICKET_HISTORY: {service_code: '\x8f\x10', blocks: 3}, // 改札入出場履歴
-        SF_TICKET_HISTORY: {service_code: '\xcb\x10', blocks: 3}, // SF入場駅記録
-        FARE_HISTORY: {service_code: '\x4b\x81', blocks: 36} // 料金 発券/改札記録
+        // 利用履歴 : http://jennychan.web.fc2.com/format/suica.html#090F
+        USAGE_HISTORY: {
+            service_code: '\x0f\x09', blocks: 20, processing: results =>
+                suica.parse_usage_history(results.map(data => data.slice(0, 16)))
+        },
+        // 改札入出場履歴
+        TICKET_HISTORY: {
+            service_code: '\x8f\x10', blocks: 3, processing: results =>
+                suica.parse_gate_records(results.map(data => data.slice(0, 16)))
+        },
+        // SF入場駅記録
+        SF_TICKET_HISTORY: {
+            service_code: '\xcb\x10', blocks: 3, processing: results =>
+                suica.parse_sf_entry_records(results.map(data => data.slice(0, 16)))
+        },
+        // 料金 発券/改札記録
+        FARE_HISTORY: {
+            service_code: '\x4b\x81', blocks: 36, processing: results =>
+                suica.parse_fare_records(results.map(data => data.slice(0, 16)))
+        }
+    },
+    // 楽天Edy ; in Rcs620s.SYSTEM_CODE.COMMON
+    EDY: {
+        CARD_NUMBER: {
+            service_code: '\x0b\x11', blocks: 1, processing: results => emoney.parse_edy_number(results[0])
+        },
+        BALANCE: {
+            service_code: '\x17\x13', blocks: 1, processing: results => ({
+                balance: emoney.parse_purse_balance(results[0])
+            })
+        },
+        HISTORY: {
+            service_code: '\x0f\x17', blocks: 6, processing: results => emoney.parse_edy_history(results)
+        }
+    },
+    // WAON ; in Rcs620s.SYSTEM_CODE.COMMON
+    WAON: {
+        CARD_NUMBER: {
+            service_code: '\x4f\x68', blocks: 1, processing: results => emoney.parse_waon_number(results[0])
+        },
+        BALANCE: {
+            service_code: '\x17\x68', blocks: 1, processing: results => ({
+                balance: emoney.parse_purse_balance(results[0])
+            })
+        },
+        HISTORY: {
+            service_code: '\x0b\x68', blocks: 6, processing: results => emoney.parse_waon_history(results)
+        }
+    },
+    // nanaco ; in Rcs620s.SYSTEM_CODE.COMMON
+    NANACO: {
+        CARD_NUMBER: {
+            service_code: '\x8b\x55', blocks: 1, processing: results => emoney.parse_nanaco_number(results[0])
+        },
+        BALANCE: {
+            service_code: '\x97\x55', blocks: 1, processing: results => ({
+                balance: emoney.parse_purse_balance(results[0])
+            })
+        },
+        HISTORY: {
+            service_code: '\x4f\x56', blocks: 5, processing: results => emoney.parse_nanaco_history(results)
+        }
     }
 }
 
+/**
+ * system each group of Rcs620s.SERVICES lives in ; Edy, WAON and nanaco share the common area
+ */
+Rcs620s.SERVICE_SYSTEMS = {
+    SUICA: Rcs620s.SYSTEM_CODE.SUICA,
+    EDY: Rcs620s.SYSTEM_CODE.COMMON,
+    WAON: Rcs620s.SYSTEM_CODE.COMMON,
+    NANACO: Rcs620s.SYSTEM_CODE.COMMON
+}
+
+/**
+ * services read by read_balance(), with the system they live in ; each decodes to an object with a balance
+ */
+Rcs620s.BALANCE_SERVICES = [
+    {brand: 'suica', system_code: Rcs620s.SYSTEM_CODE.SUICA, service: Rcs620s.SERVICES.SUICA.PROPERTIES},
+    {brand: 'edy', system_code: Rcs620s.SYSTEM_CODE.COMMON, service: Rcs620s.SERVICES.EDY.BALANCE},
+    {brand: 'waon', system_code: Rcs620s.SYSTEM_CODE.COMMON, service: Rcs620s.SERVICES.WAON.BALANCE},
+    {brand: 'nanaco', system_code: Rcs620s.SYSTEM_CODE.COMMON, service: Rcs620s.SERVICES.NANACO.BALANCE}
+]
+
 Rcs620s.MAX_RW_RESPONSE_LEN = 265
 
+Rcs620s.MAX_READ_BLOCKS = 15
+
+Rcs620s.MAX_READ_SERVICES = 16
+
+Rcs620s.MAX_WRITE_BLOCKS = 8
+
+Rcs620s.MAX_SEARCH_INDEX = 0xfffe
+
+/**
+ * meaning of status flag 2 in card responses (when status flag 1 is not 0x00)
+ */
+Rcs620s.STATUS_FLAG2 = {
+    0x01: 'purse-underflow',
+    0x02: 'cashback-overflow',
+    0x70: 'memory-error',
+    0x71: 'excessive-write',
+    0xa1: 'illegal-number-of-services',
+    0xa2: 'illegal-number-of-blocks',
+    0xa3: 'illegal-block-list-service-order',
+    0xa4: 'illegal-service-type',
+    0xa5: 'access-not-allowed',
+    0xa6: 'illegal-service-code-list',
+    0xa7: 'illegal-block-list-access-mode',
+    0xa8: 'illegal-block-number',
+    0xa9: 'data-write-failure',
+    0xaa: 'key-change-failure',
+    0xab: 'illegal-package-parity-or-mac',
+    0xac: 'illegal-parameter',
+    0xad: 'service-exists-already',
+    0xae: 'illegal-system-code',
+    0xaf: 'too-many-simultaneous-cyclic-writes',
+    0xc0: 'illegal-package-identifier',
+    0xc1: 'package-parameter-mismatch',
+    0xc2: 'command-disabled'
+}
+
+Rcs620s.errors = errors
+
 module.exports = Rcs620s
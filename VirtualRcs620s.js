@@ -0,0 +1,873 @@
+#!/usr/bin/env node
+
+/**
+ * a software simulation of the RC-S620S reader, for running the library without any serial hardware.
+ *
+ * an instance behaves like an (already opened) SerialPort : pass it to the Rcs620s constructor instead of
+ * a port path, and it will answer the frames written to it the same way the reader does (ACK, normal/extended
+ * frames, DCS), using a configurable set of virtual FeliCa (including Lite-S) and NTAG cards as the targets in the
+ * RF field.
+ *
+ *      const reader = new Rcs620s(new VirtualRcs620s({cards: [{
+ *          idm: '0101010101010101', system_code: 0x0003,
+ *          services: {0x008b: ['000000000000000000000000000000']}
+ *      }]}))
+ *
+ * supported reader commands : Diagnose (communication line test), GetFirmwareVersion, GetGeneralStatus, PowerDown,
+ * RFConfiguration, InListPassiveTarget (FeliCa, Type A), InCommunicateThru
+ * supported card commands : Polling, Request Service, Request Response, Read Without Encryption,
+ * Write Without Encryption, Request System Code, Search Service Code, Authentication1/2, Read, Write ;
+ * NTAG READ, WRITE and GET_VERSION
+ */
+
+'use strict'
+
+const EventEmitter = require('events'),
+    crypto = require('crypto'),
+    {range, read_number} = require('./felicaca_utils'),
+    frame_codec = require('./frame_codec'),
+    des = require('./des'),
+    {FelicaError} = require('./errors'),
+    felica_lite_s = require('./felica_lite_s')
+
+const BLOCK_SIZE = 16,
+    PAGE_SIZE = 4,
+    KEY_SIZE = 16
+
+/**
+ * @param {Buffer|string} value
+ *      Buffer or hex string
+ * @param {number} [length]
+ *      if given, the result is zero-padded (or truncated) to this many bytes
+ * @returns {Buffer}
+ */
+function to_buffer(value, length) {
+    let buffer = value instanceof Buffer ? value : Buffer.from(String(value || '').replace(/\s+/g, ''), 'hex')
+    if (typeof length !== 'number') return buffer;
+    let out = Buffer.alloc(length)
+    buffer.copy(out, 0, 0, length)
+    return out
+}
+
+// -- simulated authentication --
+//
+// the real key derivation and cryptograms of FeliCa Standard cards are not public ; the simulated cards use
+// this made-up scheme instead, which has the same shape (2-key triple DES, 8-byte challenges) :
+//
+//      group key       K = XOR of the keys of every area and service authenticated (16 bytes each)
+//      Authentication1 M1c = E(K, RA)
+//                      M2c = E(K, RB), M3c = E(K, RA ^ RB)          RA, RB : 8 random bytes from reader, card
+//      Authentication2 M4c = E(K, ~(RA ^ RB))
+//      session         SK = RA || RB ; block data is 3DES-CBC(SK, IV 0) encrypted both ways
+//
+// where E is 2-key triple DES on one 8-byte block. it is no use with real cards
+
+/**
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {Buffer}
+ */
+function xor(a, b) {
+    return Buffer.from(a.map((value, i) => value ^ b[i]))
+}
+
+/**
+ * @param {Buffer[]} keys
+ *      16 bytes each
+ * @returns {Buffer}
+ */
+function group_key(keys) {
+    return keys.reduce(xor, Buffer.alloc(KEY_SIZE))
+}
+
+/**
+ * @param {Buffer} ra
+ * @param {Buffer} rb
+ * @returns {Buffer}
+ *      ~(RA ^ RB)
+ */
+function inverted_xor(ra, rb) {
+    return xor(ra, rb).map(value => ~value & 0xff)
+}
+
+function encrypt(session_key, data) {
+    return des.encrypt_cbc(session_key, Buffer.alloc(8), data)
+}
+
+function decrypt(session_key, data) {
+    return des.decrypt_cbc(session_key, Buffer.alloc(8), data)
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+class VirtualFelicaCard {
+    /**
+     * @param {object} spec
+     * @param {Buffer|string} spec.idm
+     *      8 bytes, Buffer or hex string
+     * @param {Buffer|string} [spec.pmm]
+     *      8 bytes, Buffer or hex string
+     * @param {number} [spec.system_code=0x0003]
+     * @param {object} [spec.services]
+     *      {SERVICE_CODE_NUMBER: [BLOCK0, BLOCK1, ...], ...} where each block is a Buffer or hex string
+     *      of 16 bytes, e.g. {0x090f: ['1601000227...', ...]} ; whether a service can be written
+     *      follows from the attribute bits of its code (random/cyclic/purse, read-only or read-write)
+     * @param {object[]} [spec.systems]
+     *      for cards hosting several systems : [{system_code, services}, ...] replaces spec.system_code
+     *      and spec.services ; the IDm of system N is spec.idm with N in the upper 4 bits of its first byte
+     * @param {Array<{code: number, end: number}>} [spec.areas]
+     *      areas below the root area (0x0000-0xfffe), reported by Search Service Code ; may also be set per system
+     * @param {object} [spec.key_versions]
+     *      {AREA_OR_SERVICE_CODE_NUMBER: KEY_VERSION, ...} reported by Request Service (default 0) ;
+     *      may also be set per system
+     * @param {object} [spec.keys]
+     *      {AREA_OR_SERVICE_CODE_NUMBER: KEY, ...} 16-byte keys (Buffer or hex string) for Authentication1/2,
+     *      with the simulated scheme of VirtualRcs620s.key_provider() ; may also be set per system
+     * @param {number} [spec.max_read_blocks=15]
+     *      a Read Without Encryption with more blocks is refused
+     * @param {number} [spec.max_write_blocks=8]
+     *      a Write Without Encryption with more blocks is refused
+     */
+    constructor(spec = {}) {
+        this.type = 'felica'
+        let idm = to_buffer(spec.idm || '0101010101010101', 8)
+        this.pmm = to_buffer(spec.pmm || '033242828247aaff', 8)
+        this.systems = (spec.systems || [spec]).map((system_spec, i) => {
+            let system = {
+                system_code: typeof system_spec.system_code === 'number' ? system_spec.system_code : 0x0003,
+                idm: Buffer.from(idm),
+                services: {},
+                areas: [{code: 0x0000, end: 0xfffe}].concat(system_spec.areas || []),
+                key_versions: system_spec.key_versions || {},
+                keys: {},
+                auth: null
+            }
+            if (i) system.idm[0] = (idm[0] & 0x0f) | (i << 4);
+            for (const code of Object.keys(system_spec.keys || {})) {
+                system.keys[Number(code)] = to_buffer(system_spec.keys[code], KEY_SIZE)
+            }
+            for (const code of Object.keys(system_spec.services || {})) {
+                system.services[Number(code)] = system_spec.services[code].map(block => to_buffer(block, BLOCK_SIZE))
+            }
+            return system
+        })
+        this.max_read_blocks = spec.max_read_blocks || 15
+        this.max_write_blocks = spec.max_write_blocks || 8
+    }
+
+    /**
+     * @param {number} service_code
+     * @returns {boolean}
+     *      true for read-write random, cyclic and purse services
+     */
+    static is_writable(service_code) {
+        return [0x08, 0x0c, 0x10].indexOf(service_code & 0x3e) >= 0
+    }
+
+    /**
+     * @returns {Buffer}
+     *      IDm of the first system
+     */
+    get idm() {
+        return this.systems[0].idm
+    }
+
+    /**
+     * @returns {object}
+     *      services of the first system
+     */
+    get services() {
+        return this.systems[0].services
+    }
+
+    /**
+     * @param {number} system_code
+     *      0xff in either byte is a wildcard
+     * @returns {object|undefined}
+     *      the first system that matches
+     */
+    find_system(system_code) {
+        let hi = (system_code >> 8) & 0xff,
+            lo = system_code & 0xff
+        return this.systems.find(system =>
+            (hi === 0xff || hi === ((system.system_code >> 8) & 0xff))
+            && (lo === 0xff || lo === (system.system_code & 0xff)))
+    }
+
+    /**
+     * @param {object} system
+     * @param {number} service_code
+     * @returns {Buffer[]|undefined}
+     *      blocks of the service ; the read-write and read-only codes of a random or cyclic service
+     *      (e.g. 0x0009 and 0x000b) share the same blocks, whichever of the two the spec declares
+     */
+    find_service(system, service_code) {
+        if (system.services[service_code]) return system.services[service_code];
+        if ((service_code & 0x3c) !== 0x08 && (service_code & 0x3c) !== 0x0c) return;
+        return system.services[service_code ^ 0x02]
+    }
+
+    /**
+     * @param {object} system
+     * @param {number} request_code
+     * @returns {Buffer}
+     *      polling response without the length byte
+     */
+    polling_response(system, request_code) {
+        let parts = [Buffer.from([0x01]), system.idm, this.pmm]
+        if (request_code === 0x01) parts.push(Buffer.from([system.system_code >> 8, system.system_code & 0xff]));
+        return Buffer.concat(parts)
+    }
+
+    /**
+     * handles one card command
+     * @param {Buffer} command
+     *      card command without the length byte
+     * @returns {Buffer|null}
+     *      card response without the length byte ; null if the card does not respond
+     */
+    handle(command) {
+        let code = command[0]
+        if (code === 0x00) {
+            // polling ends every authentication
+            for (const system of this.systems) system.auth = null;
+            let system = this.find_system(read_number(command, 1, 2, 'BE'))
+            return system ? this.polling_response(system, command[3]) : null
+        }
+        // every other command is addressed to the IDm of one system
+        let system = command.length >= 9 && this.systems.find(candidate => command.slice(1, 9).equals(candidate.idm))
+        if (!system) return null;
+
+        switch (code) {
+            case 0x02:
+                return this._request_service(system, command)
+            case 0x04:
+                return Buffer.concat([Buffer.from([0x05]), system.idm, Buffer.from([0x00])])
+            case 0x06:
+                return this._read_without_encryption(system, command)
+            case 0x08:
+                return this._write_without_encryption(system, command)
+            case 0x0a:
+                return this._search_service_code(system, command)
+            case 0x0c:
+                return this._request_system_code(system)
+            case 0x10:
+                return this._authentication1(system, command)
+            case 0x12:
+                return this._authentication2(system, command)
+            case 0x14:
+                return this._read_encrypted(system, command)
+            case 0x16:
+                return this._write_encrypted(system, command)
+            default:
+                return null
+        }
+    }
+
+    _request_service(system, command) {
+        let count = command[9],
+            out = [Buffer.from([0x03]), system.idm, Buffer.from([count])]
+        for (let i = 0; i < count; ++i) {
+            let code = read_number(command, 10 + i * 2, 2, 'LE'),
+                exists = this.find_service(system, code) || system.areas.some(area => area.code === code),
+                key_version = exists ? system.key_versions[code] || 0 : 0xffff
+            out.push(Buffer.from([key_version & 0xff, key_version >> 8]))
+        }
+        return Buffer.concat(out)
+    }
+
+    /**
+     * @param {Buffer} command
+     * @param {number} offset
+     *      index of the service count byte
+     * @returns {{service_codes: number[], blocks: Array<{service_index: number, block_number: number}>, end: number}}
+     */
+    static parse_block_list(command, offset) {
+        let service_count = command[offset],
+            service_codes = [],
+            idx = offset + 1
+        for (let i = 0; i < service_count; ++i, idx += 2) service_codes.push(read_number(command, idx, 2, 'LE'));
+
+        let block_count = command[idx++],
+            blocks = []
+        for (let i = 0; i < block_count; ++i) {
+            let head = command[idx]
+            if (head & 0x80) {
+                blocks.push({service_index: head & 0x0f, block_number: command[idx + 1]})
+                idx += 2
+            }
+            else {
+                blocks.push({service_index: head & 0x0f, block_number: read_number(command, idx + 1, 2, 'LE')})
+                idx += 3
+            }
+        }
+        return {service_codes: service_codes, blocks: blocks, end: idx}
+    }
+
+    _status(system, code, status_flag1, status_flag2) {
+        return Buffer.concat([Buffer.from([code]), system.idm, Buffer.from([status_flag1, status_flag2])])
+    }
+
+    /**
+     * @param {object} system
+     * @param {Buffer} command
+     * @param {boolean} [authenticated=false]
+     *      services that require a key can be read (Read over an authenticated session)
+     * @returns {Buffer}
+     */
+    _read_without_encryption(system, command, authenticated = false) {
+        let {service_codes, blocks} = this.constructor.parse_block_list(command, 9),
+            data = []
+        if (blocks.length > this.max_read_blocks) return this._status(system, 0x07, 0xff, 0xa2);
+        for (let i = 0; i < blocks.length; ++i) {
+            let service_code = service_codes[blocks[i].service_index],
+                service = this.find_service(system, service_code)
+            if (service_code === undefined) return this._status(system, 0x07, i + 1, 0xa3);
+            if (!service) return this._status(system, 0x07, i + 1, 0xa6);
+            if (!(service_code & 0x01) && !authenticated) return this._status(system, 0x07, i + 1, 0xa5);
+            if (blocks[i].block_number >= service.length) return this._status(system, 0x07, i + 1, 0xa8);
+            data.push(service[blocks[i].block_number])
+        }
+        return Buffer.concat([this._status(system, 0x07, 0x00, 0x00), Buffer.from([data.length])].concat(data))
+    }
+
+    /**
+     * @param {object} system
+     * @param {Buffer} command
+     * @param {boolean} [authenticated=false]
+     *      services that require a key can be written (Write over an authenticated session)
+     * @returns {Buffer}
+     */
+    _write_without_encryption(system, command, authenticated = false) {
+        let self = this.constructor,
+            {service_codes, blocks, end} = self.parse_block_list(command, 9)
+        if (blocks.length > this.max_write_blocks) return this._status(system, 0x09, 0xff, 0xa2);
+        if (command.length !== end + blocks.length * BLOCK_SIZE) return this._status(system, 0x09, 0xff, 0xac);
+
+        // validate everything before writing anything
+        for (let i = 0; i < blocks.length; ++i) {
+            let service_code = service_codes[blocks[i].service_index],
+                service = this.find_service(system, service_code)
+            if (service_code === undefined) return this._status(system, 0x09, i + 1, 0xa3);
+            if (!service) return this._status(system, 0x09, i + 1, 0xa6);
+            if ((!(service_code & 0x01) && !authenticated) || !self.is_writable(service_code))
+                return this._status(system, 0x09, i + 1, 0xa5);
+            if (blocks[i].block_number >= service.length) return this._status(system, 0x09, i + 1, 0xa8);
+        }
+        blocks.forEach((block, i) => {
+            let service_code = service_codes[block.service_index],
+                service = this.find_service(system, service_code),
+                data = Buffer.from(command.slice(end + i * BLOCK_SIZE, end + (i + 1) * BLOCK_SIZE))
+            if ((service_code & 0x3e) === 0x0c) {
+                // cyclic : the new record goes to block 0, the oldest one drops out
+                service.unshift(data)
+                service.pop()
+            }
+            else service[block.block_number] = data;
+        })
+        return this._status(system, 0x09, 0x00, 0x00)
+    }
+
+    _authentication1(system, command) {
+        let read_codes = idx => range(command[idx] || 0).map(i => read_number(command, idx + 1 + i * 2, 2, 'LE')),
+            area_codes = read_codes(9),
+            service_codes = read_codes(10 + area_codes.length * 2),
+            challenge_start = 11 + (area_codes.length + service_codes.length) * 2,
+            keys = area_codes.concat(service_codes).map(code => system.keys[code])
+        system.auth = null
+        // a card without the keys does not answer
+        if (command.length !== challenge_start + 8 || !service_codes.length || keys.some(key => !key)) return null;
+        let key = group_key(keys),
+            ra = des.decrypt_block3(key, command.slice(challenge_start, challenge_start + 8)),
+            rb = crypto.randomBytes(8)
+        system.auth = {key: key, ra: ra, rb: rb, service_codes: service_codes, session_key: null}
+        return Buffer.concat([Buffer.from([0x11]), system.idm, des.encrypt_block3(key, rb),
+            des.encrypt_block3(key, xor(ra, rb))])
+    }
+
+    _authentication2(system, command) {
+        let auth = system.auth
+        if (!auth || command.length !== 17) return null;
+        if (!des.encrypt_block3(auth.key, inverted_xor(auth.ra, auth.rb)).equals(command.slice(9, 17))) {
+            system.auth = null
+            return null
+        }
+        auth.session_key = Buffer.concat([auth.ra, auth.rb])
+        // IDt : the IDm of the system
+        return Buffer.concat([Buffer.from([0x13]), system.idm, this.pmm])
+    }
+
+    /**
+     * @param {object} system
+     * @param {Buffer} command
+     *      Read or Write : the block list refers to the services of the session
+     * @returns {Buffer}
+     *      the same command with the service code list of Read/Write Without Encryption
+     */
+    static _with_service_list(system, command) {
+        let codes = system.auth.service_codes
+        return Buffer.concat([command.slice(0, 9), Buffer.from([codes.length]),
+            Buffer.concat(codes.map(code => Buffer.from([code & 0xff, code >> 8]))), command.slice(9)])
+    }
+
+    _read_encrypted(system, command) {
+        if (!system.auth || !system.auth.session_key) return null;
+        let response = this._read_without_encryption(system, this.constructor._with_service_list(system, command), true)
+        response[0] = 0x15
+        if (response[9] !== 0x00) return response;
+        return Buffer.concat([response.slice(0, 12), encrypt(system.auth.session_key, response.slice(12))])
+    }
+
+    _write_encrypted(system, command) {
+        if (!system.auth || !system.auth.session_key) return null;
+        let {end} = this.constructor.parse_block_list(this.constructor._with_service_list(system, command), 9),
+            data_start = end - 1 - system.auth.service_codes.length * 2,
+            encrypted = command.slice(data_start)
+        if (encrypted.length % 8) return this._status(system, 0x17, 0xff, 0xac);
+        let session_key = system.auth.session_key,
+            plain = Buffer.concat([command.slice(0, data_start), decrypt(session_key, encrypted)]),
+            response = this._write_without_encryption(system, this.constructor._with_service_list(system, plain), true)
+        response[0] = 0x17
+        return response
+    }
+
+    _search_service_code(system, command) {
+        let index = read_number(command, 9, 2, 'LE'),
+            nodes = system.areas.concat(Object.keys(system.services).map(code => ({code: Number(code)})))
+                .sort((a, b) => a.code - b.code),
+            node = nodes[index],
+            out = [Buffer.from([0x0b]), system.idm]
+        if (!node) out.push(Buffer.from([0xff, 0xff]));
+        else {
+            out.push(Buffer.from([node.code & 0xff, node.code >> 8]))
+            if (node.end !== undefined) out.push(Buffer.from([node.end & 0xff, node.end >> 8]));
+        }
+        return Buffer.concat(out)
+    }
+
+    _request_system_code(system) {
+        let out = [Buffer.from([0x0d]), system.idm, Buffer.from([this.systems.length])]
+        for (const other of this.systems) out.push(Buffer.from([other.system_code >> 8, other.system_code & 0xff]));
+        return Buffer.concat(out)
+    }
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+class VirtualNtagCard {
+    /**
+     * @param {object} spec
+     * @param {Buffer|string} spec.uid
+     *      7 bytes, Buffer or hex string
+     * @param {Buffer|string} [spec.atqa='0044']
+     * @param {number} [spec.sak=0x00]
+     * @param {Buffer|string} [spec.version='0004040201000f03']
+     *      answer to GET_VERSION ; defaults to NTAG213
+     * @param {number} [spec.pages=45]
+     *      number of pages
+     * @param {Array<Buffer|string>} [spec.data]
+     *      contents of the pages from page 4 on (4 bytes each) ; pages 0-2 are made from the UID and page 3
+     *      holds an NFC Forum capability container sized for the user memory
+     */
+    constructor(spec = {}) {
+        this.type = 'iso14443a'
+        this.uid = to_buffer(spec.uid || '04010203040506', 7)
+        this.atqa = to_buffer(spec.atqa || '0044', 2)
+        this.sak = spec.sak || 0x00
+        this.version = to_buffer(spec.version || '0004040201000f03', 8)
+
+        let page_count = spec.pages || 45,
+            uid = this.uid
+        this.pages = range(page_count).map(() => Buffer.alloc(PAGE_SIZE))
+        this.pages[0] = Buffer.from([uid[0], uid[1], uid[2], 0x88 ^ uid[0] ^ uid[1] ^ uid[2]])
+        this.pages[1] = uid.slice(3, 7)
+        this.pages[2] = Buffer.from([uid[3] ^ uid[4] ^ uid[5] ^ uid[6], 0x48, 0x00, 0x00])
+        // the last 5 pages are configuration pages on NTAG21x
+        this.pages[3] = Buffer.from([0xe1, 0x10, Math.floor((page_count - 9) * PAGE_SIZE / 8), 0x00])
+        ;(spec.data || []).forEach((page, i) => {
+            if (4 + i < page_count) this.pages[4 + i] = to_buffer(page, PAGE_SIZE);
+        })
+    }
+
+    /**
+     * handles one Type A command
+     * @param {Buffer} command
+     * @returns {Buffer|null}
+     *      response ; a single byte for ACK (0x0a) and NAK
+     */
+    handle(command) {
+        switch (command[0]) {
+            case 0x60: // GET_VERSION
+                return this.version
+            case 0x30: // READ : 4 pages, wrapping around to page 0
+                if (command[1] >= this.pages.length) return Buffer.from([0x00]);
+                return Buffer.concat(range(4).map(i => this.pages[(command[1] + i) % this.pages.length]))
+            case 0xa2: // WRITE
+                return this._write(command[1], command.slice(2, 2 + PAGE_SIZE))
+            default:
+                return null
+        }
+    }
+
+    _write(page, data) {
+        // UID pages cannot be written ; lock bits are not simulated
+        if (page < 2 || page >= this.pages.length || data.length !== PAGE_SIZE) return Buffer.from([0x00]);
+        if (page === 2) data = Buffer.from([this.pages[2][0], this.pages[2][1], data[2], data[3]]);
+        // the capability container is one-time programmable : bits can only be set
+        if (page === 3) data = Buffer.from(data.map((value, i) => value | this.pages[3][i]));
+        this.pages[page] = Buffer.from(data)
+        return Buffer.from([0x0a])
+    }
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+class VirtualLiteSCard extends VirtualFelicaCard {
+    /**
+     * a FeliCa Lite-S card : system 0x88B4, service 0x0009/0x000B over blocks 0x00-0xA0. MAC_A is computed on
+     * reads and checked on writes, MC locks user blocks, WCNT counts writes ; MAC (0x81) and the
+     * authentication of blocks protected by MC bytes 6-11 are not simulated
+     * @param {object} spec
+     * @param {Buffer|string} spec.idm
+     * @param {Buffer|string} [spec.pmm]
+     * @param {Buffer|string} [spec.card_key]
+     *      16 bytes ; defaults to zeros
+     * @param {object} [spec.blocks]
+     *      {BLOCK_NUMBER: BLOCK, ...} where each block is a Buffer or hex string of 16 bytes ; MC defaults to
+     *      every user block writable, ID to the IDm
+     */
+    constructor(spec = {}) {
+        let {BLOCKS, SYSTEM_CODE, SERVICE_CODE} = felica_lite_s,
+            blocks = range(BLOCKS.CRC_CHECK + 1).map(() => Buffer.alloc(BLOCK_SIZE))
+        blocks[BLOCKS.MC] = to_buffer('ffffff00', BLOCK_SIZE)
+        blocks[BLOCKS.SYS_C] = to_buffer('88b4', BLOCK_SIZE)
+        blocks[BLOCKS.CK] = to_buffer(spec.card_key, BLOCK_SIZE)
+        for (const number of Object.keys(spec.blocks || {})) blocks[Number(number)] = spec.blocks[number];
+        super({
+            idm: spec.idm,
+            pmm: spec.pmm || '00f1000000014300',
+            system_code: SYSTEM_CODE,
+            services: {[SERVICE_CODE.READ_WRITE]: blocks}
+        })
+        if (!spec.blocks || !spec.blocks[BLOCKS.ID]) this.idm.copy(this.blocks[BLOCKS.ID]);
+    }
+
+    /**
+     * @returns {Buffer[]}
+     */
+    get blocks() {
+        return this.services[felica_lite_s.SERVICE_CODE.READ_WRITE]
+    }
+
+    /**
+     * @returns {Buffer}
+     *      the CK block
+     */
+    get card_key() {
+        return this.blocks[felica_lite_s.BLOCKS.CK]
+    }
+
+    /**
+     * @returns {number}
+     */
+    get write_count() {
+        return felica_lite_s.parse_write_count(this.blocks[felica_lite_s.BLOCKS.WCNT])
+    }
+
+    /**
+     * @param {number} block_number
+     * @param {boolean} with_mac
+     *      written together with MAC_A
+     * @returns {boolean}
+     */
+    _writable(block_number, with_mac) {
+        let {BLOCKS} = felica_lite_s,
+            memory_configuration = felica_lite_s.parse_memory_configuration(this.blocks[BLOCKS.MC])
+        if (block_number <= BLOCKS.REG) return memory_configuration.writable_blocks.indexOf(block_number) >= 0;
+        if (block_number === BLOCKS.CK || block_number === BLOCKS.CKV)
+            return with_mac || !memory_configuration.card_key_needs_mac;
+        if (block_number === BLOCKS.RC || block_number === BLOCKS.MAC_A) return true;
+        return memory_configuration.system_blocks_writable
+    }
+
+    _read_without_encryption(system, command) {
+        let {BLOCKS} = felica_lite_s,
+            {blocks} = this.constructor.parse_block_list(command, 9),
+            response = super._read_without_encryption(system, command)
+        if (response[9] !== 0x00) return response;
+
+        let numbers = blocks.map(block => block.block_number),
+            data = i => response.slice(12 + i * BLOCK_SIZE, 12 + (i + 1) * BLOCK_SIZE)
+        numbers.forEach((number, i) => {
+            // the card key cannot be read back
+            if (number === BLOCKS.CK) data(i).fill(0);
+        })
+        let mac_index = numbers.indexOf(BLOCKS.MAC_A)
+        if (mac_index > 0) {
+            let random_challenge = this.blocks[BLOCKS.RC],
+                key = felica_lite_s.session_key(this.card_key, random_challenge),
+                mac = felica_lite_s.read_mac(key, random_challenge, numbers.slice(0, mac_index),
+                    Buffer.concat(range(mac_index).map(data)))
+            data(mac_index).fill(0)
+            mac.copy(data(mac_index))
+        }
+        return response
+    }
+
+    _write_without_encryption(system, command) {
+        let {BLOCKS} = felica_lite_s,
+            {blocks, end} = this.constructor.parse_block_list(command, 9),
+            numbers = blocks.map(block => block.block_number),
+            with_mac = numbers.length === 2 && numbers[1] === BLOCKS.MAC_A
+
+        if (with_mac) {
+            let random_challenge = this.blocks[BLOCKS.RC],
+                key = felica_lite_s.session_key(this.card_key, random_challenge),
+                data = command.slice(end, end + BLOCK_SIZE),
+                expected = felica_lite_s.write_mac_block(key, random_challenge, this.write_count, numbers[0], data)
+            if (!expected.equals(command.slice(end + BLOCK_SIZE, end + 2 * BLOCK_SIZE)))
+                return this._status(system, 0x09, 0x01, 0xab);
+        }
+        for (let i = 0; i < numbers.length; ++i) {
+            if (!this._writable(numbers[i], with_mac)) return this._status(system, 0x09, i + 1, 0xa5);
+        }
+
+        let response = super._write_without_encryption(system, command)
+        if (response[9] !== 0x00) return response;
+        if (numbers[0] !== BLOCKS.RC) this.blocks[BLOCKS.WCNT].writeUIntLE((this.write_count + 1) & 0xffffff, 0, 3);
+        return response
+    }
+}
+
+/**
+ * @param {object|VirtualFelicaCard|VirtualNtagCard} card
+ *      a card, or a spec : specs with a uid are NTAG cards, specs with lite_s: true
+ *      FeliCa Lite-S cards, all others FeliCa cards
+ * @returns {VirtualFelicaCard|VirtualNtagCard}
+ */
+function make_card(card) {
+    if (card instanceof VirtualFelicaCard || card instanceof VirtualNtagCard) return card;
+    if (card.uid) return new VirtualNtagCard(card);
+    return card.lite_s ? new VirtualLiteSCard(card) : new VirtualFelicaCard(card)
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+class VirtualRcs620s extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {Array<object|VirtualFelicaCard|VirtualNtagCard>} [options.cards]
+     *      cards that are on the reader from the start ; see VirtualFelicaCard and VirtualNtagCard for the spec
+     *      formats
+     * @param {number} [options.latency=0]
+     *      milliseconds to wait before each answer is emitted
+     * @param {Buffer|string} [options.firmware_version='33013007']
+     *      IC, version, revision and support bytes answered to GetFirmwareVersion
+     */
+    constructor(options = {}) {
+        super()
+        this.cards = (options.cards || []).map(make_card)
+        this.latency = options.latency || 0
+        this.firmware_version = to_buffer(options.firmware_version || '33013007', 4)
+        this.isOpen = false
+        this.rf_on = false
+        this.powered_down = false
+
+        this._target = null
+        this._send_timers = new Set()
+        // ACK from host aborts the current command : answers still in flight are dropped.
+        // broken frames are ignored, as the real reader does
+        this._parser = new frame_codec.FrameParser()
+        this._parser.on('ack', () => {
+            this._send_timers.forEach(clearTimeout)
+            this._send_timers.clear()
+        })
+        this._parser.on('frame', payload => {
+            let response = this._execute(payload)
+            this._send(Buffer.concat([frame_codec.ACK_FRAME,
+                response ? frame_codec.encode_frame(response) : frame_codec.ERROR_FRAME]))
+        })
+
+        setImmediate(() => {
+            this.isOpen = true
+            this.emit('open')
+        })
+    }
+
+    /**
+     * a key provider for Rcs620s.authenticate() that speaks the made-up scheme of the simulated cards (see the
+     * top of this file) ; for testing only, real cards need a provider from their issuer (see felica_auth.js)
+     * @param {object} keys
+     *      {AREA_OR_SERVICE_CODE_NUMBER: KEY, ...} 16-byte keys (Buffer or hex string), as in the keys of
+     *      a simulated card
+     * @returns {object}
+     *      key provider
+     */
+    static key_provider(keys) {
+        return {
+            authentication1: request => {
+                let node_keys = request.area_codes.concat(request.service_codes).map((node_code, i) => {
+                        if (!keys[node_code])
+                            throw new FelicaError('NO_KEY', 'no key for this area or service', {
+                                service_code: ('000' + node_code.toString(16)).slice(-4),
+                                key_version: request.key_versions[i]
+                            });
+                        return to_buffer(keys[node_code], KEY_SIZE)
+                    }),
+                    key = group_key(node_keys),
+                    ra = crypto.randomBytes(8)
+                return {challenge: des.encrypt_block3(key, ra), context: {key: key, ra: ra}}
+            },
+            authentication2: (context, answer) => {
+                let {key, ra} = context,
+                    rb = des.decrypt_block3(key, answer.m2c)
+                if (!xor(des.decrypt_block3(key, answer.m3c), rb).equals(ra))
+                    throw new FelicaError('AUTHENTICATION_FAILED', 'the card does not hold the same keys');
+                return {response: des.encrypt_block3(key, inverted_xor(ra, rb)), session: Buffer.concat([ra, rb])}
+            },
+            encrypt: encrypt,
+            decrypt: decrypt
+        }
+    }
+
+    /**
+     * puts a card on the reader
+     * @param {object|VirtualFelicaCard|VirtualNtagCard} card
+     * @returns {VirtualFelicaCard|VirtualNtagCard}
+     */
+    place_card(card) {
+        card = make_card(card)
+        this.cards.push(card)
+        return card
+    }
+
+    /**
+     * takes a card (or every card if omitted) off the reader
+     * @param {VirtualFelicaCard|VirtualNtagCard} [card]
+     */
+    remove_card(card) {
+        this.cards = card ? this.cards.filter(c => c !== card) : []
+        if (this._target && this.cards.indexOf(this._target) < 0) this._target = null;
+    }
+
+    // -- SerialPort compatible interface --
+
+    write(buffer, callback) {
+        // while powered down, the first bytes only wake the reader up
+        if (this.powered_down) this.powered_down = false;
+        else this._parser.push(buffer instanceof Buffer ? buffer : Buffer.from(buffer, 'ascii'))
+        if (typeof callback === 'function') setImmediate(callback);
+        return true
+    }
+
+    drain(callback) {
+        if (typeof callback === 'function') setImmediate(callback);
+    }
+
+    flush(callback) {
+        if (typeof callback === 'function') setImmediate(callback);
+    }
+
+    close(callback) {
+        this.isOpen = false
+        setImmediate(() => {
+            this.emit('close')
+            if (typeof callback === 'function') callback();
+        })
+    }
+
+    // -- frame protocol --
+
+    _send(buffer) {
+        let timer = setTimeout(() => {
+            this._send_timers.delete(timer)
+            if (this.isOpen) this.emit('data', buffer);
+        }, this.latency)
+        this._send_timers.add(timer)
+    }
+
+    /**
+     * @param {Buffer} payload
+     * @returns {Buffer|null}
+     *      response payload ; null to answer with an error frame
+     */
+    _execute(payload) {
+        if (payload[0] !== 0xd4) return null;
+        switch (payload[1]) {
+            case 0x00: // Diagnose ; only the communication line test (echo) is simulated
+                return payload[2] === 0x00 ? Buffer.concat([Buffer.from([0xd5, 0x01]), payload.slice(2)]) : null
+            case 0x02: // GetFirmwareVersion
+                return Buffer.concat([Buffer.from([0xd5, 0x03]), this.firmware_version])
+            case 0x04: // GetGeneralStatus
+                return this._general_status()
+            case 0x16: // PowerDown
+                this.powered_down = true
+                this.rf_on = false
+                this._target = null
+                return Buffer.from([0xd5, 0x17, 0x00])
+            case 0x32: // RFConfiguration
+                if (payload[2] === 0x01) {
+                    this.rf_on = !!(payload[3] & 0x01)
+                    if (!this.rf_on) this._target = null;
+                }
+                return Buffer.from([0xd5, 0x33])
+            case 0x4a: // InListPassiveTarget
+                return this._in_list_passive_target(payload)
+            case 0xa0: // InCommunicateThru
+                return this._in_communicate_thru(payload)
+            default:
+                return null
+        }
+    }
+
+    _general_status() {
+        // no error, no external field ; then Tg, BrRx, BrTx and modulation type of the current target
+        if (!this._target) return Buffer.from([0xd5, 0x05, 0x00, 0x00, 0x00]);
+        let felica = this._target.type === 'felica'
+        return Buffer.from([0xd5, 0x05, 0x00, 0x00, 0x01, 0x01, felica ? 0x01 : 0x00, felica ? 0x01 : 0x00,
+            felica ? 0x10 : 0x00])
+    }
+
+    _in_list_passive_target(payload) {
+        let baud_type = payload[3],
+            data = payload.slice(4)
+        this._target = null
+        this.rf_on = true
+        if (baud_type === 0x00) {
+            // Type A : D5 4B 01 01 <SENS_RES 2> <SEL_RES> <NFCIDLength> <NFCID1>
+            let card = this.cards.find(candidate => candidate.type === 'iso14443a')
+            if (card) {
+                this._target = card
+                return Buffer.concat([Buffer.from([0xd5, 0x4b, 0x01, 0x01]), card.atqa,
+                    Buffer.from([card.sak, card.uid.length]), card.uid])
+            }
+        }
+        if ((baud_type === 0x01 || baud_type === 0x02) && data[0] === 0x00) {
+            for (const card of this.cards) {
+                if (card.type !== 'felica') continue;
+                let response = card.handle(data)
+                if (!response) continue;
+                this._target = card
+                return Buffer.concat([Buffer.from([0xd5, 0x4b, 0x01, 0x01, response.length + 1]), response])
+            }
+        }
+        return Buffer.from([0xd5, 0x4b, 0x00])
+    }
+
+    _in_communicate_thru(payload) {
+        let data = payload.slice(4)
+        if (this._target && this._target.type === 'iso14443a') {
+            let response = data.length ? this._target.handle(data) : null
+            if (!response) return Buffer.from([0xd5, 0xa1, 0x01]);
+            return Buffer.concat([Buffer.from([0xd5, 0xa1, 0x00]), response])
+        }
+        // FeliCa frames start with their length
+        let response = this._target && data.length && data[0] === data.length
+            ? this._target.handle(data.slice(1))
+            : null
+        if (!response) return Buffer.from([0xd5, 0xa1, 0x01]); // RF timeout
+        return Buffer.concat([Buffer.from([0xd5, 0xa1, 0x00, response.length + 1]), response])
+    }
+}
+
+VirtualRcs620s.VirtualFelicaCard = VirtualFelicaCard
+VirtualRcs620s.VirtualLiteSCard = VirtualLiteSCard
+VirtualRcs620s.VirtualNtagCard = VirtualNtagCard
+
+module.exports = VirtualRcs620s
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * declarative block layouts : describes the fields of a service's blocks instead of a hand-written processing
+ * function. an entry of Rcs620s.SERVICES can carry a layout in place of processing ; read_service() then decodes
+ * the blocks with decode(). a layout is :
+ *
+ *      {
+ *          fields: {NAME: FIELD, ...},     decoded in this order
+ *          record_size: N,                 optional ; splits the blocks into records of N bytes (e.g. 16 for one
+ *                                          record per block) and decodes each, giving an array
+ *          skip_empty: boolean             with record_size : leaves out records that were never written
+ *      }
+ *
+ * without record_size, the blocks are decoded as one record ; offsets run across blocks (offset 20 is byte 4 of
+ * the second block). every field has an offset and a type :
+ *
+ *      uint    {offset, length = 1, byte_order = 'LE'}                     number
+ *      bcd     {offset, length = 1}                                        number, 2 decimal digits per byte
+ *      bits    {offset, length = 1, byte_order = 'LE', shift = 0, width}   number ; width bits starting at bit
+ *                                                                          shift of the number read
+ *      date    {offset}                                                    {year, month, day} ; 2-byte packed date
+ *      time    {offset}                                                    {hour, minute, second} ; 2-byte packed
+ *                                                                          time
+ *      enum    {offset, length = 1, byte_order = 'LE', shift, width,       values[number] ; default (or the number
+ *               values: {NUMBER: VALUE, ...}, default}                     itself) if values has no such key
+ *      hex     {offset, length}                                            hex string
+ *
+ * e.g. Rcs620s.SERVICES.SUICA.PROPERTIES :
+ *
+ *      {fields: {balance: {type: 'uint', offset: 11, length: 2, byte_order: 'LE'}}}
+ */
+
+'use strict'
+
+const {read_number, read_bits, read_bcd, read_hex, read_packed_date, read_packed_time, is_empty_block} =
+        require('./felicaca_utils'),
+    {FormatError} = require('./errors')
+
+/**
+ * bytes read by each type, when the field has no length
+ */
+const TYPE_LENGTHS = {
+    uint: 1,
+    bcd: 1,
+    bits: 1,
+    date: 2,
+    time: 2,
+    enum: 1
+}
+
+/**
+ * @param {object} field
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function read_field_number(field, data) {
+    let length = field.length || 1,
+        byte_order = field.byte_order || 'LE'
+    return field.width
+        ? read_bits(data, field.offset, length, byte_order, field.shift || 0, field.width)
+        : read_number(data, field.offset, length, byte_order)
+}
+
+/**
+ * decoders by field type ; (field, data) => value
+ */
+const TYPES = {
+    uint: read_field_number,
+    bcd: (field, data) => read_bcd(data, field.offset, field.length || 1),
+    bits: read_field_number,
+    date: (field, data) => read_packed_date(data, field.offset),
+    time: (field, data) => read_packed_time(data, field.offset),
+    enum: (field, data) => {
+        let value = read_field_number(field, data)
+        if (Object.prototype.hasOwnProperty.call(field.values, value)) return field.values[value];
+        return field.default !== undefined ? field.default : value
+    },
+    hex: (field, data) => read_hex(data, field.offset, field.length)
+}
+
+/**
+ * @param {string} message
+ * @returns {FormatError}
+ */
+function invalid_layout(message) {
+    return new FormatError('LAYOUT_INVALID', message)
+}
+
+/**
+ * @param {object} layout
+ * @throws {FormatError}
+ *      LAYOUT_INVALID if the layout is malformed
+ */
+function check_layout(layout) {
+    if (!layout || typeof layout.fields !== 'object')
+        throw invalid_layout(`expecting a layout {fields: {...}} ; received : ${layout}`);
+    if (layout.record_size !== undefined && !(layout.record_size > 0))
+        throw invalid_layout(`expecting record_size to be a positive number ; received : ${layout.record_size}`);
+    for (const name of Object.keys(layout.fields)) {
+        let field = layout.fields[name]
+        if (!TYPES[field.type])
+            throw invalid_layout(`field ${name} : unknown type ; received : ${field.type}`);
+        if (!(field.offset >= 0))
+            throw invalid_layout(`field ${name} : expecting an offset ; received : ${field.offset}`);
+        if (field.type === 'hex' && !(field.length > 0))
+            throw invalid_layout(`field ${name} : expecting a length ; received : ${field.length}`);
+        if (field.type === 'bits' && !(field.width > 0))
+            throw invalid_layout(`field ${name} : expecting a width ; received : ${field.width}`);
+        if (field.type === 'enum' && typeof field.values !== 'object')
+            throw invalid_layout(`field ${name} : expecting values {NUMBER: VALUE, ...} ; received : ${field.values}`);
+    }
+    if (layout.record_size && record_length(layout) > layout.record_size)
+        throw invalid_layout(`fields run past the end of a record of ${layout.record_size} bytes`);
+}
+
+/**
+ * @param {object} layout
+ * @returns {number}
+ *      bytes a record needs to hold every field
+ */
+function record_length(layout) {
+    return Object.keys(layout.fields).reduce((length, name) => {
+        let field = layout.fields[name]
+        return Math.max(length, field.offset + (field.length || TYPE_LENGTHS[field.type]))
+    }, 0)
+}
+
+/**
+ * @param {object} layout
+ * @param {Buffer} data
+ * @returns {object}
+ */
+function decode_record(layout, data) {
+    let out = {}
+    for (const name of Object.keys(layout.fields)) {
+        let field = layout.fields[name]
+        out[name] = TYPES[field.type](field, data)
+    }
+    return out
+}
+
+/**
+ * decodes the blocks of a service
+ * @param {object} layout
+ * @param {Buffer[]} blocks
+ *      as read by read_blocks()
+ * @returns {object|object[]|undefined}
+ *      one object, or an array of them if the layout has a record_size ; undefined if there are not enough bytes
+ *      for one record
+ * @throws {FormatError}
+ *      LAYOUT_INVALID if the layout is malformed
+ */
+function decode(layout, blocks) {
+    check_layout(layout)
+    let data = Buffer.concat(blocks.filter(block => block)),
+        length = record_length(layout)
+    if (!layout.record_size) return data.length >= length ? decode_record(layout, data) : undefined;
+
+    let records = []
+    for (let offset = 0; offset + Math.max(length, 1) <= data.length; offset += layout.record_size) {
+        let record = data.slice(offset, offset + layout.record_size)
+        if (layout.skip_empty && is_empty_block(record)) continue;
+        records.push(decode_record(layout, record))
+    }
+    return records
+}
+
+module.exports = {
+    TYPES: TYPES,
+    check_layout: check_layout,
+    decode: decode
+}
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * card dump documents : a versioned JSON snapshot of a card, as produced by Rcs620s.dump_card()
+ *
+ *      {
+ *          "format": "node-felica-dump",
+ *          "version": 1,
+ *          "created": "2019-05-10T08:15:00.000Z",
+ *          "idm": "0102030405060708",
+ *          "pmm": "033242828247aaff",
+ *          "system_code": "0003",
+ *          "services": [
+ *              {"group": "SUICA", "name": "PROPERTIES", "service_code": "008b", "blocks": ["00..", ...]},
+ *              {"group": "SUICA", "name": "FARE_HISTORY", "service_code": "814b", "blocks": [], "error": {..}},
+ *              ...
+ *          ]
+ *      }
+ *
+ * a parsed document can be turned back into a VirtualFelicaCard spec, so that a dump sent in with a bug
+ * report can be replayed offline :
+ *
+ *      const doc = card_dump.parse_dump(fs.readFileSync('dump.json', 'utf8'))
+ *      const reader = new Rcs620s(new VirtualRcs620s({cards: [card_dump.to_virtual_card(doc)]}))
+ */
+
+'use strict'
+
+const {FormatError} = require('./errors')
+
+const FORMAT = 'node-felica-dump',
+    VERSION = 1
+
+/**
+ * @param {Buffer|string} value
+ *      Buffer, or binary string such as '\x00\x03'
+ * @returns {string}
+ */
+function to_hex(value) {
+    return (value instanceof Buffer ? value : Buffer.from(value, 'latin1')).toString('hex')
+}
+
+/**
+ * @param {string|Buffer} code
+ *      service or system code as a 2-byte binary string or Buffer
+ * @param {string} byte_order
+ *      'LE' for service codes, 'BE' for system codes
+ * @returns {string}
+ *      4 hex digits, most significant byte first
+ */
+function code_to_hex(code, byte_order) {
+    let hex = to_hex(code)
+    return byte_order === 'LE' ? hex.slice(2, 4) + hex.slice(0, 2) : hex
+}
+
+/**
+ * @param {string} value
+ * @param {number} [bytes]
+ *      expected length in bytes, if any
+ * @returns {boolean}
+ */
+function is_hex(value, bytes) {
+    return typeof value === 'string'
+        && /^([0-9a-f]{2})*$/i.test(value)
+        && (bytes === undefined || value.length === bytes * 2)
+}
+
+/**
+ * builds a dump document
+ * @param {object} card
+ * @param {Buffer} card.idm
+ * @param {Buffer} card.pmm
+ * @param {string|Buffer} card.system_code
+ *      2 bytes, big endian, e.g. Rcs620s.SYSTEM_CODE.SUICA
+ * @param {Array<{group: string, name: string, service_code: string|Buffer, blocks: Buffer[], error: *}>} card.services
+ *      service_code is 2 bytes, little endian, as in Rcs620s.SERVICES ; error is stored as plain JSON
+ * @returns {object}
+ */
+function create_dump(card) {
+    return {
+        format: FORMAT,
+        version: VERSION,
+        created: (new Date).toISOString(),
+        idm: to_hex(card.idm),
+        pmm: to_hex(card.pmm),
+        system_code: code_to_hex(card.system_code, 'BE'),
+        services: card.services.map(service => {
+            let out = {
+                group: service.group,
+                name: service.name,
+                service_code: code_to_hex(service.service_code, 'LE'),
+                blocks: service.blocks.map(to_hex)
+            }
+            if (service.error)
+                out.error = typeof service.error.toJSON === 'function' ? service.error.toJSON() : service.error;
+            return out
+        })
+    }
+}
+
+/**
+ * @param {string} message
+ * @returns {FormatError}
+ */
+function invalid_dump(message) {
+    return new FormatError('DUMP_INVALID', `invalid dump : ${message}`)
+}
+
+/**
+ * parses and validates a dump document
+ * @param {string|object} input
+ *      JSON text or an already parsed object
+ * @returns {object}
+ *      the document, with hex strings lower-cased
+ * @throws {FormatError}
+ *      DUMP_INVALID if the document is not a valid dump
+ */
+function parse_dump(input) {
+    let doc = input
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input)
+        }
+        catch (e) {
+            throw invalid_dump(`not JSON (${e.message})`)
+        }
+    }
+    if (!doc || typeof doc !== 'object') throw invalid_dump('expecting an object');
+    if (doc.format !== FORMAT) throw invalid_dump(`format should be "${FORMAT}" ; received : ${doc.format}`);
+    if (doc.version !== VERSION) throw invalid_dump(`unsupported version ${doc.version}`);
+    if (!is_hex(doc.idm, 8)) throw invalid_dump(`idm should be 8 bytes of hex ; received : ${doc.idm}`);
+    if (!is_hex(doc.pmm, 8)) throw invalid_dump(`pmm should be 8 bytes of hex ; received : ${doc.pmm}`);
+    if (!is_hex(doc.system_code, 2))
+        throw invalid_dump(`system_code should be 2 bytes of hex ; received : ${doc.system_code}`);
+    if (!Array.isArray(doc.services)) throw invalid_dump('services should be an array');
+
+    let services = doc.services.map((service, i) => {
+        if (!service || !is_hex(service.service_code, 2))
+            throw invalid_dump(`services[${i}].service_code should be 2 bytes of hex`);
+        if (!Array.isArray(service.blocks) || !service.blocks.every(block => is_hex(block, 16)))
+            throw invalid_dump(`services[${i}].blocks should be an array of 16-byte hex strings`);
+        return Object.assign({}, service, {
+            service_code: service.service_code.toLowerCase(),
+            blocks: service.blocks.map(block => block.toLowerCase())
+        })
+    })
+    return Object.assign({}, doc, {
+        idm: doc.idm.toLowerCase(),
+        pmm: doc.pmm.toLowerCase(),
+        system_code: doc.system_code.toLowerCase(),
+        services: services
+    })
+}
+
+/**
+ * @param {object} doc
+ *      a document returned by parse_dump()
+ * @returns {object}
+ *      a VirtualFelicaCard spec that answers with the dumped blocks ; services that could not be read
+ *      (no blocks) are left out, so that the card refuses them like the original did
+ */
+function to_virtual_card(doc) {
+    let services = {}
+    for (const service of doc.services) {
+        if (service.blocks.length) services[parseInt(service.service_code, 16)] = service.blocks;
+    }
+    return {
+        idm: doc.idm,
+        pmm: doc.pmm,
+        system_code: parseInt(doc.system_code, 16),
+        services: services
+    }
+}
+
+module.exports = {
+    FORMAT: FORMAT,
+    VERSION: VERSION,
+    create_dump: create_dump,
+    parse_dump: parse_dump,
+    to_virtual_card: to_virtual_card
+}
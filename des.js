@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+/**
+ * DES and triple DES (EDE, 2 or 3 keys) in plain javascript, for the FeliCa Lite-S MAC ; the openssl behind
+ * node may not provide DES at all.
+ *
+ *      des.encrypt_block(Buffer.from('133457799bbcdff1', 'hex'), Buffer.from('0123456789abcdef', 'hex'))
+ *      // --> <Buffer 85 e8 13 54 0f 0a b4 05>
+ *
+ * @link https://csrc.nist.gov/publications/detail/fips/46/3/archive/1999-10-25
+ */
+
+'use strict'
+
+const BLOCK_SIZE = 8
+
+// initial permutation ; bit positions are 1-based from the most significant bit, as in FIPS 46
+const IP = [
+    58, 50, 42, 34, 26, 18, 10, 2, 60, 52, 44, 36, 28, 20, 12, 4,
+    62, 54, 46, 38, 30, 22, 14, 6, 64, 56, 48, 40, 32, 24, 16, 8,
+    57, 49, 41, 33, 25, 17, 9, 1, 59, 51, 43, 35, 27, 19, 11, 3,
+    61, 53, 45, 37, 29, 21, 13, 5, 63, 55, 47, 39, 31, 23, 15, 7
+]
+
+const FP = [
+    40, 8, 48, 16, 56, 24, 64, 32, 39, 7, 47, 15, 55, 23, 63, 31,
+    38, 6, 46, 14, 54, 22, 62, 30, 37, 5, 45, 13, 53, 21, 61, 29,
+    36, 4, 44, 12, 52, 20, 60, 28, 35, 3, 43, 11, 51, 19, 59, 27,
+    34, 2, 42, 10, 50, 18, 58, 26, 33, 1, 41, 9, 49, 17, 57, 25
+]
+
+const E = [
+    32, 1, 2, 3, 4, 5, 4, 5, 6, 7, 8, 9, 8, 9, 10, 11, 12, 13, 12, 13, 14, 15, 16, 17,
+    16, 17, 18, 19, 20, 21, 20, 21, 22, 23, 24, 25, 24, 25, 26, 27, 28, 29, 28, 29, 30, 31, 32, 1
+]
+
+const P = [
+    16, 7, 20, 21, 29, 12, 28, 17, 1, 15, 23, 26, 5, 18, 31, 10,
+    2, 8, 24, 14, 32, 27, 3, 9, 19, 13, 30, 6, 22, 11, 4, 25
+]
+
+const PC1 = [
+    57, 49, 41, 33, 25, 17, 9, 1, 58, 50, 42, 34, 26, 18,
+    10, 2, 59, 51, 43, 35, 27, 19, 11, 3, 60, 52, 44, 36,
+    63, 55, 47, 39, 31, 23, 15, 7, 62, 54, 46, 38, 30, 22,
+    14, 6, 61, 53, 45, 37, 29, 21, 13, 5, 28, 20, 12, 4
+]
+
+const PC2 = [
+    14, 17, 11, 24, 1, 5, 3, 28, 15, 6, 21, 10, 23, 19, 12, 4, 26, 8, 16, 7, 27, 20, 13, 2,
+    41, 52, 31, 37, 47, 55, 30, 40, 51, 45, 33, 48, 44, 49, 39, 56, 34, 53, 46, 42, 50, 36, 29, 32
+]
+
+const SHIFTS = [1, 1, 2, 2, 2, 2, 2, 2, 1, 2, 2, 2, 2, 2, 2, 1]
+
+const S = [
+    [14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7, 0, 15, 7, 4, 14, 2, 13, 1, 10, 6, 12, 11, 9, 5, 3, 8,
+        4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3, 10, 5, 0, 15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13],
+    [15, 1, 8, 14, 6, 11, 3, 4, 9, 7, 2, 13, 12, 0, 5, 10, 3, 13, 4, 7, 15, 2, 8, 14, 12, 0, 1, 10, 6, 9, 11, 5,
+        0, 14, 7, 11, 10, 4, 13, 1, 5, 8, 12, 6, 9, 3, 2, 15, 13, 8, 10, 1, 3, 15, 4, 2, 11, 6, 7, 12, 0, 5, 14, 9],
+    [10, 0, 9, 14, 6, 3, 15, 5, 1, 13, 12, 7, 11, 4, 2, 8, 13, 7, 0, 9, 3, 4, 6, 10, 2, 8, 5, 14, 12, 11, 15, 1,
+        13, 6, 4, 9, 8, 15, 3, 0, 11, 1, 2, 12, 5, 10, 14, 7, 1, 10, 13, 0, 6, 9, 8, 7, 4, 15, 14, 3, 11, 5, 2, 12],
+    [7, 13, 14, 3, 0, 6, 9, 10, 1, 2, 8, 5, 11, 12, 4, 15, 13, 8, 11, 5, 6, 15, 0, 3, 4, 7, 2, 12, 1, 10, 14, 9,
+        10, 6, 9, 0, 12, 11, 7, 13, 15, 1, 3, 14, 5, 2, 8, 4, 3, 15, 0, 6, 10, 1, 13, 8, 9, 4, 5, 11, 12, 7, 2, 14],
+    [2, 12, 4, 1, 7, 10, 11, 6, 8, 5, 3, 15, 13, 0, 14, 9, 14, 11, 2, 12, 4, 7, 13, 1, 5, 0, 15, 10, 3, 9, 8, 6,
+        4, 2, 1, 11, 10, 13, 7, 8, 15, 9, 12, 5, 6, 3, 0, 14, 11, 8, 12, 7, 1, 14, 2, 13, 6, 15, 0, 9, 10, 4, 5, 3],
+    [12, 1, 10, 15, 9, 2, 6, 8, 0, 13, 3, 4, 14, 7, 5, 11, 10, 15, 4, 2, 7, 12, 9, 5, 6, 1, 13, 14, 0, 11, 3, 8,
+        9, 14, 15, 5, 2, 8, 12, 3, 7, 0, 4, 10, 1, 13, 11, 6, 4, 3, 2, 12, 9, 5, 15, 10, 11, 14, 1, 7, 6, 0, 8, 13],
+    [4, 11, 2, 14, 15, 0, 8, 13, 3, 12, 9, 7, 5, 10, 6, 1, 13, 0, 11, 7, 4, 9, 1, 10, 14, 3, 5, 12, 2, 15, 8, 6,
+        1, 4, 11, 13, 12, 3, 7, 14, 10, 15, 6, 8, 0, 5, 9, 2, 6, 11, 13, 8, 1, 4, 10, 7, 9, 5, 0, 15, 14, 2, 3, 12],
+    [13, 2, 8, 4, 6, 15, 11, 1, 10, 9, 3, 14, 5, 0, 12, 7, 1, 15, 13, 8, 10, 3, 7, 4, 12, 5, 6, 11, 0, 14, 9, 2,
+        7, 11, 4, 1, 9, 12, 14, 2, 0, 6, 10, 13, 15, 3, 5, 8, 2, 1, 14, 7, 4, 10, 8, 13, 15, 12, 9, 0, 3, 5, 6, 11]
+]
+
+/**
+ * @param {number[]} bits
+ *      one number (0 or 1) per bit
+ * @param {number[]} table
+ *      1-based positions
+ * @returns {number[]}
+ */
+function permute(bits, table) {
+    return table.map(position => bits[position - 1])
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {number[]}
+ */
+function to_bits(buffer) {
+    let bits = []
+    for (const value of buffer) {
+        for (let i = 7; i >= 0; --i) bits.push((value >> i) & 1);
+    }
+    return bits
+}
+
+/**
+ * @param {number[]} bits
+ * @returns {Buffer}
+ */
+function from_bits(bits) {
+    let out = Buffer.alloc(bits.length / 8)
+    bits.forEach((bit, i) => {
+        out[i >> 3] |= bit << (7 - (i & 7))
+    })
+    return out
+}
+
+/**
+ * @param {Buffer} key
+ *      8 bytes ; parity bits are ignored
+ * @returns {number[][]}
+ *      16 round keys of 48 bits
+ */
+function key_schedule(key) {
+    let bits = permute(to_bits(key), PC1),
+        c = bits.slice(0, 28),
+        d = bits.slice(28),
+        round_keys = []
+    for (const shift of SHIFTS) {
+        c = c.slice(shift).concat(c.slice(0, shift))
+        d = d.slice(shift).concat(d.slice(0, shift))
+        round_keys.push(permute(c.concat(d), PC2))
+    }
+    return round_keys
+}
+
+/**
+ * @param {number[]} right
+ *      32 bits
+ * @param {number[]} round_key
+ *      48 bits
+ * @returns {number[]}
+ *      32 bits
+ */
+function feistel(right, round_key) {
+    let expanded = permute(right, E).map((bit, i) => bit ^ round_key[i]),
+        out = []
+    for (let box = 0; box < 8; ++box) {
+        let six = expanded.slice(box * 6, box * 6 + 6),
+            row = (six[0] << 1) | six[5],
+            column = (six[1] << 3) | (six[2] << 2) | (six[3] << 1) | six[4],
+            value = S[box][row * 16 + column]
+        out.push((value >> 3) & 1, (value >> 2) & 1, (value >> 1) & 1, value & 1)
+    }
+    return permute(out, P)
+}
+
+/**
+ * @param {Buffer} key
+ * @param {Buffer} block
+ * @param {boolean} decrypt
+ * @returns {Buffer}
+ */
+function crypt_block(key, block, decrypt) {
+    let round_keys = key_schedule(key),
+        bits = permute(to_bits(block), IP),
+        left = bits.slice(0, 32),
+        right = bits.slice(32)
+    if (decrypt) round_keys.reverse();
+    for (const round_key of round_keys) {
+        let next = feistel(right, round_key).map((bit, i) => bit ^ left[i])
+        left = right
+        right = next
+    }
+    return from_bits(permute(right.concat(left), FP))
+}
+
+/**
+ * single DES, one block
+ * @param {Buffer} key
+ *      8 bytes
+ * @param {Buffer} block
+ *      8 bytes
+ * @returns {Buffer}
+ */
+function encrypt_block(key, block) {
+    return crypt_block(key, block, false)
+}
+
+/**
+ * @param {Buffer} key
+ *      8 bytes
+ * @param {Buffer} block
+ *      8 bytes
+ * @returns {Buffer}
+ */
+function decrypt_block(key, block) {
+    return crypt_block(key, block, true)
+}
+
+/**
+ * triple DES (encrypt-decrypt-encrypt), one block
+ * @param {Buffer} key
+ *      16 bytes (K1 K2, K3 = K1) or 24 bytes (K1 K2 K3)
+ * @param {Buffer} block
+ *      8 bytes
+ * @returns {Buffer}
+ */
+function encrypt_block3(key, block) {
+    let k1 = key.slice(0, 8),
+        k2 = key.slice(8, 16),
+        k3 = key.length >= 24 ? key.slice(16, 24) : k1
+    return encrypt_block(k3, decrypt_block(k2, encrypt_block(k1, block)))
+}
+
+/**
+ * @param {Buffer} key
+ *      16 or 24 bytes
+ * @param {Buffer} block
+ *      8 bytes
+ * @returns {Buffer}
+ */
+function decrypt_block3(key, block) {
+    let k1 = key.slice(0, 8),
+        k2 = key.slice(8, 16),
+        k3 = key.length >= 24 ? key.slice(16, 24) : k1
+    return decrypt_block(k1, encrypt_block(k2, decrypt_block(k3, block)))
+}
+
+/**
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {Buffer}
+ */
+function xor(a, b) {
+    return Buffer.from(a.map((value, i) => value ^ b[i]))
+}
+
+/**
+ * CBC mode encryption without padding
+ * @param {Buffer} key
+ *      8 bytes for single DES, 16 or 24 bytes for triple DES
+ * @param {Buffer} iv
+ *      8 bytes
+ * @param {Buffer} data
+ *      a multiple of 8 bytes
+ * @returns {Buffer}
+ */
+function encrypt_cbc(key, iv, data) {
+    if (data.length % BLOCK_SIZE)
+        throw new TypeError(`expecting a multiple of 8 bytes ; received : ${data.length}`);
+    let encrypt = key.length > 8 ? encrypt_block3 : encrypt_block,
+        previous = iv,
+        out = []
+    for (let i = 0; i < data.length; i += BLOCK_SIZE) {
+        previous = encrypt(key, xor(data.slice(i, i + BLOCK_SIZE), previous))
+        out.push(previous)
+    }
+    return Buffer.concat(out)
+}
+
+/**
+ * CBC mode decryption without padding
+ * @param {Buffer} key
+ *      8 bytes for single DES, 16 or 24 bytes for triple DES
+ * @param {Buffer} iv
+ *      8 bytes
+ * @param {Buffer} data
+ *      a multiple of 8 bytes
+ * @returns {Buffer}
+ */
+function decrypt_cbc(key, iv, data) {
+    if (data.length % BLOCK_SIZE)
+        throw new TypeError(`expecting a multiple of 8 bytes ; received : ${data.length}`);
+    let decrypt = key.length > 8 ? decrypt_block3 : decrypt_block,
+        previous = iv,
+        out = []
+    for (let i = 0; i < data.length; i += BLOCK_SIZE) {
+        let block = data.slice(i, i + BLOCK_SIZE)
+        out.push(xor(decrypt(key, block), previous))
+        previous = block
+    }
+    return Buffer.concat(out)
+}
+
+module.exports = {
+    BLOCK_SIZE: BLOCK_SIZE,
+    encrypt_block: encrypt_block,
+    decrypt_block: decrypt_block,
+    encrypt_block3: encrypt_block3,
+    decrypt_block3: decrypt_block3,
+    encrypt_cbc: encrypt_cbc,
+    decrypt_cbc: decrypt_cbc
+}
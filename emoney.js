@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * decoders for the e-money services of the common area (system 0xFE00, Rcs620s.SYSTEM_CODE.COMMON) : 楽天Edy,
+ * WAON and nanaco
+ *
+ * these layouts are not published by the issuers ; they follow what has been worked out from reading cards,
+ * and unknown transaction types are kept as numbers. the purse (balance) services hold the balance in their
+ * first 4 bytes, little endian, like every FeliCa purse service.
+ */
+
+'use strict'
+
+const {read_number, read_bit_run, is_empty_block, records_parser} = require('./felicaca_utils')
+
+/**
+ * Edy transaction types (byte 0 of a history block)
+ */
+const EDY_TYPES = {
+    0x02: {name: 'チャージ', category: 'charge'},
+    0x04: {name: 'Edyギフト', category: 'charge'},
+    0x20: {name: '支払', category: 'purchase'}
+}
+
+/**
+ * nanaco transaction types (byte 0 of a history block)
+ */
+const NANACO_TYPES = {
+    0x35: {name: '引継', category: 'other'},
+    0x47: {name: '支払', category: 'purchase'},
+    0x6f: {name: 'チャージ', category: 'charge'},
+    0x70: {name: 'チャージ(クレジット)', category: 'charge'},
+    0x83: {name: 'ポイント交換', category: 'charge'}
+}
+
+/**
+ * @param {Buffer} block
+ *      first block of a purse service
+ * @returns {number}
+ */
+function parse_purse_balance(block) {
+    return read_number(block, 0, 4, 'LE')
+}
+
+/**
+ * @param {Buffer} block
+ * @param {number} idx
+ * @param {number} length
+ *      bytes
+ * @returns {string}
+ *      the card number as printed on the card : hex digits in groups of 4
+ */
+function read_card_number(block, idx, length) {
+    return block.slice(idx, idx + length).toString('hex').match(/.{1,4}/g).join('-')
+}
+
+/**
+ * @param {Buffer} block
+ *      the Edy card information block (0x110b)
+ * @returns {string}
+ *      Edy番号, e.g. '1234-5678-9012-3456'
+ */
+function parse_edy_number(block) {
+    return read_card_number(block, 2, 8)
+}
+
+/**
+ * Edy timestamps : the upper 15 bits count days from 2000-01-01, the lower 17 bits seconds within the day
+ * @param {Buffer} block
+ * @param {number} idx
+ * @returns {{date: object, time: object}}
+ */
+function read_edy_timestamp(block, idx) {
+    let value = read_number(block, idx, 4, 'BE'),
+        day = new Date(Date.UTC(2000, 0, 1) + (value >>> 17) * 86400000),
+        seconds = value & 0x1ffff
+    return {
+        date: {year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate()},
+        time: {hour: Math.floor(seconds / 3600), minute: Math.floor(seconds / 60) % 60, second: seconds % 60}
+    }
+}
+
+/**
+ * decodes one block of the Edy history service (0x170f)
+ * @param {Buffer} block
+ * @returns {object|undefined}
+ *      {type, type_name, category, sequence, date, time, amount, balance} ; undefined if the block is empty
+ */
+function parse_edy_history_block(block) {
+    if (is_empty_block(block)) return;
+    let type = EDY_TYPES[block[0]] || {name: '', category: 'other'},
+        amount = read_number(block, 8, 4, 'BE')
+    return Object.assign({
+        type: block[0],
+        type_name: type.name,
+        category: type.category,
+        sequence: read_number(block, 1, 3, 'BE')
+    }, read_edy_timestamp(block, 4), {
+        amount: type.category === 'purchase' ? -amount : amount,
+        balance: read_number(block, 12, 4, 'BE')
+    })
+}
+
+/**
+ * @param {Buffer} block
+ *      the nanaco card information block (0x558b)
+ * @returns {string}
+ *      nanaco番号
+ */
+function parse_nanaco_number(block) {
+    return read_card_number(block, 0, 8)
+}
+
+/**
+ * decodes one block of the nanaco history service (0x564f)
+ * @param {Buffer} block
+ * @returns {object|undefined}
+ *      {type, type_name, category, sequence, date, time, amount, balance} ; undefined if the block is empty
+ */
+function parse_nanaco_history_block(block) {
+    if (is_empty_block(block)) return;
+    let type = NANACO_TYPES[block[0]] || {name: '', category: 'other'},
+        amount = read_number(block, 1, 4, 'BE'),
+        // 11 bits year from 2000, 4 bits month, 5 bits day, 6 bits hour, 6 bits minute
+        timestamp = read_number(block, 9, 4, 'BE')
+    return {
+        type: block[0],
+        type_name: type.name,
+        category: type.category,
+        sequence: read_number(block, 13, 2, 'BE'),
+        date: {year: 2000 + (timestamp >>> 21), month: (timestamp >>> 17) & 0x0f, day: (timestamp >>> 12) & 0x1f},
+        time: {hour: (timestamp >>> 6) & 0x3f, minute: timestamp & 0x3f, second: 0},
+        amount: type.category === 'purchase' ? -amount : amount,
+        balance: read_number(block, 5, 4, 'BE')
+    }
+}
+
+/**
+ * @param {Buffer} block
+ *      the WAON card information block (0x684f)
+ * @returns {string}
+ *      WAON番号
+ */
+function parse_waon_number(block) {
+    return read_card_number(block, 0, 8)
+}
+
+/**
+ * decodes one record of the WAON history service (0x680b) ; a record takes 2 blocks. byte 1 is the
+ * transaction type, the second block starts with fields packed back to back, most significant bit first :
+ *
+ *      31 bits     timestamp : 5 bits year from 2005, 4 bits month, 5 bits day, 5 bits hour, 6 bits minute,
+ *                  6 bits second
+ *      18 bits     balance after the transaction
+ *      18 bits     amount paid
+ *      17 bits     amount charged
+ *
+ * worked out from dumps of cards ; it has not been checked against every kind of transaction, so the type is
+ * kept as a number and the category follows from the amounts
+ * @param {Buffer} record
+ *      32 bytes
+ * @returns {object|undefined}
+ *      {type, category, date, time, amount, balance, raw} ; undefined if the record is empty
+ */
+function parse_waon_history_record(record) {
+    if (record.length < 32 || is_empty_block(record)) return;
+    let fields = record.slice(16, 32),
+        field = (bit_idx, width) => read_bit_run(fields, bit_idx, width),
+        paid = field(49, 18),
+        charged = field(67, 17)
+    return {
+        type: record[1],
+        category: charged ? 'charge' : paid ? 'purchase' : 'other',
+        date: {year: 2005 + field(0, 5), month: field(5, 4), day: field(9, 5)},
+        time: {hour: field(14, 5), minute: field(19, 6), second: field(25, 6)},
+        amount: charged ? charged : -paid,
+        balance: field(31, 18),
+        raw: record.toString('hex')
+    }
+}
+
+/**
+ * @param {Buffer[]} blocks
+ *      blocks of the WAON history service, 2 per record
+ * @returns {object[]}
+ *      records of the non-empty entries, newest first
+ */
+function parse_waon_history(blocks) {
+    let records = []
+    for (let i = 0; i + 1 < blocks.length; i += 2) records.push(Buffer.concat([blocks[i], blocks[i + 1]]));
+    return records.map(parse_waon_history_record).filter(record => record)
+}
+
+module.exports = {
+    EDY_TYPES: EDY_TYPES,
+    NANACO_TYPES: NANACO_TYPES,
+    parse_purse_balance: parse_purse_balance,
+    parse_edy_number: parse_edy_number,
+    parse_edy_history_block: parse_edy_history_block,
+    parse_edy_history: records_parser(parse_edy_history_block),
+    parse_nanaco_number: parse_nanaco_number,
+    parse_nanaco_history_block: parse_nanaco_history_block,
+    parse_nanaco_history: records_parser(parse_nanaco_history_block),
+    parse_waon_number: parse_waon_number,
+    parse_waon_history_record: parse_waon_history_record,
+    parse_waon_history: parse_waon_history
+}
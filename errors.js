@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * errors raised by Rcs620s and the modules next to it (frame_codec, ndef, card_dump, block_layout,
+ * felica_lite_s, des, ...) ; every promise of the reader rejects with one of these, and the modules throw them.
+ * wrong arguments are programming errors, not FelicaErrors : every module throws a TypeError for them
+ *
+ *      FelicaError                 base class ; also used as is for NO_SUCH_SERVICE, NDEF_READ_ONLY,
+ *                                  NDEF_TOO_LONG when writing NDEF tags, MAC_MISMATCH when a Lite-S card
+ *                                  answers with a wrong MAC, and AUTHENTICATION_FAILED, NO_KEY, KEY_PROVIDER
+ *                                  when authenticating
+ *        TransportError            the serial port failed : PORT_NOT_READY, PORT_ERROR, WRITE_FAILED
+ *        FrameError                the reader sent something unusable : CHECKSUM_ERROR, NACK, ERROR_FRAME,
+ *                                  RESPONSE_TOO_LONG, UNEXPECTED_RESPONSE, UNEXPECTED_CARD_RESPONSE ;
+ *                                  or a command is too long for a frame : FRAME_TOO_LONG
+ *        FormatError               card data or a document is malformed : NDEF_INVALID (NDEF message or
+ *                                  TLVs), DUMP_INVALID (card dump), LAYOUT_INVALID (block layout),
+ *                                  ACCESS_STORE_INVALID (AccessController store file)
+ *        TimeoutError              NO_ACK, NO_RESPONSE, CLOSE_TIMEOUT
+ *        AbortError                ABORTED : the AbortSignal passed in the options fired
+ *        DeviceStatusError         DEVICE_STATUS : the reader reported an error status (property status)
+ *        CardStatusError           CARD_STATUS : the card refused the command (status_flag1, status_flag2,
+ *                                  status_message) ; CARD_NAK : a Type A card answered NAK (nak, status_message)
+ *        NoCardError               NO_CARD : no card answered
+ *
+ * codes are stable and meant to be branched on ; messages are for humans. depending on where they were raised,
+ * errors also carry :
+ *
+ *      command         name of the failing command, e.g. 'ReadWithoutEncryption' ; see Rcs620s.CARD_COMMANDS
+ *      block_number    first block of the failing read or write
+ *      page_number     page of the failing Type A read or write
+ *      service_code    4 hex digits, most significant first (as in card dumps)
+ *      key_version     key version of the area or service (NO_KEY)
+ *      path            file that could not be used (ACCESS_STORE_INVALID)
+ *      cause           the error this one was raised for, if any
+ */
+
+'use strict'
+
+class FelicaError extends Error {
+    /**
+     * @param {string} code
+     * @param {string} message
+     * @param {object} [details]
+     *      properties to add to the error ; cause is chained as the standard Error cause
+     */
+    constructor(code, message, details = {}) {
+        super(message, details.cause !== undefined ? {cause: details.cause} : undefined)
+        this.code = code
+        for (const key of Object.keys(details)) {
+            if (key !== 'cause') this[key] = details[key];
+        }
+    }
+
+    /**
+     * @returns {object}
+     *      a plain object for JSON (e.g. in card dumps and logs) ; Error properties are not enumerable otherwise
+     */
+    toJSON() {
+        let out = Object.assign({name: this.name, code: this.code, message: this.message}, this)
+        if (this.cause !== undefined)
+            out.cause = this.cause && typeof this.cause.toJSON === 'function' ? this.cause.toJSON()
+                : this.cause instanceof Error ? {name: this.cause.name, message: this.cause.message}
+                    : this.cause;
+        return out
+    }
+}
+
+class TransportError extends FelicaError {
+}
+
+class FrameError extends FelicaError {
+}
+
+class TimeoutError extends FelicaError {
+}
+
+class AbortError extends FelicaError {
+}
+
+class DeviceStatusError extends FelicaError {
+}
+
+class CardStatusError extends FelicaError {
+}
+
+class NoCardError extends FelicaError {
+}
+
+class FormatError extends FelicaError {
+}
+
+for (const error_class of [FelicaError, TransportError, FrameError, TimeoutError, AbortError, DeviceStatusError,
+    CardStatusError, NoCardError, FormatError])
+    error_class.prototype.name = error_class.name;
+
+/**
+ * adds context to an error on its way up ; properties already set are kept
+ * @param {*} err
+ * @param {object} details
+ * @returns {*}
+ *      err
+ */
+function annotate(err, details) {
+    if (err instanceof FelicaError) {
+        for (const key of Object.keys(details)) {
+            if (err[key] === undefined) err[key] = details[key];
+        }
+    }
+    return err
+}
+
+module.exports = {
+    FelicaError: FelicaError,
+    TransportError: TransportError,
+    FrameError: FrameError,
+    TimeoutError: TimeoutError,
+    AbortError: AbortError,
+    DeviceStatusError: DeviceStatusError,
+    CardStatusError: CardStatusError,
+    NoCardError: NoCardError,
+    FormatError: FormatError,
+    annotate: annotate
+}
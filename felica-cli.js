@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * felica : command-line access to an RC-S620S reader, for scripts and quick checks
+ *
+ *      felica [options] <command> [arguments]
+ *
+ * commands :
+ *      wait                            waits for a card ; prints its IDm, PMm and system codes
+ *      idm                             waits for a card ; prints its IDm
+ *      balance                         balance of every e-money on the card : Suica (and other 交通系 IC cards),
+ *                                      楽天Edy, WAON, nanaco
+ *      history                         usage history of a Suica
+ *      read <service> <block> [count]  raw blocks of a service that needs no key ; the service code is 4 hex
+ *                                      digits, most significant first (e.g. 090f), the block a number (e.g. 0x10)
+ *                                      up to 0xffff, count up to MAX_READ_COUNT
+ *      dump                            every known service of the polled system, as a card dump document (see
+ *                                      card_dump.js) ; use --system common for Edy, WAON and nanaco
+ *      info                            firmware version, status and self-test of the reader ; needs no card
+ *
+ * options :
+ *      --port PATH         serial port ; defaults to $FELICA_PORT, then /dev/ttyAMA0
+ *      --baud RATE         defaults to 115200
+ *      --timeout MS        how long to wait for a card ; waits forever if omitted
+ *      --system CODE       system to poll : 4 hex digits (e.g. 0003) or a key of Rcs620s.SYSTEM_CODE (e.g. suica) ;
+ *                          defaults to suica for history and dump, any system otherwise
+ *      --json              prints JSON instead of text
+ *
+ * exit status : 0 success, 1 error, 2 no card before --timeout, 64 bad arguments
+ */
+
+'use strict'
+
+const Rcs620s = require('./Rcs620s'),
+    {FelicaError, TransportError, NoCardError} = require('./errors')
+
+const EXIT = {
+    OK: 0,
+    ERROR: 1,
+    NO_CARD: 2,
+    USAGE: 64
+}
+
+const ANY_SYSTEM = '\xff\xff'
+
+const POLL_INTERVAL = 300
+
+/**
+ * most blocks the read command reads at once
+ */
+const MAX_READ_COUNT = 64
+
+const USAGE = 'usage : felica [--port PATH] [--baud RATE] [--timeout MS] [--system CODE] [--json] ' +
+    '<wait|idm|balance|history|read <service> <block> [count]|dump|info>'
+
+/**
+ * commands : number of arguments, and the system polled when --system is omitted
+ */
+const COMMANDS = {
+    wait: {args: [0, 0], system: ANY_SYSTEM},
+    idm: {args: [0, 0], system: ANY_SYSTEM},
+    balance: {args: [0, 0], system: ANY_SYSTEM},
+    history: {args: [0, 0], system: Rcs620s.SYSTEM_CODE.SUICA},
+    read: {args: [2, 3], system: ANY_SYSTEM},
+    dump: {args: [0, 0], system: Rcs620s.SYSTEM_CODE.SUICA},
+    info: {args: [0, 0], system: null}
+}
+
+/**
+ * @param {string} value
+ *      see Rcs620s.parse_system_code()
+ * @returns {string}
+ *      2-byte binary string, big endian
+ * @throws {string}
+ *      usage error if the value is not a system
+ */
+function parse_system_code(value) {
+    try {
+        return Rcs620s.parse_system_code(value)
+    }
+    catch (e) {
+        throw e.message
+    }
+}
+
+/**
+ * @param {string} value
+ *      a non-negative integer, decimal or 0x-prefixed hex
+ * @param {string} name
+ * @returns {number}
+ * @throws {string}
+ */
+function parse_integer(value, name) {
+    let number = /^(0x[0-9a-f]+|\d+)$/i.test(value) ? Number(value) : NaN
+    if (isNaN(number)) throw `expecting a number for ${name} ; received : ${value}`;
+    return number
+}
+
+/**
+ * @param {string[]} argv
+ *      arguments after the script name
+ * @returns {{command: string, args: string[], options: object}}
+ * @throws {string}
+ *      usage errors
+ */
+function parse_args(argv) {
+    let options = {
+            port: process.env.FELICA_PORT || '/dev/ttyAMA0',
+            baud: 115200,
+            timeout: null,
+            system: null,
+            json: false
+        },
+        positional = []
+    for (let i = 0; i < argv.length; ++i) {
+        let arg = argv[i],
+            [name, inline_value] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [null],
+            value = () => {
+                if (inline_value !== undefined) return inline_value;
+                if (i + 1 >= argv.length) throw `missing value for --${name}`;
+                return argv[++i]
+            }
+        switch (name) {
+            case null:
+                positional.push(arg)
+                break
+            case 'port':
+                options.port = value()
+                break
+            case 'baud':
+                options.baud = parse_integer(value(), '--baud')
+                break
+            case 'timeout':
+                options.timeout = parse_integer(value(), '--timeout')
+                break
+            case 'system':
+                options.system = parse_system_code(value())
+                break
+            case 'json':
+                options.json = true
+                break
+            default:
+                throw `unknown option : ${arg}`
+        }
+    }
+
+    let command = positional.shift(),
+        spec = COMMANDS[command]
+    if (!spec) throw command ? `unknown command : ${command}` : 'missing command';
+    if (positional.length < spec.args[0] || positional.length > spec.args[1])
+        throw `wrong number of arguments for ${command}`;
+    if (options.system === null) options.system = spec.system;
+    return {command: command, args: positional, options: options}
+}
+
+/**
+ * @param {string} binary
+ *      binary string or Buffer
+ * @returns {string}
+ */
+function to_hex(binary) {
+    return (binary instanceof Buffer ? binary : Buffer.from(binary, 'latin1')).toString('hex')
+}
+
+/**
+ * @param {{year: number, month: number, day: number}} date
+ * @returns {string}
+ */
+function format_date(date) {
+    let pad = n => ('0' + n).slice(-2)
+    return `${date.year}-${pad(date.month)}-${pad(date.day)}`
+}
+
+/**
+ * @param {object} [station]
+ *      see suica.parse_usage_history()
+ * @returns {string}
+ */
+function format_station(station) {
+    if (!station) return '';
+    return `${station.line.toString(16)}-${station.station.toString(16)}`
+}
+
+/**
+ * @param {Rcs620s} reader
+ * @param {number} [timeout]
+ *      milliseconds
+ * @returns {Promise}
+ *      resolves once the serial port is open
+ */
+function wait_until_ready(reader, timeout = 5000) {
+    if (reader.is_ready) return Promise.resolve();
+    return new Promise((ok, ng) => {
+        let on_ready = () => {
+                done()
+                ok()
+            },
+            on_error = err => {
+                done()
+                ng(err)
+            },
+            done = () => {
+                clearTimeout(timer)
+                reader.removeListener('ready', on_ready)
+                reader.removeListener('error', on_error)
+            },
+            timer = setTimeout(() => on_error(new TransportError('PORT_NOT_READY', 'the serial port did not open')),
+                timeout)
+        reader.once('ready', on_ready)
+        reader.once('error', on_error)
+    })
+}
+
+/**
+ * polls until a card answers
+ * @param {Rcs620s} reader
+ * @param {string} system_code
+ * @param {number|null} timeout
+ *      milliseconds ; null to wait forever
+ * @returns {Promise}
+ *      resolves with the polling result, or with nothing if the timeout expired
+ */
+function wait_for_card(reader, system_code, timeout) {
+    let deadline = timeout === null ? Infinity : Date.now() + timeout
+    let poll = () => reader.polling(system_code).then(card => {
+        if (card) return card;
+        if (Date.now() >= deadline) return;
+        return new Promise(ok => setTimeout(ok, Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now()))))
+            .then(poll)
+    })
+    return poll()
+}
+
+/**
+ * command implementations ; each resolves with {data, text} : data is printed with --json, text otherwise
+ */
+const HANDLERS = {
+    wait: (reader, card) => reader.request_system_code(card.idm).then(system_codes => ({
+        data: {idm: to_hex(card.idm), pmm: to_hex(card.pmn), system_codes: system_codes.map(to_hex)},
+        text: `IDm ${to_hex(card.idm)}  PMm ${to_hex(card.pmn)}  systems ${system_codes.map(to_hex).join(' ')}`
+    })),
+
+    idm: (reader, card) => ({
+        data: {idm: to_hex(card.idm)},
+        text: to_hex(card.idm)
+    }),
+
+    balance: (reader, card) => reader.read_balance(card.idm).then(balances => ({
+        data: {
+            idm: to_hex(card.idm),
+            balances: balances.map(balance => ({brand: balance.brand, system_code: balance.system_code,
+                balance: balance.balance}))
+        },
+        text: balances.length ? balances.map(balance => `${balance.brand}\t¥${balance.balance}`).join('\n')
+            : 'no e-money on this card'
+    })),
+
+    history: (reader, card) => reader.read_service(card.idm, Rcs620s.SERVICES.SUICA.USAGE_HISTORY).then(records => ({
+        data: {idm: to_hex(card.idm), history: records},
+        text: records.map(record => [
+            format_date(record.date),
+            record.process_type_name || record.category,
+            record.entry || record.exit ? `${format_station(record.entry)} -> ${format_station(record.exit)}` : '',
+            record.amount === null ? '' : (record.amount > 0 ? '+' : '') + record.amount,
+            `¥${record.balance}`
+        ].join('\t')).join('\n')
+    })),
+
+    read: (reader, card, args) => {
+        if (!/^[0-9a-f]{4}$/i.test(args[0])) throw `expecting 4 hex digits for the service ; received : ${args[0]}`;
+        let service_code = Buffer.from(args[0], 'hex').reverse().toString('latin1'),
+            block_number = parse_integer(args[1], 'the block'),
+            count = args[2] === undefined ? 1 : parse_integer(args[2], 'the count')
+        if (count < 1 || count > MAX_READ_COUNT)
+            throw `expecting a count from 1 to ${MAX_READ_COUNT} ; received : ${count}`;
+        if (block_number + count - 1 > 0xffff)
+            throw `expecting block numbers up to 0xffff ; received : ${block_number} to ${block_number + count - 1}`;
+        return reader.read_block(card.idm, service_code, block_number, count).then(data => {
+            let blocks = Array.from({length: count}, (value, i) => ({
+                block_number: block_number + i,
+                data: data.slice(i * 16, (i + 1) * 16).toString('hex')
+            }))
+            return {
+                data: {idm: to_hex(card.idm), service_code: args[0].toLowerCase(), blocks: blocks},
+                text: blocks.map(block => `${('000' + block.block_number.toString(16)).slice(-4)}: ${block.data}`)
+                    .join('\n')
+            }
+        })
+    },
+
+    dump: (reader, card, args, options) => reader.dump_card(options.system).then(dump => ({
+        data: dump,
+        text: JSON.stringify(dump, null, 2)
+    })),
+
+    info: reader => reader.self_test().then(report => {
+        let lines = [`reader ${report.ok ? 'OK' : 'FAILED'}`]
+        if (report.firmware)
+            lines.push(`firmware IC ${report.firmware.ic.toString(16)} version ${report.firmware.version}`);
+        if (report.status) lines.push(`last error ${report.status.error_message}`);
+        for (const step of report.steps) {
+            let detail = step.ok ? '' : ` : ${step.error.message}`
+            lines.push(`  ${step.ok ? 'ok  ' : 'FAIL'} ${step.name} (${step.elapsed_ms} ms)${detail}`)
+        }
+        return {data: report, text: lines.join('\n'), exit: report.ok ? EXIT.OK : EXIT.ERROR}
+    })
+}
+
+/**
+ * runs one command
+ * @param {string[]} argv
+ *      arguments after the script name
+ * @param {object} [io]
+ * @param {function} [io.create_reader]
+ *      (options) => Rcs620s ; defaults to a reader on options.port at options.baud
+ * @param {object} [io.stdout=process.stdout]
+ * @param {object} [io.stderr=process.stderr]
+ * @returns {Promise}
+ *      resolves with the exit status ; never rejects
+ */
+function run(argv, io = {}) {
+    let stdout = io.stdout || process.stdout,
+        stderr = io.stderr || process.stderr,
+        parsed
+    try {
+        parsed = parse_args(argv)
+    }
+    catch (e) {
+        stderr.write(`${e}\n${USAGE}\n`)
+        return Promise.resolve(EXIT.USAGE)
+    }
+
+    let {command, args, options} = parsed,
+        reader = io.create_reader ? io.create_reader(options) : new Rcs620s(options.port, options.baud)
+
+    return wait_until_ready(reader)
+        .then(() => reader.init_device())
+        .then(() => COMMANDS[command].system === null ? null : wait_for_card(reader, options.system, options.timeout))
+        .then(card => {
+            if (card === undefined)
+                return {exit: EXIT.NO_CARD, error: new NoCardError('NO_CARD', 'no card before the timeout')};
+            return HANDLERS[command](reader, card, args, options)
+        })
+        .catch(err => {
+            if (typeof err === 'string') return {exit: EXIT.USAGE, error: `${err}\n${USAGE}`};
+            return {exit: EXIT.ERROR, error: err}
+        })
+        .then(result => {
+            if (result.error) {
+                let error = result.error
+                if (options.json && typeof error !== 'string') {
+                    let json = error instanceof FelicaError ? error.toJSON() : {message: String(error)}
+                    stdout.write(JSON.stringify({error: json}) + '\n')
+                }
+                else stderr.write(`${error instanceof Error ? error.message : error}\n`);
+            }
+            else stdout.write((options.json ? JSON.stringify(result.data) : result.text) + '\n');
+            return reader.close().catch(() => undefined).then(() => result.exit || EXIT.OK)
+        })
+}
+
+module.exports = {
+    EXIT: EXIT,
+    COMMANDS: COMMANDS,
+    parse_args: parse_args,
+    wait_for_card: wait_for_card,
+    run: run
+}
+
+if (require.main === module) run(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * mutual authentication (Authentication1 / Authentication2) and encrypted block access for services that
+ * require a key : the key provider interface
+ *
+ * the reader only carries the commands ; every cryptographic step is done by a key provider, so that keys can
+ * stay in a file, a SAM or any HSM-like process. a key provider is an object with these methods (each may
+ * return a value or a Promise) :
+ *
+ *      authentication1({idm, area_codes, service_codes, key_versions})
+ *          --> {challenge: Buffer (M1c), context: *}
+ *      authentication2(context, {m2c: Buffer, m3c: Buffer})
+ *          --> {response: Buffer (M4c), session: *} ; throws if the card could not prove it holds the keys
+ *      encrypt(session, data: Buffer) --> Buffer
+ *      decrypt(session, data: Buffer) --> Buffer
+ *
+ * area_codes and service_codes are numbers, key_versions the versions the card reported for
+ * area_codes.concat(service_codes). errors thrown by a provider reach the caller of Rcs620s.authenticate() as
+ * they are if they are FelicaErrors (e.g. NO_KEY, AUTHENTICATION_FAILED), wrapped as KEY_PROVIDER otherwise.
+ *
+ * this library ships no key provider : the key derivation and the cryptograms of FeliCa Standard cards are
+ * defined by Sony and the card issuer and are not public, so a provider has to come from whoever holds the
+ * keys (e.g. one that forwards to a SAM). VirtualRcs620s.key_provider() only speaks the made-up scheme of the
+ * simulated cards, for testing code built on authenticate().
+ */
+
+'use strict'
+
+/**
+ * methods every key provider has
+ */
+const METHODS = ['authentication1', 'authentication2', 'encrypt', 'decrypt']
+
+/**
+ * @param {*} key_provider
+ * @returns {boolean}
+ *      true if key_provider has every method of the interface
+ */
+function is_key_provider(key_provider) {
+    return !!key_provider && METHODS.every(method => typeof key_provider[method] === 'function')
+}
+
+module.exports = {
+    METHODS: METHODS,
+    is_key_provider: is_key_provider
+}
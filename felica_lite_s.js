@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * FeliCa Lite-S (RC-S966) : block map, memory configuration and MAC computation
+ *
+ * a Lite-S card has a single system (0x88B4) with one random service, read-write as 0x0009 and read-only as
+ * 0x000B. blocks 0x00-0x0D are user data (S_PAD0-13), 0x0E is REG ; the blocks from 0x80 up are special :
+ * random challenge, card key, memory configuration, write counter, MACs, ...
+ *
+ * MACs are triple DES (2 keys) in CBC mode. the card treats each 8-byte half of a block as a number whose
+ * least significant byte comes first : every 8-byte chunk is byte-reversed on its way in and out of DES.
+ * keys and blocks passed to and returned by this module are always in card order, as read from or written to
+ * the card.
+ *
+ *      session key     SK = 3DES-CBC(key: CK, IV: 0, data: RC)
+ *      read            MAC_A = 3DES-CBC(key: SK, IV: RC1, data: block numbers || block data), last 8 bytes
+ *      write           MAC_A = 3DES-CBC(key: SK2 SK1, IV: RC1, data: WCNT || block numbers || block data)
+ *
+ * see the FeliCa Lite-S User's Manual (Sony) for the block formats
+ */
+
+'use strict'
+
+const des = require('./des'),
+    {read_number} = require('./felicaca_utils')
+
+const SYSTEM_CODE = 0x88b4
+
+const SERVICE_CODE = {
+    READ_WRITE: 0x0009,
+    READ_ONLY: 0x000b
+}
+
+const BLOCKS = {
+    S_PAD0: 0x00,
+    S_PAD13: 0x0d,
+    REG: 0x0e,
+    RC: 0x80,
+    MAC: 0x81,
+    ID: 0x82,
+    D_ID: 0x83,
+    SER_C: 0x84,
+    SYS_C: 0x85,
+    CKV: 0x86,
+    CK: 0x87,
+    MC: 0x88,
+    WCNT: 0x90,
+    MAC_A: 0x91,
+    STATE: 0x92,
+    CRC_CHECK: 0xa0
+}
+
+/**
+ * at most this many blocks can be read together with MAC_A
+ */
+const MAX_MAC_BLOCKS = 3
+
+const BLOCK_SIZE = 16,
+    KEY_SIZE = 16
+
+/**
+ * @param {Buffer} buffer
+ *      a multiple of 8 bytes
+ * @returns {Buffer}
+ *      a copy with each 8-byte chunk byte-reversed
+ */
+function swap8(buffer) {
+    let out = Buffer.alloc(buffer.length)
+    for (let i = 0; i < buffer.length; ++i) out[i] = buffer[(i & ~7) + 7 - (i & 7)];
+    return out
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} length
+ * @param {string} name
+ * @throws {TypeError}
+ *      if buffer is not a Buffer of the given length
+ */
+function check_length(buffer, length, name) {
+    if (!(buffer instanceof Buffer) || buffer.length !== length)
+        throw new TypeError(`expecting ${name} of ${length} bytes ; received : ${buffer}`);
+}
+
+/**
+ * @param {Buffer} card_key
+ *      16 bytes, as in the CK block
+ * @param {Buffer} random_challenge
+ *      16 bytes, as written to the RC block
+ * @returns {Buffer}
+ *      session key, 16 bytes
+ * @throws {TypeError}
+ *      if the card key or the challenge is not 16 bytes
+ */
+function session_key(card_key, random_challenge) {
+    check_length(card_key, KEY_SIZE, 'card key')
+    check_length(random_challenge, BLOCK_SIZE, 'random challenge')
+    return swap8(des.encrypt_cbc(swap8(card_key), Buffer.alloc(8), swap8(random_challenge)))
+}
+
+/**
+ * @param {number[]} block_numbers
+ * @returns {Buffer}
+ *      2 bytes per block number (little endian), padded with 0xFF to a multiple of 8 bytes
+ */
+function block_number_list(block_numbers) {
+    let out = Buffer.alloc(Math.ceil(block_numbers.length * 2 / 8) * 8, 0xff)
+    block_numbers.forEach((block_number, i) => out.writeUInt16LE(block_number, i * 2))
+    return out
+}
+
+/**
+ * @param {Buffer} key
+ *      16 bytes, card order
+ * @param {Buffer} iv
+ *      8 bytes, card order
+ * @param {Buffer} data
+ *      a multiple of 8 bytes, card order
+ * @returns {Buffer}
+ *      8 bytes, card order
+ */
+function generate_mac(key, iv, data) {
+    let encrypted = des.encrypt_cbc(swap8(key), swap8(iv), swap8(data))
+    return swap8(encrypted.slice(-8))
+}
+
+/**
+ * MAC_A over blocks read together with the MAC_A block
+ * @param {Buffer} session_key
+ *      16 bytes ; see session_key()
+ * @param {Buffer} random_challenge
+ *      16 bytes, as written to the RC block
+ * @param {number[]} block_numbers
+ *      the blocks read, without MAC_A
+ * @param {Buffer} data
+ *      their data, 16 bytes each
+ * @returns {Buffer}
+ *      8 bytes, to compare with the first 8 bytes of the MAC_A block
+ * @throws {TypeError}
+ *      if data is not 16 bytes per block
+ */
+function read_mac(session_key, random_challenge, block_numbers, data) {
+    check_length(data, block_numbers.length * BLOCK_SIZE, 'block data')
+    return generate_mac(session_key, random_challenge.slice(0, 8),
+        Buffer.concat([block_number_list(block_numbers.concat([BLOCKS.MAC_A])), data]))
+}
+
+/**
+ * MAC_A for writing a block with MAC
+ * @param {Buffer} session_key
+ *      16 bytes ; see session_key()
+ * @param {Buffer} random_challenge
+ *      16 bytes, as written to the RC block
+ * @param {number} write_count
+ *      current value of the WCNT block
+ * @param {number} block_number
+ * @param {Buffer} data
+ *      16 bytes
+ * @returns {Buffer}
+ *      the MAC_A block to write after the data block, 16 bytes
+ * @throws {TypeError}
+ *      if data is not 16 bytes
+ */
+function write_mac_block(session_key, random_challenge, write_count, block_number, data) {
+    check_length(data, BLOCK_SIZE, 'block data')
+    let header = Buffer.alloc(8)
+    header.writeUIntLE(write_count, 0, 3)
+    header.writeUInt16LE(block_number, 4)
+    header.writeUInt16LE(BLOCKS.MAC_A, 6)
+    let key = Buffer.concat([session_key.slice(8, 16), session_key.slice(0, 8)]),
+        mac = generate_mac(key, random_challenge.slice(0, 8), Buffer.concat([header, data])),
+        out = Buffer.alloc(BLOCK_SIZE)
+    mac.copy(out)
+    out.writeUIntLE(write_count, 8, 3)
+    return out
+}
+
+/**
+ * @param {Buffer} block
+ *      the WCNT block
+ * @returns {number}
+ *      number of writes so far (24 bits)
+ */
+function parse_write_count(block) {
+    return read_number(block, 0, 3, 'LE')
+}
+
+/**
+ * decodes the MC (memory configuration) block
+ * @param {Buffer} block
+ * @returns {object}
+ *      {
+ *          writable_blocks: [BLOCK_NUMBER, ...],   S_PAD0-13 and REG blocks that can still be written
+ *          system_blocks_writable: boolean,        false once MC_ALL has been set (irreversible)
+ *          ndef: boolean,                          SYS_OP : the card answers to the NDEF system code
+ *          card_key_needs_mac: boolean,            CK and CKV can only be written with MAC
+ *          read_needs_auth: [BLOCK_NUMBER, ...],
+ *          write_needs_auth: [BLOCK_NUMBER, ...],
+ *          write_needs_mac: [BLOCK_NUMBER, ...],
+ *          raw: HEX_STRING
+ *      }
+ */
+function parse_memory_configuration(block) {
+    let blocks_of = offset => {
+        let bits = read_number(block, offset, 2, 'LE'),
+            out = []
+        for (let i = BLOCKS.S_PAD0; i <= BLOCKS.REG; ++i) if (bits & (1 << i)) out.push(i);
+        return out
+    }
+    return {
+        writable_blocks: blocks_of(0),
+        system_blocks_writable: block[2] === 0xff,
+        ndef: block[3] === 0x01,
+        card_key_needs_mac: !!(block[5] & 0x01),
+        read_needs_auth: blocks_of(6),
+        write_needs_auth: blocks_of(8),
+        write_needs_mac: blocks_of(10),
+        raw: block.toString('hex')
+    }
+}
+
+/**
+ * @param {Buffer} block
+ *      the current MC block
+ * @param {number[]} block_numbers
+ *      S_PAD0-13 or REG blocks to make read-only
+ * @returns {Buffer}
+ *      the MC block to write ; everything else is kept
+ * @throws {TypeError}
+ *      if a block number is not S_PAD0-13 or REG
+ */
+function lock_blocks(block, block_numbers) {
+    let out = Buffer.from(block),
+        bits = read_number(out, 0, 2, 'LE')
+    for (const block_number of block_numbers) {
+        if (!(block_number >= BLOCKS.S_PAD0 && block_number <= BLOCKS.REG))
+            throw new TypeError(`only blocks 0x00-0x0e can be locked ; received : ${block_number}`);
+        bits &= ~(1 << block_number)
+    }
+    out.writeUInt16LE(bits, 0)
+    return out
+}
+
+module.exports = {
+    SYSTEM_CODE: SYSTEM_CODE,
+    SERVICE_CODE: SERVICE_CODE,
+    BLOCKS: BLOCKS,
+    MAX_MAC_BLOCKS: MAX_MAC_BLOCKS,
+    swap8: swap8,
+    session_key: session_key,
+    block_number_list: block_number_list,
+    generate_mac: generate_mac,
+    read_mac: read_mac,
+    write_mac_block: write_mac_block,
+    parse_write_count: parse_write_count,
+    parse_memory_configuration: parse_memory_configuration,
+    lock_blocks: lock_blocks
+}
@@ -39,7 +39,7 @@ function serial(funcs) {
  */
 function read_number(buffer, idx, len = 0, byte_order = 'LE') {
     if (!(buffer instanceof Buffer))
-        throw `expecting instance of Buffer ; received : ${buffer}`;
+        throw new TypeError(`expecting instance of Buffer ; received : ${buffer}`);
     var extracted_data = [],
         end_idx = len ? idx + len : buffer.length
     for (var i = idx; i < end_idx; ++i)
@@ -53,6 +53,118 @@ function read_number(buffer, idx, len = 0, byte_order = 'LE') {
     return out
 }
 
+/**
+ * reads a run of bits out of N bytes
+ * @param {Buffer} buffer
+ * @param {number} idx
+ * @param {number} len
+ *      bytes holding the bits ; 1 to 4
+ * @param {string} byte_order
+ *      endianess of those bytes ; should be 'LE' or 'BE'
+ * @param {number} shift
+ *      position of the lowest bit, 0 being the least significant bit of the number read
+ * @param {number} width
+ *      number of bits
+ * @returns {number}
+ */
+function read_bits(buffer, idx, len, byte_order, shift, width) {
+    let value = read_number(buffer, idx, len, byte_order) >>> shift
+    return width < 32 ? value & ((1 << width) - 1) : value
+}
+
+/**
+ * reads a run of bits that may straddle any number of bytes, counting bits from the most significant bit of
+ * buffer[0] ; for records whose fields are packed back to back regardless of byte boundaries
+ * @param {Buffer} buffer
+ * @param {number} bit_idx
+ *      position of the first (most significant) bit
+ * @param {number} width
+ *      number of bits ; 1 to 32
+ * @returns {number}
+ */
+function read_bit_run(buffer, bit_idx, width) {
+    let value = 0
+    for (let i = bit_idx; i < bit_idx + width; ++i) value = value * 2 + ((buffer[i >> 3] >> (7 - (i & 7))) & 1);
+    return value
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} idx
+ * @param {number} [len]
+ *      if omitted, then read until the end of the buffer
+ * @returns {string}
+ *      the bytes as a hex string
+ */
+function read_hex(buffer, idx, len = 0) {
+    return buffer.slice(idx, len ? idx + len : buffer.length).toString('hex')
+}
+
+/**
+ * @param {Buffer} block
+ * @returns {boolean}
+ *      true if the block was never written
+ */
+function is_empty_block(block) {
+    return !block || !block.length || block.every(value => value === 0)
+}
+
+/**
+ * @param {function} parse_block
+ *      (block) => record, or undefined if the block is empty
+ * @returns {function}
+ *      (blocks) => records of the non-empty blocks, in the order of the blocks (newest first on cards)
+ */
+function records_parser(parse_block) {
+    return blocks => blocks.map(parse_block).filter(record => record)
+}
+
+/**
+ * reads N bytes of packed BCD (2 decimal digits per byte, most significant first)
+ * @param {Buffer} buffer
+ * @param {number} idx
+ * @param {number} [len=1]
+ * @returns {number}
+ */
+function read_bcd(buffer, idx, len = 1) {
+    var out = 0
+    for (var i = idx; i < idx + len; ++i)
+        out = out * 100 + (buffer[i] >> 4) * 10 + (buffer[i] & 0x0f);
+    return out
+}
+
+/**
+ * reads a 2-byte packed date as used by transit IC cards :
+ * 7 bits year (since 2000), 4 bits month, 5 bits day (big endian)
+ * @param {Buffer} buffer
+ * @param {number} idx
+ * @returns {{year: number, month: number, day: number}}
+ */
+function read_packed_date(buffer, idx) {
+    let value = read_number(buffer, idx, 2, 'BE')
+    return {
+        year: 2000 + (value >> 9),
+        month: (value >> 5) & 0x0f,
+        day: value & 0x1f
+    }
+}
+
+/**
+ * reads a 2-byte packed time as used by transit IC cards :
+ * 5 bits hour, 6 bits minute, 5 bits second/2 (big endian)
+ * @param {Buffer} buffer
+ * @param {number} idx
+ * @returns {{hour: number, minute: number, second: number}}
+ */
+function read_packed_time(buffer, idx) {
+    let value = read_number(buffer, idx, 2, 'BE')
+    return {
+        hour: value >> 11,
+        minute: (value >> 5) & 0x3f,
+        second: (value & 0x1f) * 2
+    }
+}
+
 /**
  * converts a number into a binary string; shamelessly ripped from :
  * @link https://qiita.com/rukihena/items/476d48e1e8d8fc6b98bf
@@ -76,5 +188,13 @@ module.exports = {
     range: range,
     serial: serial,
     int2strbinLE: int2strbinLE,
-    read_number: read_number
+    read_number: read_number,
+    read_bits: read_bits,
+    read_bit_run: read_bit_run,
+    read_hex: read_hex,
+    read_bcd: read_bcd,
+    read_packed_date: read_packed_date,
+    read_packed_time: read_packed_time,
+    is_empty_block: is_empty_block,
+    records_parser: records_parser
 }
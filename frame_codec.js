@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * RC-S620S frame format
+ *
+ *      normal frame   : 00 00 FF LEN LCS <payload> DCS 00              (payload up to 255 bytes)
+ *      extended frame : 00 00 FF FF FF LENM LENL LCS <payload> DCS 00  (payload over 255 bytes)
+ *      ACK            : 00 00 FF 00 FF 00
+ *      NACK           : 00 00 FF FF 00 00
+ *      error frame    : 00 00 FF 01 FF 7F 81 00
+ *
+ * LCS is chosen so that the length byte(s) plus LCS sum to 0 (mod 256) ;
+ * DCS is chosen so that the payload bytes plus DCS sum to 0 (mod 256)
+ */
+
+'use strict'
+
+const EventEmitter = require('events'),
+    {FrameError} = require('./errors')
+
+const PREAMBLE = Buffer.from([0x00, 0x00, 0xff]),
+    ACK_FRAME = Buffer.from([0x00, 0x00, 0xff, 0x00, 0xff, 0x00]),
+    NACK_FRAME = Buffer.from([0x00, 0x00, 0xff, 0xff, 0x00, 0x00]),
+    ERROR_FRAME = Buffer.from([0x00, 0x00, 0xff, 0x01, 0xff, 0x7f, 0x81, 0x00]),
+    MAX_NORMAL_PAYLOAD = 255,
+    MAX_EXTENDED_PAYLOAD = 0xffff
+
+/**
+ * @param {Buffer} buffer
+ * @return {number}
+ *      the byte that makes the sum of buffer plus itself 0 (mod 256)
+ */
+function checksum(buffer) {
+    var sum = 0
+    for (const value of buffer.values()) sum += value;
+    return (-sum) & 0xff
+}
+
+/**
+ * @param {number} length
+ *      payload length
+ * @returns {Buffer}
+ *      preamble, length and LCS : 5 bytes for a normal frame, 8 bytes for an extended frame
+ * @throws {FrameError}
+ *      FRAME_TOO_LONG if the payload is longer than MAX_EXTENDED_PAYLOAD
+ */
+function frame_header(length) {
+    if (length > MAX_EXTENDED_PAYLOAD)
+        throw new FrameError('FRAME_TOO_LONG', `payload too long for a frame : ${length} bytes`);
+    if (length <= MAX_NORMAL_PAYLOAD)
+        return Buffer.from([0x00, 0x00, 0xff, length, (-length) & 0xff]);
+    let length_bytes = Buffer.from([(length >> 8) & 0xff, length & 0xff])
+    return Buffer.concat([PREAMBLE, Buffer.from([0xff, 0xff]), length_bytes, Buffer.from([checksum(length_bytes)])])
+}
+
+/**
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ *      a normal frame, or an extended frame if the payload is longer than 255 bytes
+ */
+function encode_frame(payload) {
+    return Buffer.concat([frame_header(payload.length), payload, Buffer.from([checksum(payload), 0x00])])
+}
+
+/**
+ * @param {Buffer} header
+ *      the first 5 bytes of a frame
+ * @returns {boolean}
+ *      true if the frame is an extended frame, whose header is 8 bytes long
+ */
+function is_extended_header(header) {
+    return header[3] === 0xff && header[4] === 0xff
+}
+
+/**
+ * @param {Buffer} header
+ *      5 bytes for a normal frame, 8 bytes for an extended frame
+ * @returns {number}
+ *      payload length ; -1 if the header is malformed or LCS does not match
+ */
+function parse_header(header) {
+    if (header.length < 5 || !header.slice(0, 3).equals(PREAMBLE)) return -1;
+    if (!is_extended_header(header))
+        return checksum(header.slice(3, 5)) === 0 ? header[3] : -1;
+    if (header.length < 8 || checksum(header.slice(5, 8)) !== 0) return -1;
+    return (header[5] << 8) | header[6]
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+/**
+ * assembles frames from a stream of received chunks (e.g. serial port 'data' events) ; emits :
+ *
+ *      'ack'
+ *      'nack'
+ *      'error-frame'
+ *      'frame' (payload : Buffer, extended : boolean) : a normal or extended frame whose LCS and DCS are correct
+ *      'invalid' (reason : string) : 'lcs' or 'dcs' ; the broken frame is skipped
+ *
+ * bytes before a preamble are discarded
+ */
+class FrameParser extends EventEmitter {
+    constructor() {
+        super()
+        this._buffer = Buffer.alloc(0)
+    }
+
+    /**
+     * discards everything received so far
+     */
+    reset() {
+        this._buffer = Buffer.alloc(0)
+    }
+
+    /**
+     * @param {Buffer} chunk
+     */
+    push(chunk) {
+        this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk
+        this._parse()
+    }
+
+    _parse() {
+        for (; ;) {
+            let start = this._buffer.indexOf(PREAMBLE)
+            if (start < 0) {
+                // keep what may be the beginning of a preamble
+                this._buffer = this._buffer.slice(-2)
+                return
+            }
+            let buffer = this._buffer = this._buffer.slice(start)
+            if (buffer.length < 6) return;
+
+            if (buffer[3] === 0x00 && buffer[4] === 0xff) {
+                this._buffer = buffer.slice(6)
+                this.emit('ack')
+                continue
+            }
+            if (buffer[3] === 0xff && buffer[4] === 0x00) {
+                this._buffer = buffer.slice(6)
+                this.emit('nack')
+                continue
+            }
+
+            let extended = is_extended_header(buffer),
+                header_len = extended ? 8 : 5
+            if (buffer.length < header_len) return;
+            let len = parse_header(buffer.slice(0, header_len))
+            if (len < 0) {
+                this._buffer = buffer.slice(3)
+                this.emit('invalid', 'lcs')
+                continue
+            }
+            if (buffer.length < header_len + len + 2) return;
+
+            let payload = buffer.slice(header_len, header_len + len),
+                dcs = buffer[header_len + len]
+            this._buffer = buffer.slice(header_len + len + 2)
+            if (checksum(payload) !== dcs) {
+                this.emit('invalid', 'dcs')
+                continue
+            }
+            if (len === 1 && payload[0] === 0x7f) this.emit('error-frame');
+            else this.emit('frame', payload, extended);
+        }
+    }
+}
+
+module.exports = {
+    FrameParser: FrameParser,
+    PREAMBLE: PREAMBLE,
+    ACK_FRAME: ACK_FRAME,
+    NACK_FRAME: NACK_FRAME,
+    ERROR_FRAME: ERROR_FRAME,
+    MAX_NORMAL_PAYLOAD: MAX_NORMAL_PAYLOAD,
+    MAX_EXTENDED_PAYLOAD: MAX_EXTENDED_PAYLOAD,
+    checksum: checksum,
+    frame_header: frame_header,
+    encode_frame: encode_frame,
+    is_extended_header: is_extended_header,
+    parse_header: parse_header
+}
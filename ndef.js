@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+
+/**
+ * NDEF (NFC Data Exchange Format) messages, plus the containers that hold them on NFC Forum tags :
+ *
+ *      Type 2 (NTAG / Ultralight) : capability container in page 3, TLV blocks from page 4 on
+ *      Type 3 (FeliCa, e.g. Lite-S) : attribute information block 0 then data blocks, in system 0x12FC
+ *
+ *      const ndef = require('./ndef')
+ *      let message = ndef.encode_message([ndef.uri_record('https://example.com/asset/1234')])
+ *      ndef.parse_message(message)
+ *      // --> [{tnf: 1, type: 'U', id: '', payload: <Buffer ..>, uri: 'https://example.com/asset/1234'}]
+ *
+ * @link https://nfc-forum.org/our-work/specification-releases/specifications/nfc-forum-technical-specifications/
+ */
+
+'use strict'
+
+const {read_number} = require('./felicaca_utils'),
+    {FormatError} = require('./errors')
+
+/**
+ * Type Name Format (3 lowest bits of the record header)
+ */
+const TNF = {
+    EMPTY: 0x00,
+    WELL_KNOWN: 0x01,
+    MIME: 0x02,
+    ABSOLUTE_URI: 0x03,
+    EXTERNAL: 0x04,
+    UNKNOWN: 0x05,
+    UNCHANGED: 0x06
+}
+
+const FLAG_MB = 0x80,
+    FLAG_ME = 0x40,
+    FLAG_CF = 0x20,
+    FLAG_SR = 0x10,
+    FLAG_IL = 0x08
+
+/**
+ * URI identifier codes (first byte of a URI record)
+ */
+const URI_PREFIXES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:', 'ftp://anonymous:anonymous@',
+    'ftp://ftp.', 'ftps://', 'sftp://', 'smb://', 'nfs://', 'ftp://', 'dav://', 'news:', 'telnet://', 'imap:',
+    'rtsp://', 'urn:', 'pop:', 'sip:', 'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://', 'tcpobex://',
+    'irdaobex://', 'file://', 'urn:epc:id:', 'urn:epc:tag:', 'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:'
+]
+
+/**
+ * TLV tags of Type 2 tags
+ */
+const TLV = {
+    NULL: 0x00,
+    LOCK_CONTROL: 0x01,
+    MEMORY_CONTROL: 0x02,
+    NDEF_MESSAGE: 0x03,
+    PROPRIETARY: 0xfd,
+    TERMINATOR: 0xfe
+}
+
+/**
+ * @param {string} message
+ * @returns {FormatError}
+ */
+function invalid_ndef(message) {
+    return new FormatError('NDEF_INVALID', message)
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+// records
+
+/**
+ * @param {string} uri
+ * @returns {object}
+ *      a well-known URI record ('U'), with the longest matching prefix abbreviated
+ */
+function uri_record(uri) {
+    let code = 0
+    URI_PREFIXES.forEach((prefix, i) => {
+        if (prefix && uri.indexOf(prefix) === 0 && prefix.length > URI_PREFIXES[code].length) code = i;
+    })
+    return {
+        tnf: TNF.WELL_KNOWN,
+        type: 'U',
+        id: '',
+        payload: Buffer.concat([Buffer.from([code]), Buffer.from(uri.slice(URI_PREFIXES[code].length), 'utf8')])
+    }
+}
+
+/**
+ * @param {string} text
+ * @param {string} [language='en']
+ *      IANA language code
+ * @returns {object}
+ *      a well-known Text record ('T'), UTF-8 encoded
+ */
+function text_record(text, language = 'en') {
+    let lang = Buffer.from(language, 'ascii')
+    return {
+        tnf: TNF.WELL_KNOWN,
+        type: 'T',
+        id: '',
+        payload: Buffer.concat([Buffer.from([lang.length & 0x3f]), lang, Buffer.from(text, 'utf8')])
+    }
+}
+
+/**
+ * @param {string} mime_type
+ *      e.g. 'application/json'
+ * @param {Buffer|string} payload
+ *      strings are UTF-8 encoded
+ * @returns {object}
+ */
+function mime_record(mime_type, payload) {
+    return {
+        tnf: TNF.MIME,
+        type: mime_type,
+        id: '',
+        payload: payload instanceof Buffer ? payload : Buffer.from(payload, 'utf8')
+    }
+}
+
+/**
+ * @param {string} type
+ *      domain and type, e.g. 'example.com:asset'
+ * @param {Buffer|string} payload
+ *      strings are UTF-8 encoded
+ * @returns {object}
+ */
+function external_record(type, payload) {
+    return {
+        tnf: TNF.EXTERNAL,
+        type: type,
+        id: '',
+        payload: payload instanceof Buffer ? payload : Buffer.from(payload, 'utf8')
+    }
+}
+
+/**
+ * adds the decoded contents of URI, Text and MIME records
+ * @param {object} record
+ *      {tnf, type, id, payload}
+ * @returns {object}
+ *      the same record, plus {uri} for URI and absolute URI records, {text, language, encoding} for Text
+ *      records, {mime_type} for MIME records
+ */
+function decode_record(record) {
+    let payload = record.payload
+    if (record.tnf === TNF.WELL_KNOWN && record.type === 'U' && payload.length) {
+        record.uri = (URI_PREFIXES[payload[0]] || '') + payload.slice(1).toString('utf8')
+    }
+    else if (record.tnf === TNF.WELL_KNOWN && record.type === 'T' && payload.length) {
+        let status = payload[0],
+            lang_length = status & 0x3f
+        record.encoding = status & 0x80 ? 'utf16' : 'utf8'
+        record.language = payload.slice(1, 1 + lang_length).toString('ascii')
+        record.text = record.encoding === 'utf8'
+            ? payload.slice(1 + lang_length).toString('utf8')
+            : decode_utf16(payload.slice(1 + lang_length))
+    }
+    else if (record.tnf === TNF.ABSOLUTE_URI) record.uri = record.type;
+    else if (record.tnf === TNF.MIME) record.mime_type = record.type;
+    return record
+}
+
+/**
+ * @param {Buffer} buffer
+ *      UTF-16 with an optional byte order mark ; big endian without one
+ * @returns {string}
+ */
+function decode_utf16(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.slice(2).toString('utf16le');
+    let start = buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff ? 2 : 0,
+        swapped = Buffer.from(buffer.slice(start, start + ((buffer.length - start) & ~1)))
+    return swapped.swap16().toString('utf16le')
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+// messages
+
+/**
+ * parses an NDEF message ; chunked records are joined into one
+ * @param {Buffer} buffer
+ * @returns {object[]}
+ *      [{tnf, type, id, payload}, ...] ; see decode_record() for the decoded properties
+ * @throws {FormatError}
+ *      if the message is truncated or malformed
+ */
+function parse_message(buffer) {
+    let records = [],
+        chunked = null,
+        idx = 0
+    while (idx < buffer.length) {
+        let header = buffer[idx++],
+            tnf = header & 0x07,
+            type_length = buffer[idx++],
+            payload_length = 0,
+            id_length = 0
+        if (idx + (header & FLAG_SR ? 1 : 4) + (header & FLAG_IL ? 1 : 0) > buffer.length)
+            throw invalid_ndef('invalid NDEF message : truncated record header');
+        if (header & FLAG_SR) payload_length = buffer[idx++];
+        else {
+            payload_length = read_number(buffer.slice(idx, idx + 4), 0, 4, 'BE')
+            idx += 4
+        }
+        if (header & FLAG_IL) id_length = buffer[idx++];
+        if (idx + type_length + id_length + payload_length > buffer.length)
+            throw invalid_ndef('invalid NDEF message : truncated record');
+
+        let type = buffer.slice(idx, idx += type_length).toString('utf8'),
+            id = buffer.slice(idx, idx += id_length).toString('utf8'),
+            payload = buffer.slice(idx, idx += payload_length)
+
+        if (chunked) {
+            // middle or last chunk
+            if (tnf !== TNF.UNCHANGED) throw invalid_ndef('invalid NDEF message : chunk with a type');
+            chunked.payloads.push(payload)
+            if (header & FLAG_CF) continue;
+            records.push(decode_record({
+                tnf: chunked.tnf, type: chunked.type, id: chunked.id, payload: Buffer.concat(chunked.payloads)
+            }))
+            chunked = null
+        }
+        else if (header & FLAG_CF) chunked = {tnf: tnf, type: type, id: id, payloads: [payload]};
+        else records.push(decode_record({tnf: tnf, type: type, id: id, payload: payload}));
+
+        if (header & FLAG_ME) break;
+    }
+    if (chunked) throw invalid_ndef('invalid NDEF message : last chunk missing');
+    return records
+}
+
+/**
+ * @param {number} flags
+ *      MB, ME and CF bits
+ * @param {number} tnf
+ * @param {string} type
+ * @param {string} id
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encode_record(flags, tnf, type, id, payload) {
+    let type_buffer = Buffer.from(type || '', 'utf8'),
+        id_buffer = Buffer.from(id || '', 'utf8'),
+        short = payload.length < 0x100,
+        header = flags | tnf | (short ? FLAG_SR : 0) | (id_buffer.length ? FLAG_IL : 0),
+        length = short ? Buffer.from([payload.length]) : Buffer.alloc(4)
+    if (!short) length.writeUInt32BE(payload.length, 0);
+    return Buffer.concat([
+        Buffer.from([header, type_buffer.length]),
+        length,
+        id_buffer.length ? Buffer.from([id_buffer.length]) : Buffer.alloc(0),
+        type_buffer,
+        id_buffer,
+        payload
+    ])
+}
+
+/**
+ * builds an NDEF message ; payloads under 256 bytes are sent as short records
+ * @param {object[]} records
+ *      [{tnf, type, id, payload}, ...] e.g. from uri_record() ; an empty list gives an empty record
+ * @param {object} [options]
+ * @param {number} [options.chunk_size]
+ *      if given, payloads longer than this are split into chunked records
+ * @returns {Buffer}
+ */
+function encode_message(records, options = {}) {
+    if (!records.length) records = [{tnf: TNF.EMPTY, type: '', id: '', payload: Buffer.alloc(0)}];
+    let chunk_size = options.chunk_size,
+        parts = []
+    records.forEach((record, i) => {
+        let first = i === 0 ? FLAG_MB : 0,
+            last = i === records.length - 1 ? FLAG_ME : 0,
+            payload = record.payload || Buffer.alloc(0)
+        if (!chunk_size || payload.length <= chunk_size) {
+            parts.push(encode_record(first | last, record.tnf, record.type, record.id, payload))
+            return
+        }
+        for (let offset = 0; offset < payload.length; offset += chunk_size) {
+            let chunk = payload.slice(offset, offset + chunk_size),
+                more = offset + chunk_size < payload.length
+            parts.push(offset === 0
+                ? encode_record(first | FLAG_CF, record.tnf, record.type, record.id, chunk)
+                : encode_record((more ? FLAG_CF : last), TNF.UNCHANGED, '', '', chunk))
+        }
+    })
+    return Buffer.concat(parts)
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+// Type 3 tag
+
+/**
+ * decodes a Type 3 attribute information block :
+ *
+ *      0       version (0x10)
+ *      1       Nbr : blocks per read
+ *      2       Nbw : blocks per write
+ *      3-4     Nmaxb : data blocks available
+ *      9       write flag : 0x0f while a write is in progress
+ *      10      access : 0x00 read-only, 0x01 read-write
+ *      11-13   Ln : length of the NDEF message
+ *      14-15   checksum : sum of bytes 0-13
+ *
+ * @param {Buffer} block
+ *      16 bytes
+ * @returns {object}
+ *      {version, nbr, nbw, nmaxb, writing, writable, length, checksum_ok}
+ */
+function parse_attribute_block(block) {
+    let sum = 0
+    for (let i = 0; i < 14; ++i) sum += block[i];
+    return {
+        version: block[0],
+        nbr: block[1],
+        nbw: block[2],
+        nmaxb: read_number(block, 3, 2, 'BE'),
+        writing: block[9] === 0x0f,
+        writable: block[10] === 0x01,
+        length: read_number(block, 11, 3, 'BE'),
+        checksum_ok: read_number(block, 14, 2, 'BE') === sum
+    }
+}
+
+/**
+ * @param {object} attribute
+ *      {version, nbr, nbw, nmaxb, writing, writable, length}, e.g. from parse_attribute_block()
+ * @returns {Buffer}
+ *      16 bytes, with the checksum
+ */
+function build_attribute_block(attribute) {
+    let block = Buffer.alloc(16),
+        sum = 0
+    block[0] = attribute.version || 0x10
+    block[1] = attribute.nbr
+    block[2] = attribute.nbw
+    block.writeUInt16BE(attribute.nmaxb, 3)
+    block[9] = attribute.writing ? 0x0f : 0x00
+    block[10] = attribute.writable ? 0x01 : 0x00
+    block[11] = (attribute.length >> 16) & 0xff
+    block.writeUInt16BE(attribute.length & 0xffff, 12)
+    for (let i = 0; i < 14; ++i) sum += block[i];
+    block.writeUInt16BE(sum, 14)
+    return block
+}
+
+// -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -- -
+// Type 2 tag
+
+/**
+ * decodes a Type 2 capability container (page 3)
+ * @param {Buffer} page
+ *      4 bytes
+ * @returns {object}
+ *      {magic_ok, version, data_size, readable, writable} ; data_size is in bytes
+ */
+function parse_capability_container(page) {
+    return {
+        magic_ok: page[0] === 0xe1,
+        version: page[1],
+        data_size: page[2] * 8,
+        readable: (page[3] & 0xf0) === 0x00,
+        writable: (page[3] & 0x0f) === 0x00
+    }
+}
+
+/**
+ * splits the data area of a Type 2 tag into TLV blocks, up to the terminator
+ * @param {Buffer} buffer
+ * @returns {Array<{tag: number, value: Buffer, offset: number, end: number}>}
+ *      offset is where the TLV starts in buffer, end where it ends
+ * @throws {FormatError}
+ *      if a TLV runs past the end of buffer
+ */
+function parse_tlvs(buffer) {
+    let tlvs = [],
+        idx = 0
+    while (idx < buffer.length) {
+        let offset = idx,
+            tag = buffer[idx++]
+        if (tag === TLV.NULL) continue;
+        if (tag === TLV.TERMINATOR) {
+            tlvs.push({tag: tag, value: Buffer.alloc(0), offset: offset, end: idx})
+            break
+        }
+        if (idx >= buffer.length) throw invalid_ndef('invalid TLV : runs past the end of the data area');
+        let length = buffer[idx++]
+        if (length === 0xff) {
+            length = read_number(buffer.slice(idx, idx + 2), 0, 2, 'BE')
+            idx += 2
+        }
+        if (idx + length > buffer.length) throw invalid_ndef('invalid TLV : runs past the end of the data area');
+        tlvs.push({tag: tag, value: buffer.slice(idx, idx + length), offset: offset, end: idx + length})
+        idx += length
+    }
+    return tlvs
+}
+
+/**
+ * @param {Buffer} message
+ *      NDEF message
+ * @returns {Buffer}
+ *      NDEF message TLV followed by a terminator TLV
+ */
+function build_ndef_tlv(message) {
+    let length = message.length < 0xff
+        ? Buffer.from([message.length])
+        : Buffer.from([0xff, message.length >> 8, message.length & 0xff])
+    return Buffer.concat([Buffer.from([TLV.NDEF_MESSAGE]), length, message, Buffer.from([TLV.TERMINATOR])])
+}
+
+module.exports = {
+    TNF: TNF,
+    URI_PREFIXES: URI_PREFIXES,
+    TLV: TLV,
+    uri_record: uri_record,
+    text_record: text_record,
+    mime_record: mime_record,
+    external_record: external_record,
+    decode_record: decode_record,
+    parse_message: parse_message,
+    encode_message: encode_message,
+    parse_attribute_block: parse_attribute_block,
+    build_attribute_block: build_attribute_block,
+    parse_capability_container: parse_capability_container,
+    parse_tlvs: parse_tlvs,
+    build_ndef_tlv: build_ndef_tlv
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * MIFARE Ultralight / NTAG21x (ISO14443 Type A) command set
+ *
+ * memory is organised in 4-byte pages ; READ returns 4 pages (16 bytes) at once, WRITE stores one page.
+ * pages 0-2 hold the UID and lock bytes, page 3 the capability container (one-time programmable)
+ *
+ * @link https://www.nxp.com/docs/en/data-sheet/NTAG213_215_216.pdf
+ */
+
+'use strict'
+
+const COMMANDS = {
+    GET_VERSION: 0x60,
+    READ: 0x30,
+    WRITE: 0xa2
+}
+
+const PAGE_SIZE = 4,
+    READ_PAGES = 4,
+    ACK = 0x0a
+
+/**
+ * 4-bit NAK answers
+ */
+const NAK = {
+    0x00: 'invalid-argument',
+    0x01: 'crc-error',
+    0x04: 'counter-overflow',
+    0x05: 'eeprom-write-error'
+}
+
+/**
+ * products told apart by GET_VERSION : product type and storage size bytes
+ */
+const PRODUCTS = [
+    {product_type: 0x03, storage_size: 0x0b, name: 'MIFARE Ultralight EV1 (MF0UL11)', pages: 20, user_memory: 48},
+    {product_type: 0x03, storage_size: 0x0e, name: 'MIFARE Ultralight EV1 (MF0UL21)', pages: 41, user_memory: 128},
+    {product_type: 0x04, storage_size: 0x0f, name: 'NTAG213', pages: 45, user_memory: 144},
+    {product_type: 0x04, storage_size: 0x11, name: 'NTAG215', pages: 135, user_memory: 504},
+    {product_type: 0x04, storage_size: 0x13, name: 'NTAG216', pages: 231, user_memory: 888}
+]
+
+/**
+ * decodes the answer to GET_VERSION
+ * @param {Buffer} response
+ *      8 bytes
+ * @returns {object}
+ *      {vendor_id, product_type, product_subtype, major_version, minor_version, storage_size, protocol_type}
+ *      plus {name, pages, user_memory} if the product is known
+ */
+function parse_version(response) {
+    let version = {
+            vendor_id: response[1],
+            product_type: response[2],
+            product_subtype: response[3],
+            major_version: response[4],
+            minor_version: response[5],
+            storage_size: response[6],
+            protocol_type: response[7]
+        },
+        product = PRODUCTS.find(product =>
+            product.product_type === version.product_type && product.storage_size === version.storage_size)
+    if (product) {
+        version.name = product.name
+        version.pages = product.pages
+        version.user_memory = product.user_memory
+    }
+    return version
+}
+
+module.exports = {
+    COMMANDS: COMMANDS,
+    PAGE_SIZE: PAGE_SIZE,
+    READ_PAGES: READ_PAGES,
+    ACK: ACK,
+    NAK: NAK,
+    PRODUCTS: PRODUCTS,
+    parse_version: parse_version
+}
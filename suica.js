@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * decoders for the services of Suica and other 交通系 IC cards (PASMO, ICOCA, ...)
+ *
+ * block formats are documented at :
+ * @link http://jennychan.web.fc2.com/format/suica.html
+ */
+
+'use strict'
+
+const {read_number, read_bcd, read_packed_date, read_packed_time, is_empty_block, records_parser} =
+    require('./felicaca_utils')
+
+/**
+ * 機器種別 ; terminal type (byte 0 of a usage history block)
+ */
+const TERMINAL_TYPES = {
+    0x03: '精算機',
+    0x04: '携帯型端末',
+    0x05: '車載端末',
+    0x07: '券売機',
+    0x08: '券売機',
+    0x09: '入金機',
+    0x12: '券売機',
+    0x14: '券売機等',
+    0x15: '券売機等',
+    0x16: '改札機',
+    0x17: '簡易改札機',
+    0x18: '窓口端末',
+    0x19: '窓口端末',
+    0x1a: '改札端末',
+    0x1b: '携帯電話',
+    0x1c: '乗継精算機',
+    0x1d: '連絡改札機',
+    0x1f: '簡易入金機',
+    0x46: 'VIEW ALTTE',
+    0x48: 'VIEW ALTTE',
+    0xc7: '物販端末',
+    0xc8: '自販機'
+}
+
+/**
+ * 利用種別 ; process type (byte 1 of a usage history block)
+ * category is one of : fare, charge, purchase, bus, other
+ */
+const PROCESS_TYPES = {
+    0x01: {name: '運賃支払(改札出場)', category: 'fare'},
+    0x02: {name: 'チャージ', category: 'charge'},
+    0x03: {name: '券購(磁気券購入)', category: 'fare'},
+    0x04: {name: '精算', category: 'fare'},
+    0x05: {name: '精算(入場精算)', category: 'fare'},
+    0x06: {name: '窓出(改札窓口処理)', category: 'fare'},
+    0x07: {name: '新規(新規発行)', category: 'other'},
+    0x08: {name: '控除(窓口控除)', category: 'other'},
+    0x0d: {name: 'バス(PiTaPa系)', category: 'bus'},
+    0x0f: {name: 'バス(IruCa系)', category: 'bus'},
+    0x11: {name: '再発(再発行処理)', category: 'other'},
+    0x13: {name: '支払(新幹線利用)', category: 'fare'},
+    0x14: {name: '入A(入場時オートチャージ)', category: 'charge'},
+    0x15: {name: '出A(出場時オートチャージ)', category: 'charge'},
+    0x1f: {name: '入金(バスチャージ)', category: 'charge'},
+    0x23: {name: '券購(バス路面電車企画券購入)', category: 'bus'},
+    0x46: {name: '物販', category: 'purchase'},
+    0x48: {name: '特典(特典チャージ)', category: 'charge'},
+    0x49: {name: '入金(レジ入金)', category: 'charge'},
+    0x4a: {name: '物販取消', category: 'purchase'},
+    0x4b: {name: '入物(入場物販)', category: 'purchase'},
+    0x84: {name: '精算(他社精算)', category: 'fare'},
+    0x85: {name: '精算(他社入場精算)', category: 'fare'},
+    0xc6: {name: '物現(現金併用物販)', category: 'purchase'},
+    0xcb: {name: '入物(入場現金併用物販)', category: 'purchase'}
+}
+
+/**
+ * @param {number} region
+ *      the 2 region bits of the station
+ * @param {number} line
+ * @param {number} station
+ * @returns {object}
+ *      {region, line, station, area} ; area is 0 for JR lines (line codes below 0x80), otherwise 1 for 関東 (region
+ *      0) and 2 for 関西 公営/私鉄. names are not decoded : the station code tables are not part of this library
+ */
+function station_info(region, line, station) {
+    let area = line < 0x80 ? 0 : (region === 0 ? 1 : 2)
+    return {region: region, line: line, station: station, area: area}
+}
+
+/**
+ * decodes one block of the usage history service (利用履歴, 0x090f)
+ * @param {Buffer} block
+ *      16 bytes
+ * @returns {object|undefined}
+ *      undefined if the block is empty
+ */
+function parse_usage_history_block(block) {
+    if (is_empty_block(block)) return;
+
+    let terminal_type = block[0],
+        process_type = block[1],
+        process = PROCESS_TYPES[process_type] || {name: '', category: 'other'},
+        region = block[15],
+        record = {
+            terminal_type: terminal_type,
+            terminal_type_name: TERMINAL_TYPES[terminal_type] || '',
+            process_type: process_type,
+            process_type_name: process.name,
+            category: process.category,
+            payment_type: block[2],
+            gate_type: block[3],
+            date: read_packed_date(block, 4),
+            balance: read_number(block, 10, 2, 'LE'),
+            sequence: read_number(block, 12, 3, 'BE'),
+            region: region
+        }
+
+    if (process.category === 'purchase') {
+        record.time = read_packed_time(block, 6)
+        record.terminal_id = read_number(block, 8, 2, 'BE')
+    }
+    else if (process.category === 'bus') {
+        record.bus = {
+            operator: read_number(block, 6, 2, 'BE'),
+            stop: read_number(block, 8, 2, 'BE')
+        }
+    }
+    else {
+        record.entry = station_info((region >> 6) & 0x03, block[6], block[7])
+        record.exit = station_info((region >> 4) & 0x03, block[8], block[9])
+    }
+    return record
+}
+
+/**
+ * decodes the usage history service (利用履歴, 0x090f)
+ * @param {Buffer[]} blocks
+ *      one Buffer per block, newest first (the order stored on the card)
+ * @returns {object[]}
+ *      one record per non-empty block, newest first ; the amount of each transaction
+ *      (negative for payments) is derived from the balance of the next older record,
+ *      and is null for the oldest one
+ */
+function parse_usage_history(blocks) {
+    let records = blocks.map(parse_usage_history_block).filter(record => record)
+    records.forEach((record, i) => {
+        let older = records[i + 1]
+        record.amount = older ? record.balance - older.balance : null
+    })
+    return records
+}
+
+/**
+ * @param {Buffer} block
+ * @param {number} idx
+ *      position of the line code, followed by the station code
+ * @returns {object}
+ *      the station, with the region from the top 2 bits of byte 15 as in the usage history
+ */
+function read_station(block, idx) {
+    return station_info((block[15] >> 6) & 0x03, block[idx], block[idx + 1])
+}
+
+/**
+ * @param {Buffer} block
+ * @param {number} idx
+ *      position of the packed date, followed by the time (BCD hh mm)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+function read_timestamp(block, idx) {
+    let date = read_packed_date(block, idx)
+    return {
+        year: date.year,
+        month: date.month,
+        day: date.day,
+        hour: read_bcd(block, idx + 2),
+        minute: read_bcd(block, idx + 3)
+    }
+}
+
+/**
+ * decodes one block of the 改札入出場履歴 service (0x108f) : the gates passed, in and out
+ *
+ *      0       flags : 0x20 entry, 0x40 exit, 0x80 commuter pass (定期)
+ *      2-3     line, station
+ *      4-5     gate (terminal) number
+ *      6-7     packed date
+ *      8-9     time (BCD hh mm)
+ *      10-11   fare charged at the exit (little endian)
+ *      15      region of the station (top 2 bits)
+ *
+ * @param {Buffer} block
+ *      16 bytes
+ * @returns {object|undefined}
+ *      undefined if the block is empty
+ */
+function parse_gate_record(block) {
+    if (is_empty_block(block)) return;
+
+    let flags = block[0]
+    return {
+        flags: flags,
+        gate: flags & 0x40 ? 'exit' : flags & 0x20 ? 'entry' : '',
+        commuter_pass: !!(flags & 0x80),
+        station: read_station(block, 2),
+        gate_number: read_number(block, 4, 2, 'BE'),
+        timestamp: read_timestamp(block, 6),
+        fare: read_number(block, 10, 2, 'LE')
+    }
+}
+
+/**
+ * decodes one block of the SF入場駅記録 service (0x10cb) : where the trip paid from the stored fare (SF)
+ * balance started ; the exit gate reads it to work out the fare. no direction flags and no fare :
+ *
+ *      2-3     line, station of the entry
+ *      4-5     gate (terminal) number
+ *      6-7     packed date
+ *      8-9     time (BCD hh mm)
+ *      15      region of the station (top 2 bits)
+ *
+ * @param {Buffer} block
+ *      16 bytes
+ * @returns {object|undefined}
+ *      {station, gate_number, timestamp} ; undefined if the block is empty
+ */
+function parse_sf_entry_record(block) {
+    if (is_empty_block(block)) return;
+    return {
+        station: read_station(block, 2),
+        gate_number: read_number(block, 4, 2, 'BE'),
+        timestamp: read_timestamp(block, 6)
+    }
+}
+
+/**
+ * decodes one block of the 料金 発券/改札記録 service (0x814b) : fares taken by ticket machines and gates.
+ * byte 0 is the kind of processing, kept as a number since its values are not documented :
+ *
+ *      0       processing
+ *      2-3     line, station
+ *      4-5     terminal number
+ *      6-7     packed date
+ *      8-9     time (BCD hh mm)
+ *      10-11   fare (little endian)
+ *      15      region of the station (top 2 bits)
+ *
+ * @param {Buffer} block
+ *      16 bytes
+ * @returns {object|undefined}
+ *      {processing, station, terminal_number, timestamp, fare} ; undefined if the block is empty
+ */
+function parse_fare_record(block) {
+    if (is_empty_block(block)) return;
+    return {
+        processing: block[0],
+        station: read_station(block, 2),
+        terminal_number: read_number(block, 4, 2, 'BE'),
+        timestamp: read_timestamp(block, 6),
+        fare: read_number(block, 10, 2, 'LE')
+    }
+}
+
+/**
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} timestamp
+ * @returns {number}
+ *      a number that sorts like the timestamp
+ */
+function timestamp_order(timestamp) {
+    return (((timestamp.year * 100 + timestamp.month) * 100 + timestamp.day) * 100 + timestamp.hour) * 100
+        + timestamp.minute
+}
+
+/**
+ * @param {object[]} records
+ *      gate records as returned by parse_gate_records()
+ * @returns {boolean}
+ *      true if the latest gate passed is an entry, i.e. the rider has passed a gate inwards and not come out
+ *      yet ; records without a direction are skipped, and the latest is picked by timestamp rather than by
+ *      position, as the newest block is not always first
+ */
+function is_inside_gates(records) {
+    let latest = null
+    for (const record of records || []) {
+        if (!record || (record.gate !== 'entry' && record.gate !== 'exit')) continue;
+        // on a tie, the record nearer the front of the list is the newer one
+        if (!latest || timestamp_order(record.timestamp) > timestamp_order(latest.timestamp)) latest = record;
+    }
+    return !!latest && latest.gate === 'entry'
+}
+
+module.exports = {
+    TERMINAL_TYPES: TERMINAL_TYPES,
+    PROCESS_TYPES: PROCESS_TYPES,
+    is_empty_block: is_empty_block,
+    station_info: station_info,
+    parse_usage_history_block: parse_usage_history_block,
+    parse_usage_history: parse_usage_history,
+    parse_gate_record: parse_gate_record,
+    parse_gate_records: records_parser(parse_gate_record),
+    parse_sf_entry_record: parse_sf_entry_record,
+    parse_sf_entry_records: records_parser(parse_sf_entry_record),
+    parse_fare_record: parse_fare_record,
+    parse_fare_records: records_parser(parse_fare_record),
+    is_inside_gates: is_inside_gates
+}
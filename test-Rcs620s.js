@@ -17,40 +17,28 @@ function bye() {
 }
 process.on('SIGINT', bye)
 
-reader = new Rcs620s('/dev/ttyAMA0', 115200, function () {
-    this.init_device().then(
-        () => {
-            console.log('● device is ready ; place a SUICA on the your RC-S620S to get info (^C to exit)')
-            // poll every 300 ms ; if an existing command/poll is in progress
-            // then polling will reject with err=='busy'
-            setInterval(() => {
-                this.polling(Rcs620s.SYSTEM_CODE.SUICA).then(
-                    // poll successful, print card IDm to console
-                    // and try to get SUICA balance
-                    data => {
-                        if (data) {
-                            process.stdout.write('\x07') // beep
-                            console.log('● card IDm :', data.idm.toString('hex'))
-                            // TODO : read sequentially SUICA, EDY, WAON, ...
-                            this.read_service(data.idm, Rcs620s.SERVICES.SUICA.PROPERTIES).then(
-                                output => {
-                                    console.log(`● SUICA balance ￥${output.balance}`)
-                                    bye()
-                                },
-                                err => console.warn('error reading service', err)
-                            )
-                        }
-                    },
-                    // only emit an error to console if the poll failed with reasons
-                    // other than "busy"
-                    err => (err !== 'busy') && console.warn('poll failed :', err)) // this.polling
-            }, 300) // setInterval
-        },
-        err => {
-            console.warn('init device failed :', err)
+reader = new Rcs620s('/dev/ttyAMA0', 115200)
+
+// the reader polls by itself once started ; a card is reported once until it is removed
+reader.on('card', data => {
+    process.stdout.write('\x07') // beep
+    console.log('● card IDm :', data.idm.toString('hex'))
+    reader.read_balance(data.idm).then(
+        balances => {
+            for (const balance of balances) console.log(`● ${balance.brand} balance ￥${balance.balance}`);
+            if (!balances.length) console.log('● no e-money on this card');
             bye()
-        }
+        },
+        err => console.warn('error reading balances', err)
     )
 })
+reader.on('error', err => console.warn('poll failed :', err))
 
-
+// polls Suica and the common area (Edy, WAON, nanaco) ; see Rcs620s.LOOP_SYSTEM_CODES
+reader.start().then(
+    () => console.log('● device is ready ; place a SUICA, Edy, WAON or nanaco on the RC-S620S (^C to exit)'),
+    err => {
+        console.warn('init device failed :', err)
+        bye()
+    }
+)
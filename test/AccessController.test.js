@@ -0,0 +1,197 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    AccessController = require('../AccessController'),
+    Rcs620s = require('../Rcs620s'),
+    {FormatError} = require('../errors'),
+    {open_reader} = require('./helpers')
+
+const IDM = '0101020304050607'
+
+/**
+ * @param {AccessController} controller
+ * @param {Date} date
+ * @returns {Promise}
+ *      resolves with the reason given for IDM at date
+ */
+function reason_at(controller, date) {
+    return controller.check(IDM, date).then(event => event.reason)
+}
+
+test('a date alone bounds whole local days', async () => {
+    let controller = new AccessController(null)
+    controller.allow(IDM, {valid_from: '2026-04-01', valid_until: '2026-12-31'})
+    assert.strictEqual(await reason_at(controller, new Date(2026, 2, 31, 23, 59, 59)),
+        AccessController.REASON.NOT_YET_VALID)
+    assert.strictEqual(await reason_at(controller, new Date(2026, 3, 1, 0, 0, 0)), AccessController.REASON.ALLOWED)
+    assert.strictEqual(await reason_at(controller, new Date(2026, 11, 31, 23, 59, 59)),
+        AccessController.REASON.ALLOWED)
+    assert.strictEqual(await reason_at(controller, new Date(2027, 0, 1, 0, 0, 0)), AccessController.REASON.EXPIRED)
+})
+
+test('a date and time is taken as is', async () => {
+    let controller = new AccessController(null)
+    controller.allow(IDM, {valid_until: new Date(2026, 11, 31, 12, 0).toISOString()})
+    assert.strictEqual(await reason_at(controller, new Date(2026, 11, 31, 12, 1)), AccessController.REASON.EXPIRED)
+})
+
+test('allow() refuses dates that do not exist', () => {
+    let controller = new AccessController(null)
+    assert.throws(() => controller.allow(IDM, {valid_until: '2026-02-30'}), TypeError)
+    assert.throws(() => controller.allow(IDM, {valid_from: 'someday'}), TypeError)
+})
+
+test('a corrupt store throws a FormatError', () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'felica-access-')),
+        store = path.join(directory, 'access.json'),
+        store_invalid = err => err instanceof FormatError && err.code === 'ACCESS_STORE_INVALID' &&
+            err.path === store
+    try {
+        fs.writeFileSync(store, '{"allow": {')
+        assert.throws(() => new AccessController(null, {store: store}),
+            err => store_invalid(err) && err.cause instanceof SyntaxError)
+        fs.writeFileSync(store, '[]')
+        assert.throws(() => new AccessController(null, {store: store}), store_invalid)
+        for (const lists of [
+            {allow: {[IDM]: {valid_until: 'someday'}}, deny: {}},
+            {allow: {[IDM]: 'alice'}, deny: {}},
+            {allow: {'0101': {}}, deny: {}},
+            {allow: {[IDM.toUpperCase().replace('0101', '0A0B')]: {}}, deny: {}},
+            {allow: {}, deny: {'not an idm': {}}},
+            {allow: {}, deny: {[IDM]: true}},
+            {allow: {[IDM]: {block: {service_code: '008b', block_number: 0, offset: -1, value: '00'}}}, deny: {}},
+            {allow: {[IDM]: {block: {service_code: '008b', block_number: 0, offset: '2', value: '00'}}}, deny: {}}
+        ]) {
+            fs.writeFileSync(store, JSON.stringify(lists))
+            assert.throws(() => new AccessController(null, {store: store}), store_invalid, JSON.stringify(lists))
+        }
+
+        fs.unlinkSync(store)
+        new AccessController(null, {store: store}).allow(IDM, {name: 'alice'})
+        assert.deepStrictEqual(new AccessController(null, {store: store}).list(),
+            {allow: {[IDM]: {name: 'alice'}}, deny: {}})
+    }
+    finally {
+        fs.rmSync(directory, {recursive: true, force: true})
+    }
+})
+
+test('a schedule accepts the card within any of its slots', async () => {
+    let controller = new AccessController(null)
+    controller.allow(IDM, {schedule: [
+        {days: [1, 2, 3, 4, 5], from: '08:00', to: '19:00'},
+        // Saturday night, until 02:00 on Sunday
+        {days: [6], from: '22:00', to: '02:00'}
+    ]})
+    let reasons = dates => Promise.all(dates.map(date => reason_at(controller, date)))
+    // 2026-10-19 is a Monday, 2026-10-24 a Saturday
+    assert.deepStrictEqual(await reasons([new Date(2026, 9, 19, 8, 0), new Date(2026, 9, 19, 18, 59),
+        new Date(2026, 9, 24, 23, 0), new Date(2026, 9, 25, 1, 59)]), Array(4).fill(AccessController.REASON.ALLOWED))
+    assert.deepStrictEqual(await reasons([new Date(2026, 9, 19, 7, 59), new Date(2026, 9, 19, 19, 0),
+        new Date(2026, 9, 24, 12, 0), new Date(2026, 9, 25, 2, 0), new Date(2026, 9, 20, 1, 0)]),
+        Array(5).fill(AccessController.REASON.OUTSIDE_SCHEDULE))
+    assert.throws(() => controller.allow(IDM, {schedule: [{days: [7], from: '08:00', to: '19:00'}]}), TypeError)
+    assert.throws(() => controller.allow(IDM, {schedule: [{from: '8am', to: '19:00'}]}), TypeError)
+})
+
+test('the denylist wins over the allowlist', async () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'felica-access-')),
+        store = path.join(directory, 'access.json')
+    try {
+        // allow() takes the card off the denylist, so both can only come from the store
+        fs.writeFileSync(store, JSON.stringify({allow: {[IDM]: {name: 'alice'}}, deny: {[IDM]: {note: 'lost'}}}))
+        let controller = new AccessController(null, {store: store})
+        assert.strictEqual(await reason_at(controller, new Date()), AccessController.REASON.DENYLISTED)
+        controller.allow(IDM, {name: 'alice'})
+        assert.strictEqual(await reason_at(controller, new Date()), AccessController.REASON.ALLOWED)
+        controller.deny(IDM, {note: 'lost again'})
+        assert.strictEqual(await reason_at(controller, new Date()), AccessController.REASON.DENYLISTED)
+        assert.throws(() => controller.deny(IDM, 'lost'), TypeError)
+    }
+    finally {
+        fs.rmSync(directory, {recursive: true, force: true})
+    }
+})
+
+test('a block rule reads the card and compares the value at the offset', async () => {
+    let {reader} = await open_reader([{idm: IDM, system_code: 0x0003, services: {
+            0x008b: ['00112233445566778899aabbccddeeff']
+        }}]),
+        controller = new AccessController(reader),
+        rule = block => ({block: Object.assign({service_code: '008b', block_number: 0}, block)})
+    await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+
+    controller.allow(IDM, rule({offset: 4, value: '4455'}))
+    assert.strictEqual(await reason_at(controller, new Date()), AccessController.REASON.ALLOWED)
+    controller.allow(IDM, rule({value: '0011'}))
+    assert.strictEqual(await reason_at(controller, new Date()), AccessController.REASON.ALLOWED)
+    controller.allow(IDM, rule({offset: 4, value: '4456'}))
+    assert.strictEqual(await reason_at(controller, new Date()), AccessController.REASON.BLOCK_MISMATCH)
+    controller.allow(IDM, rule({block_number: 5, value: '00'}))
+    let event = await controller.check(IDM)
+    assert.strictEqual(event.reason, AccessController.REASON.READ_FAILED)
+    assert.ok(event.error)
+
+    assert.throws(() => controller.allow(IDM, rule({offset: 15, value: '0011'})), TypeError)
+    assert.throws(() => controller.allow(IDM, rule({offset: 1.5, value: '00'})), TypeError)
+    await reader.close()
+})
+
+test('decisions are emitted, drive the relay and are appended to the audit log', async () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'felica-access-')),
+        audit_log = path.join(directory, 'access.log'),
+        calls = [],
+        closed = null,
+        relay_closed = new Promise(ok => {
+            closed = ok
+        }),
+        relay = {
+            open: event => {
+                calls.push(`open ${event.name}`)
+                return Promise.reject(new Error('the relay is stuck'))
+            },
+            close: () => {
+                calls.push('close')
+                closed()
+            }
+        }
+    try {
+        fs.writeFileSync(audit_log, '{"earlier": true}\n')
+        let controller = new AccessController(null, {audit_log: audit_log, relay: relay, open_time: 20}),
+            events = [],
+            errors = []
+        controller.on('granted', event => events.push(event))
+        controller.on('denied', event => events.push(event))
+        controller.on('error', err => errors.push(err.message))
+        controller.allow(IDM, {name: 'alice'})
+
+        let date = new Date(2026, 9, 19, 12, 0),
+            granted = await controller.check(IDM, date),
+            denied = await controller.check('0101020304050608', date)
+        assert.deepStrictEqual(granted, {
+            time: date.toISOString(),
+            idm: IDM,
+            result: 'granted',
+            reason: AccessController.REASON.ALLOWED,
+            name: 'alice'
+        })
+        assert.deepStrictEqual([denied.result, denied.reason, denied.name],
+            ['denied', AccessController.REASON.UNKNOWN_CARD, null])
+        assert.deepStrictEqual(events, [granted, denied])
+
+        await relay_closed
+        // only the grant opens the relay ; a failing hook is reported to 'error' listeners
+        assert.deepStrictEqual(calls, ['open alice', 'close'])
+        assert.deepStrictEqual(errors, ['the relay is stuck'])
+
+        let lines = fs.readFileSync(audit_log, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+        assert.deepStrictEqual(lines, [{earlier: true}, granted, denied])
+    }
+    finally {
+        fs.rmSync(directory, {recursive: true, force: true})
+    }
+})
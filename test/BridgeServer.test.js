@@ -0,0 +1,314 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    crypto = require('crypto'),
+    http = require('http'),
+    BridgeServer = require('../BridgeServer'),
+    Rcs620s = require('../Rcs620s'),
+    card_dump = require('../card_dump'),
+    {open_reader} = require('./helpers')
+
+const TOKEN = 's3cret',
+    AUTHORIZATION = {Authorization: `Bearer ${TOKEN}`}
+
+const IDM = '0102030405060708',
+    PROPERTIES_BLOCK = '000000000000000000000088130000'.padEnd(32, '0')
+
+/**
+ * @returns {object}
+ *      a Suica card for VirtualRcs620s, with a balance of 5000
+ */
+function suica_card() {
+    return {
+        idm: IDM,
+        system_code: 0x0003,
+        services: {
+            0x008b: [PROPERTIES_BLOCK],
+            0x090f: [],
+            0x108f: [],
+            0x10cb: []
+        }
+    }
+}
+
+/**
+ * @param {object[]} [cards=[]]
+ *      placed on the simulated reader
+ * @returns {Promise}
+ *      resolves with {server, reader, sim, port} once the server listens
+ */
+function start_server(cards = []) {
+    return open_reader(cards, {init: false}).then(({reader, sim}) => {
+        let server = new BridgeServer(reader, {port: 0, token: TOKEN, polling: {interval: 50, debounce: 100}})
+        return server.listen().then(address => ({server: server, reader: reader, sim: sim, port: address.port}))
+    })
+}
+
+/**
+ * @param {object} context
+ *      as resolved by start_server()
+ * @returns {Promise}
+ */
+function stop_server(context) {
+    return context.server.close().then(() => context.reader.close())
+}
+
+/**
+ * opens a WebSocket on /events
+ * @param {number} port
+ * @returns {Promise}
+ *      resolves with {socket, received} ; received is a Promise of everything the server sent until it closed
+ */
+function open_websocket(port) {
+    return new Promise((ok, ng) => {
+        let req = http.request({host: '127.0.0.1', port: port, path: `/events?token=${TOKEN}`, headers: {
+            'Connection': 'Upgrade',
+            'Upgrade': 'websocket',
+            'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13'
+        }})
+        req.on('upgrade', (res, socket, head) => {
+            let chunks = [head]
+            socket.on('data', chunk => chunks.push(chunk))
+            ok({socket: socket, received: new Promise(done => socket.on('close', () => done(Buffer.concat(chunks))))})
+        })
+        req.on('response', res => ng(new Error(`no upgrade : ${res.statusCode}`)))
+        req.on('error', ng)
+        req.end()
+    })
+}
+
+/**
+ * @param {Buffer} data
+ *      frames sent by the server (unmasked, payloads under 65536 bytes)
+ * @returns {object[]}
+ *      [{opcode, payload}, ...] of the complete frames
+ */
+function server_frames(data) {
+    let frames = []
+    while (data.length >= 2) {
+        let length = data[1] & 0x7f,
+            offset = 2
+        if (length === 126) {
+            length = data.readUInt16BE(2)
+            offset = 4
+        }
+        if (data.length < offset + length) break;
+        frames.push({opcode: data[0] & 0x0f, payload: data.slice(offset, offset + length)})
+        data = data.slice(offset + length)
+    }
+    return frames
+}
+
+/**
+ * @param {Buffer} data
+ *      frames sent by the server
+ * @returns {number|undefined}
+ *      status of the close frame among them
+ */
+function close_status(data) {
+    let frame = server_frames(data).find(frame => frame.opcode === 0x8)
+    return frame && frame.payload.readUInt16BE(0)
+}
+
+/**
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @param {boolean} masked
+ * @returns {Buffer}
+ *      a client frame ; payloads up to 65535 bytes
+ */
+function client_frame(opcode, payload, masked) {
+    let header = payload.length < 126 ? Buffer.from([0x80 | opcode, payload.length])
+            : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]),
+        mask = crypto.randomBytes(4)
+    if (!masked) return Buffer.concat([header, payload]);
+    header[1] |= 0x80
+    return Buffer.concat([header, mask, Buffer.from(payload.map((value, i) => value ^ mask[i & 3]))])
+}
+
+test('a ping is answered with a pong', async () => {
+    let context = await start_server(),
+        {socket} = await open_websocket(context.port),
+        data = Buffer.alloc(0),
+        pong = new Promise(ok => socket.on('data', chunk => {
+            data = Buffer.concat([data, chunk])
+            let frame = server_frames(data).find(frame => frame.opcode === 0xa)
+            if (frame) ok(frame);
+        }))
+    socket.write(client_frame(0x9, Buffer.from('hello'), true))
+    assert.strictEqual((await pong).payload.toString(), 'hello')
+    socket.destroy()
+    await stop_server(context)
+})
+
+test('an unmasked frame closes the connection with 1002', async () => {
+    let context = await start_server(),
+        {socket, received} = await open_websocket(context.port)
+    socket.write(client_frame(0x9, Buffer.from('hello'), false))
+    assert.strictEqual(close_status(await received), 1002)
+    await stop_server(context)
+})
+
+test('an oversized frame closes the connection with 1009 before its payload arrives', async () => {
+    let context = await start_server(),
+        {socket, received} = await open_websocket(context.port)
+    // only the header and the mask of a 60000-byte frame
+    socket.write(client_frame(0x1, Buffer.alloc(60000), true).slice(0, 8))
+    assert.strictEqual(close_status(await received), 1009)
+    await stop_server(context)
+})
+
+/**
+ * @param {number} port
+ * @param {string} method
+ * @param {string} path
+ * @param {object} [headers]
+ * @param {Buffer|string} [body]
+ * @returns {Promise}
+ *      resolves with {status, body}
+ */
+function request(port, method, path, headers = {}, body = null) {
+    return new Promise((ok, ng) => {
+        let req = http.request({host: '127.0.0.1', port: port, method: method, path: path, headers: headers}, res => {
+            let chunks = []
+            res.on('data', chunk => chunks.push(chunk))
+            res.on('end', () => ok({status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString())}))
+        })
+        req.on('error', ng)
+        req.end(body)
+    })
+}
+
+test('the token is taken from the Authorization header, not from the query', async () => {
+    let context = await start_server()
+    assert.strictEqual((await request(context.port, 'GET', '/status', AUTHORIZATION)).status, 200)
+    assert.strictEqual((await request(context.port, 'GET', `/status?token=${TOKEN}`)).status, 401)
+    await stop_server(context)
+})
+
+test('an oversized body is answered with 400', async () => {
+    let context = await start_server(),
+        response = await request(context.port, 'POST', '/read', AUTHORIZATION,
+            Buffer.alloc(200 * 1024, 0x20))
+    assert.strictEqual(response.status, 400)
+    assert.strictEqual(response.body.error.name, 'RangeError')
+    await stop_server(context)
+})
+
+test('GET /status tells whether a card is on the reader', async () => {
+    let context = await start_server([suica_card()]),
+        {socket} = await open_websocket(context.port)
+    await next_message(socket, 'card-detected')
+    let response = await request(context.port, 'GET', '/status', AUTHORIZATION)
+    assert.strictEqual(response.status, 200)
+    assert.deepStrictEqual({ready: response.body.ready, running: response.body.running, idm: response.body.card.idm},
+        {ready: true, running: true, idm: IDM})
+    socket.destroy()
+    await stop_server(context)
+})
+
+test('POST /read decodes a service by name, or reads raw blocks by service code', async () => {
+    let context = await start_server([suica_card()]),
+        read = body => request(context.port, 'POST', '/read', AUTHORIZATION, JSON.stringify(body))
+    await context.reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+
+    let response = await read({idm: IDM, service: 'suica.properties'})
+    assert.strictEqual(response.status, 200)
+    assert.deepStrictEqual(response.body, {idm: IDM, service: 'SUICA.PROPERTIES', data: {balance: 5000}})
+
+    response = await read({idm: IDM, service: '008B', block: 0, count: 1})
+    assert.strictEqual(response.status, 200)
+    assert.deepStrictEqual(response.body, {
+        idm: IDM, service_code: '008b', blocks: [{block_number: 0, data: PROPERTIES_BLOCK}]
+    })
+
+    assert.strictEqual((await read({idm: IDM, service: 'SUICA.NOTHING'})).status, 400)
+    assert.strictEqual((await read({idm: IDM, service: '1234'})).status, 404)
+    await stop_server(context)
+})
+
+test('POST /read refuses counts and block numbers out of range', async () => {
+    let context = await start_server([suica_card()]),
+        read = body => request(context.port, 'POST', '/read', AUTHORIZATION,
+            JSON.stringify(Object.assign({idm: IDM, service: '090f'}, body)))
+    for (const body of [{count: 0}, {block: -1}, {block: 1.5}, {count: 1000000}, {block: 0x10000},
+        {block: 0xfffe, count: 3}]) {
+        let response = await read(body)
+        assert.strictEqual(response.status, 400, JSON.stringify(body))
+    }
+    await stop_server(context)
+})
+
+test('POST /poll answers the card found, or null', async () => {
+    let context = await start_server([suica_card()]),
+        poll = body => request(context.port, 'POST', '/poll', AUTHORIZATION, JSON.stringify(body))
+
+    let response = await poll({system_code: 'SUICA'})
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.body.card.idm, IDM)
+    assert.strictEqual(response.body.card.pmm.length, 16)
+    assert.deepStrictEqual((await poll({system_code: '88b4'})).body, {card: null})
+    assert.strictEqual((await poll({system_code: 'nowhere'})).status, 400)
+    await stop_server(context)
+})
+
+test('GET /dump answers a card dump document, or 404 without a card', async () => {
+    let context = await start_server([suica_card()]),
+        response = await request(context.port, 'GET', '/dump?system=0003', AUTHORIZATION)
+    assert.strictEqual(response.status, 200)
+    let doc = card_dump.parse_dump(JSON.stringify(response.body)),
+        properties = doc.services.find(service => service.name === 'PROPERTIES')
+    assert.strictEqual(doc.idm.toString('hex'), IDM)
+    assert.strictEqual(properties.blocks[0].toString('hex'), PROPERTIES_BLOCK)
+
+    context.sim.remove_card()
+    response = await request(context.port, 'GET', '/dump', AUTHORIZATION)
+    assert.strictEqual(response.status, 404)
+    assert.strictEqual(response.body.error.code, 'NO_CARD')
+    await stop_server(context)
+})
+
+/**
+ * @param {net.Socket} socket
+ *      a WebSocket opened by open_websocket()
+ * @param {string} type
+ * @returns {Promise}
+ *      resolves with the first message of that type the server sends from now on
+ */
+function next_message(socket, type) {
+    return new Promise(ok => {
+        let data = Buffer.alloc(0)
+        let on_data = chunk => {
+            data = Buffer.concat([data, chunk])
+            let message = server_frames(data)
+                .filter(frame => frame.opcode === 0x1)
+                .map(frame => JSON.parse(frame.payload.toString()))
+                .find(message => message.type === type)
+            if (!message) return;
+            socket.removeListener('data', on_data)
+            ok(message)
+        }
+        socket.on('data', on_data)
+    })
+}
+
+test('/events pushes card-detected and card-removed', async () => {
+    let context = await start_server(),
+        {socket} = await open_websocket(context.port),
+        detected = next_message(socket, 'card-detected')
+    let card = context.sim.place_card(suica_card())
+    let message = await detected
+    assert.strictEqual(message.idm, IDM)
+    assert.strictEqual(message.system_code, '0003')
+    assert.deepStrictEqual(message.balances.map(balance => [balance.brand, balance.balance]), [['suica', 5000]])
+
+    let removed = next_message(socket, 'card-removed')
+    context.sim.remove_card(card)
+    message = await removed
+    assert.strictEqual(message.idm, IDM)
+    assert.ok(message.dwell_time > 0)
+    socket.destroy()
+    await stop_server(context)
+})
@@ -0,0 +1,90 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    PresenceMonitor = require('../PresenceMonitor'),
+    Rcs620s = require('../Rcs620s'),
+    {open_reader} = require('./helpers')
+
+const IDM = Buffer.from('0102030405060708', 'hex')
+
+/**
+ * @param {PresenceMonitor} monitor
+ * @returns {Promise}
+ *      resolves with {present: [INFO, ...], removed: INFO} once the card is reported gone
+ */
+function events_until_removed(monitor) {
+    let present = []
+    monitor.on('card-present', info => present.push(info))
+    return new Promise(ok => monitor.once('card-removed', removed => ok({present: present, removed: removed})))
+}
+
+test('card-present is sent once however many checks find the card', async () => {
+    let {reader, sim} = await open_reader([{idm: '0102030405060708', system_code: 0x0003, services: {}}])
+    await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    let monitor = reader.watch_card(IDM, 10),
+        events = events_until_removed(monitor)
+    setTimeout(() => sim.remove_card(), 100)
+    let {present, removed} = await events
+    assert.deepStrictEqual(present, [{idm: IDM, dwell_time: 0}])
+    assert.strictEqual(removed.idm, IDM)
+    assert.ok(removed.dwell_time > 0)
+    assert.strictEqual(monitor.is_running, false)
+    await reader.close()
+})
+
+test('dwell_time runs from the check that found the card', async () => {
+    let answers = [true, false],
+        // the first check takes 100 ms to answer
+        reader = {
+            constructor: Rcs620s,
+            is_card_present: () => {
+                let delay = answers.length > 1 ? 100 : 0
+                return new Promise(ok => setTimeout(() => ok(answers.shift()), delay))
+            }
+        },
+        monitor = new PresenceMonitor(reader, IDM, 10),
+        events = events_until_removed(monitor)
+    monitor.start()
+    let {present, removed} = await events
+    assert.strictEqual(present.length, 1)
+    assert.ok(removed.dwell_time < 100, `dwell_time : ${removed.dwell_time}`)
+})
+
+test('a card that is not there at the first check is only reported removed', async () => {
+    let reader = {constructor: Rcs620s, is_card_present: () => Promise.resolve(false)},
+        monitor = new PresenceMonitor(reader, IDM, 10),
+        events = events_until_removed(monitor)
+    monitor.start()
+    assert.deepStrictEqual(await events, {present: [], removed: {idm: IDM, dwell_time: 0}})
+})
+
+test('a failed check without an error listener does not stop the monitor', {timeout: 5000}, async () => {
+    let {reader, sim} = await open_reader([{idm: '0102030405060708', system_code: 0x0003, services: {}}])
+    await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    let is_card_present = reader.is_card_present,
+        failures = 2
+    reader.is_card_present = function (idm, options) {
+        if (failures-- > 0) return Promise.reject(new Error('the reader is busy'));
+        return is_card_present.call(this, idm, options)
+    }
+    let monitor = reader.watch_card(IDM, 10),
+        events = events_until_removed(monitor)
+    setTimeout(() => sim.remove_card(), 100)
+    let {present} = await events
+    assert.strictEqual(failures < 0, true)
+    assert.strictEqual(present.length, 1)
+    await reader.close()
+})
+
+test('a failed check is reported to error listeners', async () => {
+    let answers = [() => Promise.reject(new Error('the reader is busy')), () => Promise.resolve(false)],
+        reader = {constructor: Rcs620s, is_card_present: () => answers.shift()()},
+        monitor = new PresenceMonitor(reader, IDM, 10),
+        errors = []
+    monitor.on('error', err => errors.push(err.message))
+    let events = events_until_removed(monitor)
+    monitor.start()
+    await events
+    assert.deepStrictEqual(errors, ['the reader is busy'])
+})
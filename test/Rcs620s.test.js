@@ -0,0 +1,461 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    Rcs620s = require('../Rcs620s'),
+    VirtualRcs620s = require('../VirtualRcs620s'),
+    {CardStatusError, FormatError, TimeoutError, AbortError} = require('../errors'),
+    {open_reader} = require('./helpers')
+
+const IDM = '0102030405060708',
+    PROPERTIES_BLOCK = '000000000000000000000088130000'.padEnd(32, '0'),
+    HISTORY_BLOCK = '1601000227da3f0a3f0e2c01000018' + '00'
+
+function suica_card() {
+    return {
+        idm: IDM,
+        system_code: 0x0003,
+        services: {
+            0x008b: [PROPERTIES_BLOCK],
+            0x090f: [HISTORY_BLOCK, HISTORY_BLOCK, HISTORY_BLOCK],
+            0x0009: ['00'.repeat(16), '00'.repeat(16)],
+            0x000b: ['00'.repeat(16)]
+        }
+    }
+}
+
+test('init_device() initializes the reader for card commands', async () => {
+    let {reader} = await open_reader([suica_card()], {init: false})
+    assert.strictEqual(await reader.init_device(), undefined)
+    let card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    assert.strictEqual((await reader.read_block(card.idm, '\x8b\x00', 0, 1)).toString('hex'), PROPERTIES_BLOCK)
+    await reader.close()
+})
+
+test('polling() finds the card on the reader', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    assert.strictEqual(card.type, Rcs620s.CARD_TYPE.FELICA)
+    assert.strictEqual(card.idm.toString('hex'), IDM)
+    assert.strictEqual(card.pmn.length, 8)
+    await reader.close()
+})
+
+test('polling() resolves with no arguments without a card', async () => {
+    let {reader} = await open_reader([])
+    assert.strictEqual(await reader.polling(Rcs620s.SYSTEM_CODE.SUICA), undefined)
+    await reader.close()
+})
+
+test('polling() resolves with no arguments for another system', async () => {
+    let {reader} = await open_reader([suica_card()])
+    assert.strictEqual(await reader.polling('\x88\xb4'), undefined)
+    await reader.close()
+})
+
+test('read_block() reads consecutive blocks into one Buffer', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        data = await reader.read_block(card.idm, '\x0f\x09', 0, 3)
+    assert.strictEqual(data.toString('hex'), HISTORY_BLOCK.repeat(3))
+    await reader.close()
+})
+
+test('read_blocks() reads blocks of several services in order', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        blocks = await reader.read_blocks(card.idm, [
+            {service_code: '\x0f\x09', block_number: 1},
+            {service_code: '\x8b\x00', block_number: 0},
+            {service_code: '\x0f\x09', block_number: 2}
+        ])
+    assert.deepStrictEqual(blocks.map(block => block.toString('hex')),
+        [HISTORY_BLOCK, PROPERTIES_BLOCK, HISTORY_BLOCK])
+    await reader.close()
+})
+
+test('read_blocks() falls back to smaller commands for the current call only', async () => {
+    let {reader} = await open_reader([Object.assign(suica_card(), {max_read_blocks: 2})]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        requests = [0, 1, 2, 0].map(block_number => ({service_code: '\x0f\x09', block_number: block_number})),
+        sizes = [],
+        read_without_encryption = reader._read_without_encryption
+    reader._read_without_encryption = function (idm, service_codes, blocks, options) {
+        sizes.push(blocks.length)
+        return read_without_encryption.call(this, idm, service_codes, blocks, options)
+    }
+    for (let i = 0; i < 2; ++i) {
+        let blocks = await reader.read_blocks(card.idm, requests)
+        assert.deepStrictEqual(blocks.map(block => block.toString('hex')), new Array(4).fill(HISTORY_BLOCK))
+    }
+    assert.deepStrictEqual(sizes, [4, 2, 2, 4, 2, 2])
+    await reader.close()
+})
+
+test('read_blocks() does not retry in smaller commands when the card is gone', async () => {
+    let {reader, sim} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        requests = [0, 1, 2].map(block_number => ({service_code: '\x0f\x09', block_number: block_number})),
+        sizes = [],
+        read_without_encryption = reader._read_without_encryption
+    // the card leaves between Request Service and the read
+    reader._read_without_encryption = function (idm, service_codes, blocks, options) {
+        sizes.push(blocks.length)
+        sim.remove_card()
+        return read_without_encryption.call(this, idm, service_codes, blocks, options)
+    }
+    await assert.rejects(reader.read_blocks(card.idm, requests), {name: 'NoCardError', block_number: 0})
+    assert.deepStrictEqual(sizes, [3])
+    await reader.close()
+})
+
+test('read_block() rejects once the card is gone', async () => {
+    let {reader, sim} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    sim.remove_card()
+    await assert.rejects(reader.read_block(card.idm, '\x0f\x09', 0, 1), {name: 'NoCardError'})
+    await reader.close()
+})
+
+test('write_block() writes blocks that read back', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        data = Buffer.from('00112233445566778899aabbccddeeff'.repeat(2), 'hex')
+    await reader.write_block(card.idm, '\x09\x00', 0, data)
+    assert.strictEqual((await reader.read_block(card.idm, '\x09\x00', 0, 2)).toString('hex'), data.toString('hex'))
+    await reader.close()
+})
+
+test('write_block() rejects with a CardStatusError on a read-only service', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    await assert.rejects(reader.write_block(card.idm, '\x0b\x00', 0, Buffer.alloc(16)), err => {
+        assert.ok(err instanceof CardStatusError)
+        assert.notStrictEqual(err.status_flag1, 0)
+        return true
+    })
+    await reader.close()
+})
+
+test('write_block() throws on data that is not whole blocks', async () => {
+    let {reader} = await open_reader([suica_card()])
+    assert.throws(() => reader.write_block(Buffer.from(IDM, 'hex'), '\x09\x00', 0, Buffer.alloc(5)), TypeError)
+    await reader.close()
+})
+
+test('read_service() passes the blocks to the processing function', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        properties = await reader.read_service(card.idm, Rcs620s.SERVICES.SUICA.PROPERTIES)
+    assert.strictEqual(properties.balance, 0x1388)
+
+    let blocks = await reader.read_service(card.idm, {
+        service_code: '\x0f\x09',
+        blocks: 2,
+        processing: buffers => buffers.map(buffer => buffer.toString('hex'))
+    })
+    assert.deepStrictEqual(blocks, [HISTORY_BLOCK, HISTORY_BLOCK])
+    await reader.close()
+})
+
+test('read_services() rejects a malformed layout with a FormatError', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        result = reader.read_services(card.idm, [{service_code: '\x0f\x09', blocks: 1, layout: {fields: {
+            balance: {type: 'float', offset: 0}
+        }}}])
+    assert.ok(result instanceof Promise)
+    await assert.rejects(result, err => err instanceof FormatError && err.code === 'LAYOUT_INVALID'
+        && err.service_code === '090f' && err.cause instanceof FormatError)
+    await reader.close()
+})
+
+test('enumerate_systems() and discover_services() pass the options to every command', async () => {
+    let {reader} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        options = {priority: Rcs620s.PRIORITY.HIGH, timeout: 500},
+        priorities = [],
+        rw_command = reader._rw_command
+    reader._rw_command = function (command, check, command_options = {}) {
+        priorities.push(command_options.priority)
+        return rw_command.call(this, command, check, command_options)
+    }
+    let systems = await reader.enumerate_systems(card.idm, options),
+        nodes = await reader.discover_services(card.idm, options)
+    assert.deepStrictEqual(systems.map(system => system.system_code), [Rcs620s.SYSTEM_CODE.SUICA])
+    assert.strictEqual(nodes.services.length, 4)
+    assert.ok(priorities.length > 3)
+    assert.deepStrictEqual(priorities.filter(priority => priority !== Rcs620s.PRIORITY.HIGH), [])
+    await reader.close()
+})
+
+test('dump_card() reads only the services of the polled system', async () => {
+    let {reader} = await open_reader([{idm: IDM, systems: [
+            suica_card(),
+            {system_code: 0xfe00, services: {0x1317: ['00'.repeat(16)]}}
+        ]}]),
+        groups = dump => Array.from(new Set(dump.services.map(service => service.group)))
+    assert.deepStrictEqual(groups(await reader.dump_card(Rcs620s.SYSTEM_CODE.SUICA)), ['SUICA'])
+    assert.deepStrictEqual(groups(await reader.dump_card(Rcs620s.SYSTEM_CODE.COMMON)), ['EDY', 'WAON', 'NANACO'])
+    await reader.close()
+})
+
+test('authenticate() opens a session for encrypted reads and writes', async () => {
+    let keys = {0x1000: '0f0e0d0c0b0a09080706050403020100', 0x1008: '00112233445566778899aabbccddeeff'},
+        {reader, sim} = await open_reader([{
+            idm: IDM,
+            system_code: 0x8888,
+            areas: [{code: 0x1000, end: 0x10ff}],
+            services: {0x1008: ['11'.repeat(16), '22'.repeat(16)]},
+            keys: keys
+        }]),
+        card = await reader.polling('\x88\x88')
+
+    await assert.rejects(reader.read_block(card.idm, '\x08\x10', 0, 1), CardStatusError)
+    await assert.rejects(reader.authenticate(card.idm, [0x1008], VirtualRcs620s.key_provider({0x1008: keys[0x1000]}),
+        {area_codes: [0x1000]}), {code: 'NO_KEY'})
+    await assert.rejects(reader.authenticate(card.idm, [0x1008], VirtualRcs620s.key_provider(
+        {0x1000: keys[0x1000], 0x1008: keys[0x1000]}), {area_codes: [0x1000]}), {code: 'AUTHENTICATION_FAILED'})
+    assert.throws(() => reader.authenticate(card.idm, [0x1008], {}), TypeError)
+
+    let session = await reader.authenticate(card.idm, [0x1008], VirtualRcs620s.key_provider(keys),
+            {area_codes: [0x1000]}),
+        blocks = await reader.read_blocks_encrypted(session, [{service_code: 0x1008, block_number: 1}])
+    assert.strictEqual(blocks[0].toString('hex'), '22'.repeat(16))
+
+    await reader.write_blocks_encrypted(session, 0x1008, 0, Buffer.alloc(16, 0x5a))
+    assert.strictEqual(sim.cards[0].services[0x1008][0].toString('hex'), '5a'.repeat(16))
+    await reader.close()
+})
+
+test('parse_system_code() takes keys of SYSTEM_CODE or 4 hex digits', () => {
+    assert.strictEqual(Rcs620s.parse_system_code('suica'), Rcs620s.SYSTEM_CODE.SUICA)
+    assert.strictEqual(Rcs620s.parse_system_code('88b4'), '\x88\xb4')
+    assert.throws(() => Rcs620s.parse_system_code('toString'), TypeError)
+    assert.throws(() => Rcs620s.parse_system_code('8b4'), TypeError)
+})
+
+test('start() reports a card once while it stays, then its removal after the debounce', async () => {
+    let {reader, sim} = await open_reader([suica_card()]),
+        cards = [],
+        removed = new Promise(ok => reader.once('card-removed', ok))
+    reader.on('card', card => cards.push(card))
+    await reader.start({interval: 10, debounce: 50})
+    assert.strictEqual(reader.is_running, true)
+    await new Promise(ok => setTimeout(ok, 150))
+    assert.strictEqual(cards.length, 1)
+    assert.strictEqual(cards[0].idm.toString('hex'), IDM)
+    assert.strictEqual(cards[0].system_code, Rcs620s.SYSTEM_CODE.SUICA)
+
+    let removed_at = Date.now()
+    sim.remove_card()
+    let event = await removed
+    assert.ok(Date.now() - removed_at >= 50)
+    assert.strictEqual(event.idm.toString('hex'), IDM)
+    assert.ok(event.dwell_time >= 150)
+    assert.strictEqual(cards.length, 1)
+
+    // and the next card is reported again
+    let again = new Promise(ok => reader.once('card', ok))
+    sim.place_card(suica_card())
+    assert.strictEqual((await again).idm.toString('hex'), IDM)
+    reader.stop()
+    await reader.close()
+})
+
+test('start() does not report a card that comes back within the debounce', async () => {
+    let {reader, sim} = await open_reader([suica_card()]),
+        events = []
+    reader.on('card', () => events.push('card'))
+    reader.on('card-removed', () => events.push('card-removed'))
+    await reader.start({interval: 10, debounce: 200})
+    await new Promise(ok => setTimeout(ok, 50))
+    sim.remove_card()
+    await new Promise(ok => setTimeout(ok, 50))
+    sim.place_card(suica_card())
+    await new Promise(ok => setTimeout(ok, 300))
+    assert.deepStrictEqual(events, ['card'])
+    reader.stop()
+    await reader.close()
+})
+
+test('start() polls Suica and the common area by default', async () => {
+    let {reader} = await open_reader([]),
+        polled = new Set(),
+        polling = reader.polling
+    reader.polling = function (system_code, options) {
+        polled.add(system_code)
+        return polling.call(this, system_code, options)
+    }
+    await reader.start({interval: 10})
+    await new Promise(ok => setTimeout(ok, 100))
+    reader.stop()
+    assert.deepStrictEqual(Array.from(polled), Rcs620s.LOOP_SYSTEM_CODES)
+    await reader.close()
+})
+
+test('cards() yields each card and ends on stop()', async () => {
+    let {reader, sim} = await open_reader([suica_card()]),
+        seen = []
+    await reader.start({interval: 10, debounce: 10})
+    let iterate = (async () => {
+        for await (const card of reader.cards()) {
+            seen.push(card.idm.toString('hex'))
+            if (seen.length === 1) {
+                sim.remove_card()
+                setTimeout(() => sim.place_card(Object.assign(suica_card(), {idm: '1112131415161718'})), 50)
+            }
+            else reader.stop();
+        }
+    })()
+    await iterate
+    assert.deepStrictEqual(seen, [IDM, '1112131415161718'])
+    assert.strictEqual(reader.is_running, false)
+    await reader.close()
+})
+
+test('close() emits close and stops the loop', async () => {
+    let {reader} = await open_reader([])
+    await reader.start({interval: 10})
+    let closed = new Promise(ok => reader.once('close', ok))
+    await reader.close()
+    await closed
+    assert.strictEqual(reader.is_running, false)
+})
+
+test('queued commands run by priority, first come first served within one', async () => {
+    let {reader, sim} = await open_reader([]),
+        order = []
+    sim.latency = 20
+    let run = (name, priority) => reader.get_firmware_version({priority: priority}).then(() => order.push(name))
+    await Promise.all([
+        // sent at once ; the others wait for it
+        run('first', Rcs620s.PRIORITY.LOW),
+        run('low', Rcs620s.PRIORITY.LOW),
+        run('normal 1', Rcs620s.PRIORITY.NORMAL),
+        run('high', Rcs620s.PRIORITY.HIGH),
+        run('normal 2', undefined)
+    ])
+    assert.deepStrictEqual(order, ['first', 'high', 'normal 1', 'normal 2', 'low'])
+    await reader.close()
+})
+
+test('a command that is not answered in options.timeout rejects with a TimeoutError', async () => {
+    let {reader, sim} = await open_reader([])
+    sim.latency = 200
+    await assert.rejects(reader.get_firmware_version({timeout: 30}), err => {
+        assert.ok(err instanceof TimeoutError)
+        assert.strictEqual(err.code, 'NO_ACK')
+        assert.strictEqual(err.command, 'GetFirmwareVersion')
+        return true
+    })
+    // the late answer is dropped and the queue goes on
+    sim.latency = 0
+    assert.ok(await reader.get_firmware_version())
+    await reader.close()
+})
+
+test('aborting a command sent to the reader cancels it and rejects with an AbortError', async () => {
+    let {reader, sim} = await open_reader([]),
+        controller = new AbortController(),
+        cancels = 0,
+        cancel = reader._cancel
+    reader._cancel = function () {
+        ++cancels
+        return cancel.call(this)
+    }
+    sim.latency = 100
+    let queued_controller = new AbortController(),
+        sent = assert.rejects(reader.get_firmware_version({signal: controller.signal}),
+            err => err instanceof AbortError && err.code === 'ABORTED'),
+        queued = assert.rejects(reader.get_firmware_version({signal: queued_controller.signal}), AbortError)
+    setTimeout(() => {
+        queued_controller.abort()
+        controller.abort()
+    }, 20)
+    await sent
+    await queued
+    // only the command on the reader needed a cancel
+    assert.strictEqual(cancels, 1)
+    await assert.rejects(reader.get_firmware_version({signal: controller.signal}), AbortError)
+    assert.strictEqual(cancels, 1)
+    sim.latency = 0
+    assert.ok(await reader.get_firmware_version())
+    await reader.close()
+})
+
+test('get_firmware_version() decodes the IC, version and support bytes', async () => {
+    let {reader} = await open_reader(new VirtualRcs620s({firmware_version: '33013007'}))
+    assert.deepStrictEqual(await reader.get_firmware_version(),
+        {ic: 0x33, version: '1.30', revision: 0x30, support: 0x07, raw: '33013007'})
+    await reader.close()
+})
+
+test('get_general_status() lists the current target', async () => {
+    let {reader} = await open_reader([suica_card()])
+    assert.deepStrictEqual(await reader.get_general_status(),
+        {error: 0, error_message: 'none', field: false, targets: []})
+    await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    assert.deepStrictEqual((await reader.get_general_status()).targets,
+        [{target: 1, baud_rx: 1, baud_tx: 1, modulation: 0x10}])
+    await reader.close()
+})
+
+test('rf_off() drops the card until the next polling, rf_on() turns the field back on', async () => {
+    let {reader, sim} = await open_reader([suica_card()]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    assert.strictEqual(await reader.rf_off(), undefined)
+    assert.strictEqual(sim.rf_on, false)
+    await assert.rejects(reader.read_block(card.idm, '\x8b\x00', 0, 1), err => err.code === 'NO_CARD')
+    assert.strictEqual(await reader.rf_on(), undefined)
+    assert.strictEqual(sim.rf_on, true)
+    await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    assert.strictEqual((await reader.read_block(card.idm, '\x8b\x00', 0, 1)).toString('hex'), PROPERTIES_BLOCK)
+    await reader.close()
+})
+
+test('power_down() puts the reader to sleep until wake_up()', async () => {
+    let {reader, sim} = await open_reader([suica_card()])
+    assert.strictEqual(await reader.power_down(), undefined)
+    assert.strictEqual(sim.powered_down, true)
+    assert.strictEqual((await reader.wake_up()).version, '1.30')
+    assert.strictEqual(sim.powered_down, false)
+    // the device is initialized again on the next command that needs it
+    assert.strictEqual((await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)).idm.toString('hex'), IDM)
+    await reader.close()
+})
+
+test('self_test() passes every step on a working reader', async () => {
+    let {reader} = await open_reader([]),
+        report = await reader.self_test({power_cycle: true})
+    assert.strictEqual(report.ok, true)
+    assert.deepStrictEqual(report.steps.map(step => [step.name, step.ok]), [
+        ['communication_line', true], ['firmware_version', true], ['general_status', true], ['rf_off', true],
+        ['rf_on', true], ['power_down', true], ['wake_up', true]
+    ])
+    assert.strictEqual(report.firmware.raw, '33013007')
+    assert.strictEqual(report.status.error, 0)
+    await reader.close()
+})
+
+test('self_test() reports the failing steps of a broken reader and goes on', async () => {
+    let sim = new VirtualRcs620s(),
+        execute = sim._execute
+    // a reader whose RF part answers every command with an error frame
+    sim._execute = function (payload) {
+        if (payload[1] === 0x04 || payload[1] === 0x32) return null;
+        return execute.call(this, payload)
+    }
+    let {reader} = await open_reader(sim, {init: false}),
+        report = await reader.self_test()
+    assert.strictEqual(report.ok, false)
+    assert.deepStrictEqual(report.steps.map(step => [step.name, step.ok]), [
+        ['communication_line', true], ['firmware_version', true], ['general_status', false], ['rf_off', false],
+        ['rf_on', false]
+    ])
+    assert.strictEqual(report.status, null)
+    assert.strictEqual(report.firmware.version, '1.30')
+    assert.deepStrictEqual([report.steps[2].error.code, report.steps[2].error.command],
+        ['ERROR_FRAME', 'GetGeneralStatus'])
+    await reader.close()
+})
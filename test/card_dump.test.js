@@ -0,0 +1,70 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    card_dump = require('../card_dump'),
+    Rcs620s = require('../Rcs620s'),
+    {FormatError} = require('../errors'),
+    {open_reader} = require('./helpers')
+
+const IDM = '0102030405060708',
+    PROPERTIES_BLOCK = '000000000000000000000088130000'.padEnd(32, '0'),
+    HISTORY_BLOCKS = ['1601000227da3f0a3f0e2c0100001800', '1601000227d93f0a3f0e2c0100001700', '00'.repeat(16)]
+
+/**
+ * @param {FormatError} err
+ * @returns {boolean}
+ */
+function dump_invalid(err) {
+    return err instanceof FormatError && err.code === 'DUMP_INVALID'
+}
+
+test('a dump replayed on the simulator answers with the same blocks', async () => {
+    let {reader} = await open_reader([{
+            idm: IDM, system_code: 0x0003, services: {0x008b: [PROPERTIES_BLOCK], 0x090f: HISTORY_BLOCKS}
+        }]),
+        json = JSON.stringify(await reader.dump_card(Rcs620s.SYSTEM_CODE.SUICA))
+    await reader.close()
+
+    let doc = card_dump.parse_dump(json),
+        history = doc.services.find(service => service.service_code === '090f'),
+        gates = doc.services.find(service => service.name === 'TICKET_HISTORY')
+    assert.deepStrictEqual([doc.idm, doc.system_code], [IDM, '0003'])
+    // the service is shorter than Rcs620s.SERVICES says : the blocks that exist are kept
+    assert.deepStrictEqual(history.blocks, HISTORY_BLOCKS)
+    assert.deepStrictEqual(gates.blocks, [])
+    assert.strictEqual(gates.error.code, 'NO_SUCH_SERVICE')
+
+    let replay = await open_reader([card_dump.to_virtual_card(doc)])
+    reader = replay.reader
+    let card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+    assert.strictEqual(card.idm.toString('hex'), IDM)
+    assert.strictEqual(card.pmn.toString('hex'), doc.pmm)
+    assert.strictEqual((await reader.read_block(card.idm, '\x8b\x00', 0, 1)).toString('hex'), PROPERTIES_BLOCK)
+    assert.strictEqual((await reader.read_block(card.idm, '\x0f\x09', 0, 3)).toString('hex'),
+        HISTORY_BLOCKS.join(''))
+    // a service that could not be dumped is refused, as it was by the card
+    await assert.rejects(reader.read_block(card.idm, Rcs620s.SERVICES.SUICA.TICKET_HISTORY.service_code, 0, 1),
+        err => err.code === 'NO_SUCH_SERVICE')
+    await reader.close()
+})
+
+test('parse_dump() rejects malformed documents with DUMP_INVALID', () => {
+    let valid = card_dump.create_dump({
+        idm: Buffer.from(IDM, 'hex'),
+        pmm: Buffer.from('033242828247aaff', 'hex'),
+        system_code: Rcs620s.SYSTEM_CODE.SUICA,
+        services: [{group: 'SUICA', name: 'PROPERTIES', service_code: '\x8b\x00',
+            blocks: [Buffer.from(PROPERTIES_BLOCK, 'hex')]}]
+    })
+    assert.strictEqual(card_dump.parse_dump(JSON.stringify(valid)).services[0].service_code, '008b')
+
+    let changed = changes => Object.assign({}, valid, changes),
+        service = changes => changed({services: [Object.assign({}, valid.services[0], changes)]})
+    for (const input of ['{"format": ', '[]', JSON.stringify(null), changed({format: 'other'}),
+        changed({version: 2}), changed({idm: '0102'}), changed({pmm: 'not hex'}), changed({system_code: 3}),
+        changed({services: {}}), changed({services: [null]}), service({service_code: '8b'}),
+        service({blocks: ['00']}), service({blocks: 'ff'.repeat(16)})]) {
+        assert.throws(() => card_dump.parse_dump(input), dump_invalid, JSON.stringify(input))
+    }
+})
@@ -0,0 +1,131 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    emoney = require('../emoney'),
+    Rcs620s = require('../Rcs620s'),
+    {open_reader} = require('./helpers')
+
+/**
+ * @param {Array<[number, number]>} fields
+ *      [[VALUE, WIDTH], ...] packed most significant bit first
+ * @returns {Buffer}
+ *      16 bytes
+ */
+function pack_bits(fields) {
+    let bits = fields.map(([value, width]) => value.toString(2).padStart(width, '0')).join('').padEnd(128, '0')
+    return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)))
+}
+
+/**
+ * @returns {Buffer[]}
+ *      the 2 blocks of a WAON history record
+ */
+function waon_record(type, date, balance, paid, charged) {
+    let [year, month, day, hour, minute, second] = date
+    return [Buffer.from([0x00, type].concat(new Array(14).fill(0x11))), pack_bits([
+        [year - 2005, 5], [month, 4], [day, 5], [hour, 5], [minute, 6], [second, 6],
+        [balance, 18], [paid, 18], [charged, 17]
+    ])]
+}
+
+test('parse_waon_history() decodes records of 2 blocks', () => {
+    let blocks = [].concat(
+        waon_record(0x04, [2026, 10, 19, 12, 34, 56], 1234, 500, 0),
+        waon_record(0x0c, [2025, 1, 2, 3, 4, 5], 1734, 0, 1000),
+        [Buffer.alloc(16), Buffer.alloc(16)])
+    let records = emoney.parse_waon_history(blocks)
+    assert.strictEqual(records.length, 2)
+    let {raw, ...first} = records[0]
+    assert.strictEqual(raw, Buffer.concat(blocks.slice(0, 2)).toString('hex'))
+    assert.deepStrictEqual(first, {
+        type: 0x04,
+        category: 'purchase',
+        date: {year: 2026, month: 10, day: 19},
+        time: {hour: 12, minute: 34, second: 56},
+        amount: -500,
+        balance: 1234
+    })
+    assert.strictEqual(records[1].category, 'charge')
+    assert.strictEqual(records[1].amount, 1000)
+    assert.strictEqual(records[1].balance, 1734)
+    assert.deepStrictEqual(records[1].date, {year: 2025, month: 1, day: 2})
+})
+
+/**
+ * @param {string[]} blocks
+ *      hex, with spaces between the fields
+ * @returns {Buffer[]}
+ */
+function hex_blocks(blocks) {
+    return blocks.map(hex => Buffer.from(hex.replace(/ /g, ''), 'hex'))
+}
+
+test('parse_edy_history() decodes the type, timestamp, amount and balance', () => {
+    // type, sequence, days since 2000-01-01 << 17 | seconds in the day, amount, balance
+    let records = emoney.parse_edy_history(hex_blocks([
+        '20 000123 4c78b0f0 000001f4 000004d2',
+        '02 000122 475a2b25 000003e8 000006c6',
+        '00'.repeat(16)
+    ]))
+    assert.deepStrictEqual(records, [{
+        type: 0x20,
+        type_name: '支払',
+        category: 'purchase',
+        sequence: 0x123,
+        date: {year: 2026, month: 10, day: 19},
+        time: {hour: 12, minute: 34, second: 56},
+        amount: -500,
+        balance: 1234
+    }, {
+        type: 0x02,
+        type_name: 'チャージ',
+        category: 'charge',
+        sequence: 0x122,
+        date: {year: 2025, month: 1, day: 2},
+        time: {hour: 3, minute: 4, second: 5},
+        amount: 1000,
+        balance: 1734
+    }])
+})
+
+test('parse_nanaco_history() decodes the type, amount, balance and timestamp', () => {
+    // type, amount, balance, packed timestamp, sequence
+    let records = emoney.parse_nanaco_history(hex_blocks([
+        '47 000001f4 000004d2 03553322 0007 00',
+        '6f 000003e8 000006c6 032220c4 0006 00',
+        '99 00000064 0000052a 032220c4 0005 00',
+        '00'.repeat(16)
+    ]))
+    assert.deepStrictEqual(records[0], {
+        type: 0x47,
+        type_name: '支払',
+        category: 'purchase',
+        sequence: 7,
+        date: {year: 2026, month: 10, day: 19},
+        time: {hour: 12, minute: 34, second: 0},
+        amount: -500,
+        balance: 1234
+    })
+    assert.deepStrictEqual([records[1].type_name, records[1].category, records[1].amount, records[1].balance],
+        ['チャージ', 'charge', 1000, 1734])
+    assert.deepStrictEqual(records[1].date, {year: 2025, month: 1, day: 2})
+    // unknown types are kept as numbers
+    assert.deepStrictEqual([records[2].type, records[2].type_name, records[2].category, records[2].amount],
+        [0x99, '', 'other', 100])
+    assert.strictEqual(records.length, 3)
+})
+
+test('read_balance() finds Edy, WAON and nanaco in the common area', async () => {
+    let purse = yen => Buffer.concat([Buffer.from([yen & 0xff, yen >> 8]), Buffer.alloc(14)]),
+        {reader} = await open_reader([{idm: '0102030405060708', systems: [
+            {system_code: 0x0003, services: {0x008b: ['00'.repeat(11) + 'e803' + '00'.repeat(3)]}},
+            {system_code: 0xfe00, services: {0x1317: [purse(200)], 0x6817: [purse(300)], 0x5597: [purse(400)]}}
+        ]}]),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA),
+        balances = await reader.read_balance(card.idm)
+    assert.deepStrictEqual(balances.map(balance => [balance.brand, balance.system_code, balance.balance]), [
+        ['suica', '0003', 1000], ['edy', 'fe00', 200], ['waon', 'fe00', 300], ['nanaco', 'fe00', 400]
+    ])
+    await reader.close()
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    cli = require('../felica-cli'),
+    Rcs620s = require('../Rcs620s'),
+    VirtualRcs620s = require('../VirtualRcs620s')
+
+const IDM = '0102030405060708',
+    PROPERTIES_BLOCK = '000000000000000000000088130000'.padEnd(32, '0'),
+    HISTORY_BLOCK = '1601000227da3f0a3f0e2c01000018' + '00'
+
+/**
+ * @param {string[]} argv
+ * @param {object[]} [cards=[]]
+ *      placed on a simulated reader
+ * @returns {Promise}
+ *      resolves with {exit, stdout, stderr, readers} ; readers is how many readers were created
+ */
+function run(argv, cards = []) {
+    let stdout = [],
+        stderr = [],
+        readers = 0
+    return cli.run(argv, {
+        create_reader: () => {
+            ++readers
+            return new Rcs620s(new VirtualRcs620s({cards: cards}))
+        },
+        stdout: {write: text => stdout.push(text)},
+        stderr: {write: text => stderr.push(text)}
+    }).then(exit => ({exit: exit, stdout: stdout.join(''), stderr: stderr.join(''), readers: readers}))
+}
+
+/**
+ * @returns {object}
+ *      a Suica card for VirtualRcs620s
+ */
+function suica_card() {
+    return {
+        idm: IDM,
+        system_code: 0x0003,
+        services: {0x008b: [PROPERTIES_BLOCK], 0x090f: [HISTORY_BLOCK, HISTORY_BLOCK]}
+    }
+}
+
+test('usage errors exit with 64 before opening the reader', async () => {
+    for (const argv of [[], ['frobnicate'], ['read', '090f'], ['idm', 'extra'], ['--timeout'],
+        ['--timeout', 'soon', 'idm'], ['--system', 'nowhere', 'idm'], ['--verbose', 'idm']]) {
+        let result = await run(argv)
+        assert.strictEqual(result.exit, cli.EXIT.USAGE, argv.join(' '))
+        assert.match(result.stderr, /usage : felica/)
+        assert.strictEqual(result.readers, 0)
+    }
+})
+
+test('no card before --timeout exits with 2', async () => {
+    let result = await run(['--timeout', '50', 'idm'])
+    assert.strictEqual(result.exit, cli.EXIT.NO_CARD)
+    assert.strictEqual(result.stderr, 'no card before the timeout\n')
+
+    result = await run(['--timeout=50', '--json', 'idm'])
+    assert.strictEqual(result.exit, cli.EXIT.NO_CARD)
+    assert.strictEqual(JSON.parse(result.stdout).error.code, 'NO_CARD')
+})
+
+test('--json prints the result as JSON', async () => {
+    let result = await run(['--json', 'idm'], [suica_card()])
+    assert.strictEqual(result.exit, cli.EXIT.OK)
+    assert.deepStrictEqual(JSON.parse(result.stdout), {idm: IDM})
+
+    result = await run(['--json', 'balance'], [suica_card()])
+    assert.deepStrictEqual(JSON.parse(result.stdout).balances, [{brand: 'suica', system_code: '0003', balance: 5000}])
+})
+
+test('read prints raw blocks of a service', async () => {
+    let result = await run(['read', '008b', '0'], [suica_card()])
+    assert.strictEqual(result.exit, cli.EXIT.OK)
+    assert.strictEqual(result.stdout, `0000: ${PROPERTIES_BLOCK}\n`)
+
+    result = await run(['--json', 'read', '090F', '0x0', '2'], [suica_card()])
+    assert.deepStrictEqual(JSON.parse(result.stdout), {
+        idm: IDM,
+        service_code: '090f',
+        blocks: [{block_number: 0, data: HISTORY_BLOCK}, {block_number: 1, data: HISTORY_BLOCK}]
+    })
+})
+
+test('read refuses counts and block numbers out of range', async () => {
+    for (const args of [['0', '0'], ['0', '65'], ['0xffff', '2'], ['0x10000']]) {
+        let result = await run(['read', '090f'].concat(args), [suica_card()])
+        assert.strictEqual(result.exit, cli.EXIT.USAGE, args.join(' '))
+        assert.match(result.stderr, /^expecting /)
+    }
+    // the card is there, but has no such block
+    assert.strictEqual((await run(['read', '090f', '5'], [suica_card()])).exit, cli.EXIT.ERROR)
+})
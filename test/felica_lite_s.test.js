@@ -0,0 +1,97 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    crypto = require('crypto'),
+    des = require('../des'),
+    felica_lite_s = require('../felica_lite_s')
+
+// Sony does not publish MAC vectors for the Lite-S : the expected values below were computed with the
+// des-ede-cbc cipher of openssl (see openssl_encrypt()) from the formulas at the top of felica_lite_s.js
+const CARD_KEY = Buffer.from('00112233445566778899aabbccddeeff', 'hex'),
+    RANDOM_CHALLENGE = Buffer.from('0123456789abcdeffedcba9876543210', 'hex'),
+    SESSION_KEY = Buffer.from('e8d8f778a20d0788abd39fcd6a725e8b', 'hex'),
+    READ_DATA = Buffer.from('a0'.repeat(16) + 'b1'.repeat(16), 'hex'),
+    WRITE_DATA = Buffer.from('c2'.repeat(16), 'hex')
+
+const HAS_OPENSSL_DES = crypto.getCiphers().indexOf('des-ede-cbc') >= 0
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ *      each 8-byte chunk byte-reversed, written independently of felica_lite_s.swap8()
+ */
+function reverse_chunks(buffer) {
+    let chunks = []
+    for (let i = 0; i < buffer.length; i += 8) chunks.push(Buffer.from(buffer.slice(i, i + 8)).reverse());
+    return Buffer.concat(chunks)
+}
+
+/**
+ * @param {Buffer} key
+ * @param {Buffer} iv
+ * @param {Buffer} data
+ *      all in card order
+ * @returns {Buffer}
+ *      3DES-CBC of data, in card order, as computed by openssl
+ */
+function openssl_encrypt(key, iv, data) {
+    let cipher = crypto.createCipheriv('des-ede-cbc', reverse_chunks(key), reverse_chunks(iv))
+    cipher.setAutoPadding(false)
+    return reverse_chunks(Buffer.concat([cipher.update(reverse_chunks(data)), cipher.final()]))
+}
+
+test('des matches the CBC example of FIPS 81', () => {
+    let key = Buffer.from('0123456789abcdef', 'hex')
+    // 2-key triple DES with twice the same key is single DES
+    let out = des.encrypt_cbc(Buffer.concat([key, key]), Buffer.from('1234567890abcdef', 'hex'),
+        Buffer.from('Now is the time for all '))
+    assert.strictEqual(out.toString('hex'), 'e5c7cdde872bf27c43e934008c389c0f683788499a7c05f6')
+})
+
+test('session_key() encrypts the random challenge with the card key', () => {
+    assert.strictEqual(felica_lite_s.session_key(CARD_KEY, RANDOM_CHALLENGE).toString('hex'),
+        SESSION_KEY.toString('hex'))
+})
+
+test('read_mac() covers the block numbers, MAC_A and the data', () => {
+    let mac = felica_lite_s.read_mac(SESSION_KEY, RANDOM_CHALLENGE, [0x00, 0x0e], READ_DATA)
+    assert.strictEqual(mac.toString('hex'), '92824a73ceae6e8d')
+})
+
+test('write_mac_block() covers WCNT, the block number and the data with swapped keys', () => {
+    let block = felica_lite_s.write_mac_block(SESSION_KEY, RANDOM_CHALLENGE, 5, 0x07, WRITE_DATA)
+    assert.strictEqual(block.toString('hex'), '438ef221e6e68d41' + '0500000000000000')
+})
+
+test('the vectors agree with openssl', {skip: !HAS_OPENSSL_DES && 'openssl without DES'}, () => {
+    let session_key = felica_lite_s.session_key(CARD_KEY, RANDOM_CHALLENGE),
+        iv = RANDOM_CHALLENGE.slice(0, 8)
+    assert.ok(session_key.equals(openssl_encrypt(CARD_KEY, Buffer.alloc(8), RANDOM_CHALLENGE)))
+
+    let read_list = Buffer.from('00000e009100ffff', 'hex')
+    assert.ok(felica_lite_s.read_mac(session_key, RANDOM_CHALLENGE, [0x00, 0x0e], READ_DATA)
+        .equals(openssl_encrypt(session_key, iv, Buffer.concat([read_list, READ_DATA])).slice(-8)))
+
+    let write_header = Buffer.from('0500000007009100', 'hex'),
+        swapped_key = Buffer.concat([session_key.slice(8), session_key.slice(0, 8)])
+    assert.ok(felica_lite_s.write_mac_block(session_key, RANDOM_CHALLENGE, 5, 0x07, WRITE_DATA).slice(0, 8)
+        .equals(openssl_encrypt(swapped_key, iv, Buffer.concat([write_header, WRITE_DATA])).slice(-8)))
+})
+
+test('wrong lengths throw a TypeError', () => {
+    assert.throws(() => felica_lite_s.session_key(Buffer.alloc(8), RANDOM_CHALLENGE), TypeError)
+    assert.throws(() => felica_lite_s.session_key(CARD_KEY, 'challenge'), TypeError)
+    assert.throws(() => felica_lite_s.read_mac(SESSION_KEY, RANDOM_CHALLENGE, [0x00, 0x0e], WRITE_DATA), TypeError)
+    assert.throws(() => felica_lite_s.write_mac_block(SESSION_KEY, RANDOM_CHALLENGE, 0, 0x07, READ_DATA), TypeError)
+    assert.throws(() => des.encrypt_cbc(CARD_KEY, Buffer.alloc(8), Buffer.alloc(12)), TypeError)
+})
+
+test('lock_blocks() clears the bits of user blocks only', () => {
+    let block = Buffer.from('ffffff00'.padEnd(32, '0'), 'hex'),
+        locked = felica_lite_s.lock_blocks(block, [0x00, 0x0e])
+    assert.strictEqual(locked.toString('hex'), 'febfff00'.padEnd(32, '0'))
+    assert.deepStrictEqual(felica_lite_s.parse_memory_configuration(locked).writable_blocks,
+        [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13])
+    assert.throws(() => felica_lite_s.lock_blocks(block, [felica_lite_s.BLOCKS.MC]), TypeError)
+})
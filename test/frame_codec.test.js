@@ -0,0 +1,161 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    frame_codec = require('../frame_codec'),
+    Rcs620s = require('../Rcs620s'),
+    VirtualRcs620s = require('../VirtualRcs620s'),
+    {FrameError} = require('../errors'),
+    {open_reader} = require('./helpers')
+
+const IDM = '0102030405060708'
+
+/**
+ * @param {number} length
+ * @returns {Buffer}
+ *      length bytes counting up from 0
+ */
+function payload_of(length) {
+    let out = Buffer.alloc(length)
+    for (let i = 0; i < length; ++i) out[i] = i & 0xff;
+    return out
+}
+
+/**
+ * @param {Buffer[]} chunks
+ * @returns {object[]}
+ *      events of a FrameParser fed with chunks, as [{event, payload, extended, reason}, ...]
+ */
+function parse(chunks) {
+    let parser = new frame_codec.FrameParser(),
+        events = []
+    parser.on('ack', () => events.push({event: 'ack'}))
+    parser.on('nack', () => events.push({event: 'nack'}))
+    parser.on('error-frame', () => events.push({event: 'error-frame'}))
+    parser.on('frame', (payload, extended) => events.push({event: 'frame', payload: payload, extended: extended}))
+    parser.on('invalid', reason => events.push({event: 'invalid', reason: reason}))
+    chunks.forEach(chunk => parser.push(chunk))
+    return events
+}
+
+/**
+ * a simulated reader that passes each answer through corrupt() before sending it
+ */
+class CorruptingRcs620s extends VirtualRcs620s {
+    constructor(options, corrupt) {
+        super(options)
+        this.corrupt = corrupt
+    }
+
+    _send(buffer) {
+        super._send(this.corrupt ? this.corrupt(Buffer.from(buffer)) : buffer)
+    }
+}
+
+test('encode_frame() makes a normal frame up to 255 bytes', () => {
+    let frame = frame_codec.encode_frame(payload_of(255))
+    assert.strictEqual(frame.length, 5 + 255 + 2)
+    assert.deepStrictEqual([...frame.slice(0, 5)], [0x00, 0x00, 0xff, 0xff, 0x01])
+    assert.strictEqual(frame_codec.is_extended_header(frame), false)
+    assert.strictEqual(frame_codec.parse_header(frame.slice(0, 5)), 255)
+})
+
+test('encode_frame() makes an extended frame over 255 bytes', () => {
+    let frame = frame_codec.encode_frame(payload_of(256))
+    assert.strictEqual(frame.length, 8 + 256 + 2)
+    assert.deepStrictEqual([...frame.slice(0, 8)], [0x00, 0x00, 0xff, 0xff, 0xff, 0x01, 0x00, 0xff])
+    assert.strictEqual(frame_codec.is_extended_header(frame), true)
+    assert.strictEqual(frame_codec.parse_header(frame.slice(0, 8)), 256)
+    assert.strictEqual(frame[8 + 256], frame_codec.checksum(payload_of(256)))
+})
+
+test('frame_header() throws a FrameError past MAX_EXTENDED_PAYLOAD', () => {
+    assert.throws(() => frame_codec.frame_header(frame_codec.MAX_EXTENDED_PAYLOAD + 1),
+        err => err instanceof FrameError && err.code === 'FRAME_TOO_LONG')
+})
+
+test('FrameParser decodes normal and extended frames split across chunks', () => {
+    let frames = Buffer.concat([frame_codec.ACK_FRAME, frame_codec.encode_frame(payload_of(10)),
+            frame_codec.encode_frame(payload_of(300)), frame_codec.NACK_FRAME, frame_codec.ERROR_FRAME]),
+        chunks = []
+    for (let i = 0; i < frames.length; i += 7) chunks.push(frames.slice(i, i + 7));
+
+    let events = parse(chunks)
+    assert.deepStrictEqual(events.map(e => e.event), ['ack', 'frame', 'frame', 'nack', 'error-frame'])
+    assert.ok(events[1].payload.equals(payload_of(10)))
+    assert.strictEqual(events[1].extended, false)
+    assert.ok(events[2].payload.equals(payload_of(300)))
+    assert.strictEqual(events[2].extended, true)
+})
+
+test('FrameParser skips frames with a wrong LCS or DCS', () => {
+    let bad_lcs = frame_codec.encode_frame(payload_of(10)),
+        bad_dcs = frame_codec.encode_frame(payload_of(10)),
+        bad_extended_lcs = frame_codec.encode_frame(payload_of(300))
+    bad_lcs[4] ^= 0x01
+    bad_dcs[bad_dcs.length - 2] ^= 0x01
+    bad_extended_lcs[7] ^= 0x01
+
+    let events = parse([bad_lcs, bad_dcs, bad_extended_lcs, frame_codec.encode_frame(payload_of(3))])
+    assert.deepStrictEqual(events.slice(0, 3).map(e => e.reason), ['lcs', 'dcs', 'lcs'])
+    assert.strictEqual(events[events.length - 1].event, 'frame')
+    assert.ok(events[events.length - 1].payload.equals(payload_of(3)))
+})
+
+test('a response with a wrong DCS rejects with CHECKSUM_ERROR', async () => {
+    let sim = new CorruptingRcs620s({}),
+        {reader} = await open_reader(sim)
+    sim.corrupt = buffer => {
+        buffer[buffer.length - 2] ^= 0x01
+        return buffer
+    }
+    await assert.rejects(reader.get_firmware_version(), err => {
+        assert.ok(err instanceof FrameError)
+        assert.strictEqual(err.code, 'CHECKSUM_ERROR')
+        assert.strictEqual(err.checksum, 'dcs')
+        return true
+    })
+    await reader.close()
+})
+
+test('a response with a wrong LCS rejects with CHECKSUM_ERROR', async () => {
+    let sim = new CorruptingRcs620s({}),
+        {reader} = await open_reader(sim)
+    sim.corrupt = buffer => {
+        // the response frame follows the ACK
+        buffer[frame_codec.ACK_FRAME.length + 4] ^= 0x01
+        return buffer
+    }
+    await assert.rejects(reader.get_firmware_version(), err => {
+        assert.ok(err instanceof FrameError)
+        assert.strictEqual(err.code, 'CHECKSUM_ERROR')
+        assert.strictEqual(err.checksum, 'lcs')
+        return true
+    })
+    await reader.close()
+})
+
+test('reading 15 blocks at once comes back in an extended frame', async () => {
+    let blocks = [],
+        responses = []
+    for (let i = 0; i < 15; ++i) blocks.push(payload_of(16).fill(i, 0, 1).toString('hex'));
+    let sim = new CorruptingRcs620s({cards: [{idm: IDM, system_code: 0x0003, services: {0x090f: blocks}}]}, buffer => {
+            responses.push(buffer)
+            return buffer
+        }),
+        {reader} = await open_reader(sim),
+        card = await reader.polling(Rcs620s.SYSTEM_CODE.SUICA)
+
+    responses.length = 0
+    let data = await reader.read_block(card.idm, '\x0f\x09', 0, 15)
+    assert.strictEqual(data.toString('hex'), blocks.join(''))
+
+    // the last answer is for the single Read Without Encryption of all 15 blocks : ACK, then an extended
+    // frame with 256 bytes of payload ; 6 + 8 + 256 + 2 bytes
+    let answer = responses[responses.length - 1],
+        read_response = answer.slice(frame_codec.ACK_FRAME.length)
+    assert.strictEqual(answer.length, 272)
+    assert.strictEqual(frame_codec.is_extended_header(read_response), true)
+    assert.strictEqual(frame_codec.parse_header(read_response.slice(0, 8)), 256)
+    await reader.close()
+})
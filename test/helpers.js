@@ -0,0 +1,29 @@
+'use strict'
+
+/**
+ * fixtures shared by the test files ; not a test file itself (npm test runs test/*.test.js)
+ */
+
+const Rcs620s = require('../Rcs620s'),
+    VirtualRcs620s = require('../VirtualRcs620s')
+
+/**
+ * @param {VirtualRcs620s|object[]} [sim=[]]
+ *      a simulated reader, or the cards to place on a new one (see VirtualRcs620s)
+ * @param {object} [options]
+ * @param {boolean} [options.init=true]
+ *      false to leave the device uninitialized
+ * @returns {Promise}
+ *      resolves with {reader, sim} once the reader is ready (and initialized)
+ */
+function open_reader(sim = [], options = {}) {
+    if (!(sim instanceof VirtualRcs620s)) sim = new VirtualRcs620s({cards: sim});
+    let reader = new Rcs620s(sim)
+    return new Promise(ok => reader.once('ready', ok))
+        .then(() => options.init === false ? undefined : reader.init_device())
+        .then(() => ({reader: reader, sim: sim}))
+}
+
+module.exports = {
+    open_reader: open_reader
+}
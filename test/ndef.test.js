@@ -0,0 +1,183 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    Rcs620s = require('../Rcs620s'),
+    ndef = require('../ndef'),
+    {FormatError} = require('../errors'),
+    {open_reader} = require('./helpers')
+
+const IDM = '02fe010203040506'
+
+/**
+ * @param {Buffer} message
+ * @returns {object[]}
+ *      the records of message without their payload Buffers, for deepStrictEqual
+ */
+function decoded(message) {
+    return ndef.parse_message(message).map(record => {
+        let out = Object.assign({}, record)
+        delete out.payload
+        return out
+    })
+}
+
+/**
+ * @param {FormatError} err
+ * @returns {boolean}
+ */
+function ndef_invalid(err) {
+    return err instanceof FormatError && err.code === 'NDEF_INVALID'
+}
+
+test('URI records abbreviate the longest prefix', () => {
+    let record = ndef.uri_record('https://www.example.com/asset/1234')
+    assert.strictEqual(record.payload[0], 0x02)
+    assert.deepStrictEqual(decoded(ndef.encode_message([record])),
+        [{tnf: ndef.TNF.WELL_KNOWN, type: 'U', id: '', uri: 'https://www.example.com/asset/1234'}])
+    // no known prefix
+    assert.strictEqual(ndef.uri_record('geo:35.68,139.76').payload[0], 0x00)
+})
+
+test('Text records round-trip, and UTF-16 text is decoded', () => {
+    assert.deepStrictEqual(decoded(ndef.encode_message([ndef.text_record('こんにちは', 'ja')])),
+        [{tnf: ndef.TNF.WELL_KNOWN, type: 'T', id: '', encoding: 'utf8', language: 'ja', text: 'こんにちは'}])
+
+    let utf16 = text => ({
+        tnf: ndef.TNF.WELL_KNOWN,
+        type: 'T',
+        id: '',
+        payload: Buffer.concat([Buffer.from([0x80 | 2]), Buffer.from('ja'), text])
+    })
+    let big_endian = Buffer.from('こんにちは', 'utf16le').swap16()
+    for (const text of [big_endian, Buffer.concat([Buffer.from('feff', 'hex'), big_endian]),
+        Buffer.concat([Buffer.from('fffe', 'hex'), Buffer.from('こんにちは', 'utf16le')])]) {
+        let [record] = ndef.parse_message(ndef.encode_message([utf16(text)]))
+        assert.deepStrictEqual([record.encoding, record.language, record.text], ['utf16', 'ja', 'こんにちは'])
+    }
+})
+
+test('MIME and external records keep their type and payload', () => {
+    let records = ndef.parse_message(ndef.encode_message([
+        ndef.mime_record('application/json', '{"id":1234}'),
+        ndef.external_record('example.com:asset', Buffer.from([1, 2, 3]))
+    ]))
+    assert.deepStrictEqual(records.map(record => [record.tnf, record.type, record.payload.toString('hex')]), [
+        [ndef.TNF.MIME, 'application/json', Buffer.from('{"id":1234}').toString('hex')],
+        [ndef.TNF.EXTERNAL, 'example.com:asset', '010203']
+    ])
+    assert.strictEqual(records[0].mime_type, 'application/json')
+})
+
+test('payloads over 255 bytes are encoded as long records', () => {
+    let payload = Buffer.alloc(300, 0x61),
+        message = ndef.encode_message([ndef.mime_record('text/plain', payload)])
+    // MB | ME | MIME, without SR
+    assert.strictEqual(message[0], 0xc2)
+    assert.strictEqual(message.readUInt32BE(2), 300)
+    assert.deepStrictEqual(ndef.parse_message(message)[0].payload, payload)
+})
+
+test('chunked records are joined into one', () => {
+    let payload = Buffer.from(Array.from({length: 250}, (value, i) => i)),
+        records = [ndef.mime_record('application/octet-stream', payload), ndef.uri_record('tel:117')],
+        message = ndef.encode_message(records, {chunk_size: 100})
+    // MB | CF | SR | MIME, then CF | SR | UNCHANGED
+    assert.strictEqual(message[0], 0xb2)
+    assert.strictEqual(message[2 + 1 + 'application/octet-stream'.length + 100], 0x36)
+    records = ndef.parse_message(message)
+    assert.strictEqual(records.length, 2)
+    assert.strictEqual(records[0].type, 'application/octet-stream')
+    assert.deepStrictEqual(records[0].payload, payload)
+    assert.strictEqual(records[1].uri, 'tel:117')
+
+    // without its last chunk
+    assert.throws(() => ndef.parse_message(message.slice(0, 2 + 1 + 'application/octet-stream'.length + 100)),
+        ndef_invalid)
+})
+
+test('a truncated message throws NDEF_INVALID', () => {
+    let message = ndef.encode_message([ndef.uri_record('https://example.com/')])
+    assert.throws(() => ndef.parse_message(message.slice(0, message.length - 1)), ndef_invalid)
+    assert.throws(() => ndef.parse_message(message.slice(0, 2)), ndef_invalid)
+})
+
+test('the attribute block carries the sum of bytes 0-13', () => {
+    let block = ndef.build_attribute_block({nbr: 4, nbw: 1, nmaxb: 13, writing: false, writable: true, length: 300})
+    assert.strictEqual(block.toString('hex'), '100401000d00000000000100012c0050')
+    assert.deepStrictEqual(ndef.parse_attribute_block(block), {
+        version: 0x10, nbr: 4, nbw: 1, nmaxb: 13, writing: false, writable: true, length: 300, checksum_ok: true
+    })
+    block[14] ^= 0x01
+    assert.strictEqual(ndef.parse_attribute_block(block).checksum_ok, false)
+})
+
+/**
+ * @param {object} [attribute]
+ *      overrides the attribute block
+ * @returns {object}
+ *      a Type 3 tag for VirtualRcs620s, 13 data blocks and no message
+ */
+function type3_tag(attribute = {}) {
+    let block = ndef.build_attribute_block(Object.assign({nbr: 4, nbw: 1, nmaxb: 13, writable: true, length: 0},
+        attribute))
+    return {idm: IDM, system_code: 0x12fc, services: {0x0009: [block].concat(Array(13).fill('00'.repeat(16)))}}
+}
+
+test('write_type3_ndef() writes a message that read_type3_ndef() reads back', async () => {
+    let {reader} = await open_reader([type3_tag()]),
+        idm = Buffer.from(IDM, 'hex'),
+        text = 'a message over several blocks, '.repeat(3)
+    await reader.polling(Rcs620s.SYSTEM_CODE.NDEF)
+    assert.deepStrictEqual(await reader.read_type3_ndef(idm), [])
+    await reader.write_type3_ndef(idm, [ndef.text_record(text)])
+    let attribute = await reader.read_type3_attribute(idm)
+    assert.deepStrictEqual([attribute.writing, attribute.length], [false, ndef.encode_message(
+        [ndef.text_record(text)]).length])
+    assert.strictEqual((await reader.read_type3_ndef(idm))[0].text, text)
+
+    await assert.rejects(reader.write_type3_ndef(idm, [ndef.text_record('x'.repeat(300))]),
+        err => err.code === 'NDEF_TOO_LONG')
+    await reader.close()
+})
+
+test('read_type3_ndef() refuses a wrong checksum and read-only tags are not written', async () => {
+    let corrupt = type3_tag(),
+        read_only = type3_tag({writable: false})
+    corrupt.services[0x0009][0][15] ^= 0x01
+    read_only.idm = '02fe0a0b0c0d0e0f'
+
+    let {reader} = await open_reader([corrupt])
+    await reader.polling(Rcs620s.SYSTEM_CODE.NDEF)
+    await assert.rejects(reader.read_type3_ndef(Buffer.from(IDM, 'hex')), ndef_invalid)
+    await reader.close()
+
+    ;({reader} = await open_reader([read_only]))
+    await reader.polling(Rcs620s.SYSTEM_CODE.NDEF)
+    await assert.rejects(reader.write_type3_ndef(Buffer.from(read_only.idm, 'hex'), [ndef.uri_record('tel:117')]),
+        err => err.code === 'NDEF_READ_ONLY')
+    await reader.close()
+})
+
+test('write_type2_ndef() keeps the lock and memory control TLVs', async () => {
+    // lock control TLV, memory control TLV, empty NDEF message TLV, terminator
+    let control = '0103a01044' + '0203800000',
+        pages = (control + '0300fe').match(/.{1,8}/g).map(page => page.padEnd(8, '0')),
+        {reader} = await open_reader([{uid: '04a1b2c3d4e5f6', data: pages}])
+    await reader.polling_type_a()
+    assert.deepStrictEqual(await reader.read_type2_ndef(), [])
+
+    let records = [ndef.uri_record('https://example.com/asset/1234'), ndef.text_record('asset 1234')]
+    await reader.write_type2_ndef(records)
+    let data = await reader.read_pages(4, 20),
+        tlvs = ndef.parse_tlvs(data)
+    assert.strictEqual(data.slice(0, 10).toString('hex'), control)
+    assert.deepStrictEqual(tlvs.map(tlv => tlv.tag),
+        [ndef.TLV.LOCK_CONTROL, ndef.TLV.MEMORY_CONTROL, ndef.TLV.NDEF_MESSAGE, ndef.TLV.TERMINATOR])
+    assert.deepStrictEqual((await reader.read_type2_ndef()).map(record => record.uri || record.text),
+        ['https://example.com/asset/1234', 'asset 1234'])
+
+    await assert.rejects(reader.write_type2_ndef([ndef.mime_record('text/plain', Buffer.alloc(200))]),
+        err => err.code === 'NDEF_TOO_LONG')
+    await reader.close()
+})
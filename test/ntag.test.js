@@ -0,0 +1,94 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    Rcs620s = require('../Rcs620s'),
+    ntag = require('../ntag'),
+    {CardStatusError} = require('../errors'),
+    {open_reader} = require('./helpers')
+
+const UID = '04a1b2c3d4e5f6'
+
+/**
+ * @returns {object}
+ *      an NTAG213 for VirtualRcs620s, with pages 4-7 filled in
+ */
+function ntag_card() {
+    return {uid: UID, atqa: '0044', sak: 0x00, data: ['01020304', '05060708', '090a0b0c', '0d0e0f10']}
+}
+
+test('polling_type_a() finds the UID, ATQA and SAK of the card', async () => {
+    let {reader} = await open_reader([ntag_card()]),
+        card = await reader.polling_type_a()
+    assert.strictEqual(card.type, Rcs620s.CARD_TYPE.TYPE_A)
+    assert.strictEqual(card.uid.toString('hex'), UID)
+    assert.strictEqual(card.atqa.toString('hex'), '0044')
+    assert.strictEqual(card.sak, 0x00)
+    await reader.close()
+})
+
+test('polling_type_a() resolves with no arguments without a card', async () => {
+    let {reader} = await open_reader([])
+    assert.strictEqual(await reader.polling_type_a(), undefined)
+    await reader.close()
+})
+
+test('ntag_get_version() tells the card type', async () => {
+    let {reader} = await open_reader([ntag_card()])
+    await reader.polling_type_a()
+    let version = await reader.ntag_get_version()
+    assert.deepStrictEqual([version.vendor_id, version.name, version.pages, version.user_memory],
+        [0x04, 'NTAG213', 45, 144])
+    await reader.close()
+})
+
+test('read_pages() reads more than 4 pages with several READs', async () => {
+    let {reader} = await open_reader([ntag_card()])
+    await reader.polling_type_a()
+    let data = await reader.read_pages(0, 6)
+    assert.strictEqual(data.length, 24)
+    // pages 0-1 hold the UID (with its check byte), page 3 the capability container
+    assert.strictEqual(data.slice(0, 3).toString('hex'), UID.slice(0, 6))
+    assert.strictEqual(data.slice(4, 8).toString('hex'), UID.slice(6))
+    assert.strictEqual(data.slice(12, 16).toString('hex'), 'e1101200')
+    assert.strictEqual(data.slice(16).toString('hex'), '0102030405060708')
+    await reader.close()
+})
+
+test('write_pages() writes a page that reads back', async () => {
+    let {reader} = await open_reader([ntag_card()])
+    await reader.polling_type_a()
+    assert.strictEqual(await reader.write_pages(5, Buffer.from('cafebabe', 'hex')), undefined)
+    assert.strictEqual((await reader.read_pages(4, 3)).toString('hex'), '01020304cafebabe090a0b0c')
+    assert.throws(() => reader.write_pages(5, Buffer.from('cafe', 'hex')), TypeError)
+    await reader.close()
+})
+
+test('a NAK rejects with a CardStatusError naming the page', async () => {
+    let {reader} = await open_reader([ntag_card()])
+    await reader.polling_type_a()
+    let card_nak = page_number => err => err instanceof CardStatusError && err.code === 'CARD_NAK' &&
+        err.nak === 0x00 && err.status_message === 'invalid-argument' && err.page_number === page_number
+    // the UID pages cannot be written, and an NTAG213 has 45 pages
+    await assert.rejects(reader.write_pages(0, Buffer.alloc(4)), card_nak(0))
+    await assert.rejects(reader.read_pages(44, 8), card_nak(48))
+    await reader.close()
+})
+
+test('ntag.parse_version() decodes GET_VERSION', () => {
+    assert.deepStrictEqual(ntag.parse_version(Buffer.from('0004040201001103', 'hex')), {
+        vendor_id: 0x04,
+        product_type: 0x04,
+        product_subtype: 0x02,
+        major_version: 0x01,
+        minor_version: 0x00,
+        storage_size: 0x11,
+        protocol_type: 0x03,
+        name: 'NTAG215',
+        pages: 135,
+        user_memory: 504
+    })
+    let unknown = ntag.parse_version(Buffer.from('0004040201001503', 'hex'))
+    assert.strictEqual(unknown.storage_size, 0x15)
+    assert.strictEqual(unknown.name, undefined)
+})
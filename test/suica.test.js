@@ -0,0 +1,104 @@
+'use strict'
+
+const test = require('node:test'),
+    assert = require('node:assert'),
+    suica = require('../suica')
+
+/**
+ * @param {object} fields
+ *      {flags, line, station, gate_number, date: [year, month, day], time: 'hhmm', fare, region}
+ * @returns {Buffer}
+ *      a 16-byte block with the fields at the positions shared by the gate, SF entry and fare records
+ */
+function record_block(fields) {
+    let block = Buffer.alloc(16),
+        [year, month, day] = fields.date
+    block[0] = fields.flags || 0
+    block[2] = fields.line
+    block[3] = fields.station
+    block.writeUInt16BE(fields.gate_number || 0, 4)
+    block.writeUInt16BE(((year - 2000) << 9) | (month << 5) | day, 6)
+    Buffer.from(fields.time, 'hex').copy(block, 8)
+    block.writeUInt16LE(fields.fare || 0, 10)
+    block[15] = (fields.region || 0) << 6
+    return block
+}
+
+test('parse_gate_record() reads the region of the station from byte 15', () => {
+    let record = suica.parse_gate_record(record_block({
+        flags: 0xa0, line: 0xe3, station: 0x2a, gate_number: 0x1234, date: [2026, 10, 19], time: '0815', fare: 0,
+        region: 1
+    }))
+    assert.strictEqual(record.gate, 'entry')
+    assert.strictEqual(record.commuter_pass, true)
+    assert.deepStrictEqual([record.station.region, record.station.line, record.station.station], [1, 0xe3, 0x2a])
+    assert.strictEqual(record.station.area, 2)
+    assert.strictEqual(record.gate_number, 0x1234)
+    assert.deepStrictEqual(record.timestamp, {year: 2026, month: 10, day: 19, hour: 8, minute: 15})
+    assert.strictEqual(suica.parse_gate_record(Buffer.alloc(16)), undefined)
+})
+
+test('parse_sf_entry_record() has no direction nor fare', () => {
+    let record = suica.parse_sf_entry_record(record_block({
+        line: 0x01, station: 0x02, gate_number: 7, date: [2026, 1, 2], time: '2359'
+    }))
+    assert.deepStrictEqual(Object.keys(record), ['station', 'gate_number', 'timestamp'])
+    assert.strictEqual(record.station.area, 0)
+    assert.deepStrictEqual(record.timestamp, {year: 2026, month: 1, day: 2, hour: 23, minute: 59})
+})
+
+test('parse_fare_record() keeps the processing byte and the fare', () => {
+    let record = suica.parse_fare_record(record_block({
+        flags: 0x03, line: 0x01, station: 0x02, gate_number: 9, date: [2026, 1, 2], time: '1200', fare: 210
+    }))
+    assert.strictEqual(record.processing, 0x03)
+    assert.strictEqual(record.terminal_number, 9)
+    assert.strictEqual(record.fare, 210)
+})
+
+test('is_inside_gates() goes by the latest gate passed', () => {
+    let gate = (flags, time) => suica.parse_gate_record(record_block({
+            flags: flags, line: 1, station: 2, date: [2026, 10, 19], time: time
+        })),
+        entry = gate(0x20, '0800'),
+        exit = gate(0x40, '0830'),
+        undirected = gate(0x00, '0900')
+    assert.strictEqual(suica.is_inside_gates([entry]), true)
+    assert.strictEqual(suica.is_inside_gates([exit, entry]), false)
+    // the newest block is not always first
+    assert.strictEqual(suica.is_inside_gates([entry, exit]), false)
+    assert.strictEqual(suica.is_inside_gates([undirected, entry]), true)
+    assert.strictEqual(suica.is_inside_gates([]), false)
+})
+
+test('parse_usage_history() decodes the date, process, stations and balance of each block', () => {
+    // terminal, process, payment, gate, date, stations (or time and terminal), balance, sequence, regions
+    let blocks = [
+        // 改札機, 運賃支払 on 2026-10-19 from e3-2a (region 1) to 01-02 (region 0), balance 4000
+        '16 01 00 02 3553 e32a 0102 a00f 00002a 40',
+        // 精算機, チャージ on 2026-10-18, balance 4500
+        '03 02 00 00 3552 0000 0000 9411 000029 00',
+        // 物販端末, 物販 on 2026-10-18 at 12:34:56 on terminal 0x0102, balance 500
+        'c7 46 00 00 3552 645c 0102 f401 000028 00',
+        '00'.repeat(16)
+    ].map(hex => Buffer.from(hex.replace(/ /g, ''), 'hex'))
+    let records = suica.parse_usage_history(blocks)
+    assert.strictEqual(records.length, 3)
+
+    let [fare, charge, purchase] = records
+    assert.deepStrictEqual(fare.date, {year: 2026, month: 10, day: 19})
+    assert.deepStrictEqual([fare.terminal_type_name, fare.process_type, fare.process_type_name, fare.category],
+        ['改札機', 0x01, '運賃支払(改札出場)', 'fare'])
+    assert.deepStrictEqual(fare.entry, {region: 1, line: 0xe3, station: 0x2a, area: 2})
+    assert.deepStrictEqual(fare.exit, {region: 0, line: 0x01, station: 0x02, area: 0})
+    assert.deepStrictEqual([fare.balance, fare.amount, fare.sequence], [4000, -500, 0x2a])
+
+    assert.deepStrictEqual([charge.process_type_name, charge.category, charge.balance, charge.amount],
+        ['チャージ', 'charge', 4500, 4000])
+    assert.deepStrictEqual(charge.date, {year: 2026, month: 10, day: 18})
+
+    assert.deepStrictEqual([purchase.category, purchase.terminal_id, purchase.balance, purchase.amount],
+        ['purchase', 0x0102, 500, null])
+    assert.deepStrictEqual(purchase.time, {hour: 12, minute: 34, second: 56})
+    assert.strictEqual(purchase.entry, undefined)
+})